@@ -1,19 +1,47 @@
 require('dotenv').config();
 
 // DealDine Backend - Production Implementation
-// This Node.js/Express backend handles Gmail API, Claude API, image extraction, database, and notifications
+// This Node.js/Express backend handles Gmail API, AI deal extraction (Gemini/Claude/local), image extraction, database, and notifications
 
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const { google } = require('googleapis');
 const Anthropic = require('@anthropic-ai/sdk');
 const { createClient } = require('@supabase/supabase-js');
 const nodemailer = require('nodemailer');
+const webpush = require('web-push');
 const cheerio = require('cheerio');
 const axios = require('axios');
 
 const app = express();
-app.use(cors());
+
+// Browser origins allowed to call the API with the session cookie
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+// Dashboard link that opens one deal's detail panel
+function getDealUrl(dealId) {
+  return `${FRONTEND_URL.replace(/\/$/, '')}/#/deals/${encodeURIComponent(dealId)}`;
+}
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || FRONTEND_URL)
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+app.use(cors({
+  origin: (origin, callback) => {
+    // Same-origin and non-browser requests carry no Origin header
+    callback(null, !origin || CORS_ORIGINS.includes(origin));
+  },
+  credentials: true
+}));
+// Uploaded mail archives arrive base64 encoded in JSON
+app.use('/api/imports', express.json({ limit: `${Number(process.env.IMPORT_MAX_UPLOAD_MB) || 25}mb` }));
 app.use(express.json());
 
 // ============================================
@@ -27,15 +55,60 @@ const GMAIL_CONFIG = {
   redirectUri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3001/auth/google/callback'
 };
 
-const oauth2Client = new google.auth.OAuth2(
-  GMAIL_CONFIG.clientId,
-  GMAIL_CONFIG.clientSecret,
-  GMAIL_CONFIG.redirectUri
-);
+// Each request/user gets its own OAuth client so credentials never leak
+// between concurrent scans
+function createOAuthClient() {
+  return new google.auth.OAuth2(
+    GMAIL_CONFIG.clientId,
+    GMAIL_CONFIG.clientSecret,
+    GMAIL_CONFIG.redirectUri
+  );
+}
+
+// Build an OAuth client for a stored user. Tokens refreshed by the Google
+// client are merged with the stored ones (Google only sends refresh_token
+// once) and written back to users.gmail_tokens.
+function getUserOAuthClient(user) {
+  const client = createOAuthClient();
+  let currentTokens = { ...user.gmail_tokens };
+  client.setCredentials(currentTokens);
+
+  client.on('tokens', async (tokens) => {
+    currentTokens = { ...currentTokens, ...tokens };
+    try {
+      await storeUserTokens(user.email, currentTokens);
+      console.log(`Refreshed Gmail tokens saved for ${user.email}`);
+    } catch (error) {
+      console.error('Failed to persist refreshed tokens:', error);
+    }
+  });
+
+  return client;
+}
+
+const GMAIL_RECONNECT_CODE = 'GMAIL_RECONNECT_REQUIRED';
+
+// Revoked/expired refresh tokens surface as invalid_grant (or a 401 from Gmail)
+function isGmailAuthError(error) {
+  const oauthError = error?.response?.data?.error;
+  return oauthError === 'invalid_grant' ||
+    error?.message === 'invalid_grant' ||
+    error?.message === 'No refresh token is set.' ||
+    error?.code === 401 ||
+    error?.response?.status === 401;
+}
+
+function sendGmailReconnectRequired(res) {
+  return res.status(401).json({
+    error: 'Your Gmail connection has expired or was revoked. Please reconnect Gmail.',
+    code: GMAIL_RECONNECT_CODE,
+    reconnect: true
+  });
+}
 
 // Generate auth URL for user to grant permissions
 app.get('/auth/google', (req, res) => {
-  const authUrl = oauth2Client.generateAuthUrl({
+  const authUrl = createOAuthClient().generateAuthUrl({
     access_type: 'offline',
     scope: [
       'https://www.googleapis.com/auth/gmail.readonly',
@@ -51,21 +124,166 @@ app.get('/auth/google/callback', async (req, res) => {
   const { code } = req.query;
   
   try {
+    const oauth2Client = createOAuthClient();
     const { tokens } = await oauth2Client.getToken(code);
     oauth2Client.setCredentials(tokens);
     
     // Store tokens in database (associated with user)
     const userEmail = await getUserEmail(oauth2Client);
     console.log('Google account authenticated as:', userEmail);
-    await storeUserTokens(userEmail, tokens);
+    const user = await storeUserTokens(userEmail, tokens);
     
-    res.redirect(`http://localhost:3000?auth=success&email=${encodeURIComponent(userEmail)}`);
+    setSessionCookie(res, createSessionToken(user));
+    res.redirect(`${FRONTEND_URL}?auth=success`);
   } catch (error) {
     console.error('Auth error:', error);
-    res.redirect('http://localhost:3000?auth=error');
+    res.redirect(`${FRONTEND_URL}?auth=error`);
   }
 });
 
+// End the current session
+app.post('/auth/logout', (req, res) => {
+  res.clearCookie(SESSION_CONFIG.cookieName, getSessionCookieOptions());
+  res.json({ success: true });
+});
+
+// ============================================
+// SESSION AUTHENTICATION
+// ============================================
+
+// Sessions are stateless signed tokens ("<base64url payload>.<hmac>") carried
+// in an HttpOnly cookie, or as a bearer token for non-browser clients.
+
+const SESSION_CONFIG = {
+  secret: process.env.SESSION_SECRET,
+  cookieName: 'dealdine_session',
+  maxAgeMs: 30 * 24 * 60 * 60 * 1000,
+  sameSite: process.env.SESSION_COOKIE_SAMESITE || 'lax',
+  secure: process.env.NODE_ENV === 'production'
+};
+
+if (!SESSION_CONFIG.secret) {
+  // Sessions will not survive a restart, but local development still works
+  SESSION_CONFIG.secret = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET is not set; using a random secret for this process');
+}
+
+function signSessionPayload(encodedPayload) {
+  return crypto
+    .createHmac('sha256', SESSION_CONFIG.secret)
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+function createSessionToken(user) {
+  const payload = {
+    uid: user.id,
+    email: user.email,
+    exp: Date.now() + SESSION_CONFIG.maxAgeMs
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signSessionPayload(encodedPayload)}`;
+}
+
+// Returns the session payload, or null when the token is missing, forged or expired
+function verifySessionToken(token) {
+  const [encodedPayload, signature] = String(token || '').split('.');
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(signSessionPayload(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getSessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: SESSION_CONFIG.sameSite,
+    secure: SESSION_CONFIG.secure || SESSION_CONFIG.sameSite === 'none',
+    path: '/'
+  };
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_CONFIG.cookieName, token, {
+    ...getSessionCookieOptions(),
+    maxAge: SESSION_CONFIG.maxAgeMs
+  });
+}
+
+function parseCookies(header) {
+  const cookies = {};
+
+  for (const pair of String(header || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+function getSessionToken(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return parseCookies(req.headers.cookie)[SESSION_CONFIG.cookieName];
+}
+
+// Middleware: resolve the signed-in user into req.user or answer 401
+async function requireSession(req, res, next) {
+  try {
+    const session = verifySessionToken(getSessionToken(req));
+    const user = session ? await getUserByEmail(session.email) : null;
+
+    if (!user || user.id !== session.uid) {
+      return res.status(401).json({ error: 'Please sign in with Google', code: 'AUTH_REQUIRED' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Operators allowed to run the shared scheduled jobs and edit the catalog
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+function isAdmin(user) {
+  return ADMIN_EMAILS.includes(String(user?.email || '').toLowerCase());
+}
+
+// Middleware (after requireSession): 403 unless req.user is in ADMIN_EMAILS
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only administrators can do this' });
+  }
+  next();
+}
+
 // Get user's email address
 async function getUserEmail(auth) {
   const oauth2 = google.oauth2({ version: 'v2', auth });
@@ -73,57 +291,232 @@ async function getUserEmail(auth) {
   return data.email;
 }
 
-// Fetch promotional emails from Gmail
-async function fetchPromotionalEmails(auth, maxResults = 50) {
+const GMAIL_FETCH_CONCURRENCY = 5;
+const GMAIL_HISTORY_MAX_MESSAGES = 100;
+
+// Run an async mapper over items with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+function isFromPromoSender(message, excludedRestaurants = new Set()) {
+  const headers = message.payload?.headers || [];
+  const from = headers.find(h => h.name === 'From')?.value;
+
+  const restaurant = findRestaurantForSender(from);
+  if (restaurant) return !excludedRestaurants.has(restaurant.name);
+
+  // Same loose match Gmail applies to from:<slug> query fragments
+  const normalizedFrom = normalizeRestaurantName(from);
+  return getScannedRestaurants(excludedRestaurants)
+    .some(entry => normalizedFrom.includes(entry.slug));
+}
+
+// Full search used for the first sync and whenever the stored history id has expired
+async function searchPromotionalMessageIds(gmail, maxResults, excludedRestaurants) {
+  const senderQuery = getPromoSenderQuery(excludedRestaurants);
+  if (!senderQuery) return [];
+
+  const query = `category:promotions ${senderQuery} newer_than:30d`;
+
+  const response = await gmail.users.messages.list({
+    userId: 'me',
+    q: query,
+    maxResults
+  });
+
+  return (response.data.messages || []).map(message => message.id);
+}
+
+// Message ids added to Promotions since startHistoryId, oldest first. Stops
+// after the history record that reaches GMAIL_HISTORY_MAX_MESSAGES; the
+// returned historyId is then that record's id, so the next sync continues
+// right after it instead of replaying the same messages.
+async function listHistoryMessageIds(gmail, startHistoryId) {
+  const messageIds = new Set();
+  let pageToken;
+
+  for (;;) {
+    const response = await gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      historyTypes: ['messageAdded'],
+      labelId: 'CATEGORY_PROMOTIONS',
+      pageToken
+    });
+
+    for (const record of response.data.history || []) {
+      for (const added of record.messagesAdded || []) {
+        messageIds.add(added.message.id);
+      }
+
+      if (messageIds.size >= GMAIL_HISTORY_MAX_MESSAGES) {
+        return { messageIds: [...messageIds], historyId: record.id, truncated: true };
+      }
+    }
+
+    pageToken = response.data.nextPageToken;
+    if (!pageToken) {
+      return { messageIds: [...messageIds], historyId: response.data.historyId || startHistoryId, truncated: false };
+    }
+  }
+}
+
+function isGmailNotFound(error) {
+  return error?.code === 404 || error?.response?.status === 404;
+}
+
+// messages.get, or null when the message has been deleted since it was listed
+// (history replays still report messages that were added and then removed)
+async function getMessageIfExists(gmail, params) {
+  try {
+    const { data } = await gmail.users.messages.get({ userId: 'me', ...params });
+    return data;
+  } catch (error) {
+    if (isGmailNotFound(error)) return null;
+    throw error;
+  }
+}
+
+// Of the given ids, those sent by catalog restaurants. Only the From header
+// is downloaded, so other promotions never cost a full message fetch.
+async function filterPromoSenderIds(gmail, messageIds, excludedRestaurants) {
+  const headers = await mapWithConcurrency(messageIds, GMAIL_FETCH_CONCURRENCY, id =>
+    getMessageIfExists(gmail, { id, format: 'metadata', metadataHeaders: ['From'] })
+  );
+
+  return headers
+    .filter(message => message && isFromPromoSender(message, excludedRestaurants))
+    .map(message => message.id);
+}
+
+// Fetch promotional emails from Gmail. Uses the History API when the user has
+// a stored history id, falling back to a full search when it has expired.
+// Messages in skipIds are not downloaded at all.
+// Resolves to { emails, skippedIds, historyId, mode } where historyId is the
+// point the caller may store once every email has been handled (after a
+// large backlog, the point reached so far; the next sync continues there).
+async function fetchPromotionalEmails(auth, {
+  startHistoryId = null,
+  maxResults = 50,
+  skipIds = new Set(),
+  excludedRestaurants = new Set()
+} = {}) {
   const gmail = google.gmail({ version: 'v1', auth });
   
   try {
-    // Search for promotional emails from restaurant chains
-    const restaurants = [
-      'mcdonalds', 'subway', 'dominos', 'pizzahut', 'tacobell', 
-      'chipotle', 'kfc', 'wendys', 'burgerking', 'starbucks',
-      'chickfila', 'arbys', 'panerabread', 'fiveguys', 'shakeshack',
-      'innout', 'sonic', 'dairyqueen', 'popeyesm', 'jimmyjohns'
-    ];
-    
-    const query = `category:promotions (${restaurants.map(r => `from:${r}`).join(' OR ')}) newer_than:30d`;
-    
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: query,
-      maxResults
-    });
-    
-    if (!response.data.messages) {
-      return [];
+    let messageIds = null;
+    let historyId = null;
+    let mode = 'full';
+
+    if (startHistoryId) {
+      try {
+        const history = await listHistoryMessageIds(gmail, startHistoryId);
+        messageIds = history.messageIds;
+        historyId = history.historyId;
+        mode = 'history';
+      } catch (error) {
+        // Gmail returns 404 once a history id is too old to replay
+        if (!isGmailNotFound(error)) throw error;
+        console.warn('Gmail history id expired, falling back to full search');
+      }
+    }
+
+    if (!messageIds) {
+      // Read the current history id before searching so nothing slips in between
+      const { data: profile } = await gmail.users.getProfile({ userId: 'me' });
+      historyId = profile.historyId;
+      messageIds = await searchPromotionalMessageIds(gmail, maxResults, excludedRestaurants);
+    }
+
+    const skippedIds = messageIds.filter(id => skipIds.has(id));
+    let idsToFetch = messageIds.filter(id => !skipIds.has(id));
+
+    // History results are only label-filtered, so apply the sender filter first
+    if (mode === 'history') {
+      idsToFetch = await filterPromoSenderIds(gmail, idsToFetch, excludedRestaurants);
     }
     
-    // Fetch full message details
-    const messages = await Promise.all(
-      response.data.messages.map(async (message) => {
-        const fullMessage = await gmail.users.messages.get({
-          userId: 'me',
-          id: message.id,
-          format: 'full'
-        });
-        return fullMessage.data;
-      })
+    // Fetch full message details, a few at a time; deleted ones are dropped
+    const emails = await mapWithConcurrency(idsToFetch, GMAIL_FETCH_CONCURRENCY, id =>
+      getMessageIfExists(gmail, { id, format: 'full' })
     );
-    
-    return messages;
+
+    return { emails: emails.filter(Boolean), skippedIds, historyId, mode };
   } catch (error) {
     console.error('Error fetching emails:', error);
     throw error;
   }
 }
 
+// Fetch a single message (re-extracting emails processed before their content was stored)
+async function fetchEmailById(auth, id) {
+  const gmail = google.gmail({ version: 'v1', auth });
+  const { data } = await gmail.users.messages.get({ userId: 'me', id, format: 'full' });
+  return data;
+}
+
+// Open a message in Gmail's web app, in the account it came from
+function getGmailMessageUrl(userEmail, messageId) {
+  if (!messageId) return null;
+  return `https://mail.google.com/mail/u/?authuser=${encodeURIComponent(userEmail)}#all/${encodeURIComponent(messageId)}`;
+}
+
 // ============================================
-// 2. GEMINI INTEGRATION - AI DEAL PARSING
+// 2. AI DEAL PARSING - EXTRACTION PROVIDERS
 // ============================================
 
+// Every provider exposes the same shape:
+//   { name, throttled, isConfigured(), extractDeals(emailContent, subject, from) }
+// extractDeals resolves to an array of raw deal objects and throws rate-limit
+// errors as { status: 429, errorDetails: [RetryInfo] } so the scan loop
+// can treat all providers the way it treats Gemini.
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+const EXTRACTION_CONFIG = {
+  provider: (process.env.EXTRACTION_PROVIDER || '').toLowerCase(),
+  fallbackProviders: (process.env.EXTRACTION_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(Boolean),
+  geminiModel: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  anthropicModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620'
+};
+
+// Stored on every deal. Bump it whenever the prompt, response parsing or
+// validateDeal changes what gets extracted, so older deals can be found and
+// re-extracted (see /api/reextract and `npm run reextract`).
+const EXTRACTION_PROMPT_VERSION = 1;
+
+let genAI = null;
+let anthropic = null;
+
+function getGeminiClient() {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+}
+
+function getAnthropicClient() {
+  if (!anthropic) {
+    anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+  return anthropic;
+}
 
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -143,733 +536,8176 @@ function getGeminiRetryDelayMs(error, fallbackMs = 60000) {
 
   return (seconds + 5) * 1000;
 }
-// Parse email content with Gemini to extract deal information
-async function parseEmailWithGemini(emailContent, subject, from) {
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-    
-    const prompt = `You are a deal extraction expert. Analyze this promotional email and extract deal information.
 
-EMAIL FROM: ${from}
-SUBJECT: ${subject}
-CONTENT:
-${emailContent}
-
-Extract the following information and respond ONLY with valid JSON (no markdown, no explanation):
-{
-  "restaurant": "Official restaurant name (e.g., McDonald's, Subway, Chipotle — not variations)",
-  "dealDescription": "Clear description of the deal/offer",
-  "originalPrice": 15.99,
-  "discountedPrice": 7.99,
-  "savings": 8.00,
-  "expiryDate": "2024-02-20",
-  "dealCode": "SAVE50",
-  "termsAndConditions": "Brief terms if mentioned",
-  "dealType": "BOGO"
+// Wrap a provider-specific rate-limit error in the Gemini RetryInfo shape
+function createRateLimitError(providerName, retryAfterSeconds, cause) {
+  const error = new Error(`${providerName} rate limit exceeded`);
+  error.status = 429;
+  error.provider = providerName;
+  error.cause = cause;
+  error.errorDetails = Number.isFinite(retryAfterSeconds)
+    ? [{
+        '@type': 'type.googleapis.com/google.rpc.RetryInfo',
+        retryDelay: `${retryAfterSeconds}s`
+      }]
+    : [];
+  return error;
 }
 
-Use null for any field you cannot find. Return ONLY the JSON object.`;
+// Deal schema: every extracted deal is validated against these rules
+// before it reaches the database
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    // Extract JSON from response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    
-    return null;
-  } catch (error) {
-    if (error?.status === 429) {
-      throw error;
-    }
+const DEAL_TYPES = ['BOGO', 'Percent Off', 'Dollar Off', 'Fixed Price', 'Free Item', 'Bundle', 'Other'];
 
-    console.error('Gemini parsing error:', error);
-    return null;
-  }
+const DEAL_TYPE_ALIASES = {
+  bogo: 'BOGO',
+  buyonegetone: 'BOGO',
+  buyonegetonefree: 'BOGO',
+  b1g1: 'BOGO',
+  percentoff: 'Percent Off',
+  percentageoff: 'Percent Off',
+  percentdiscount: 'Percent Off',
+  dollaroff: 'Dollar Off',
+  amountoff: 'Dollar Off',
+  fixedprice: 'Fixed Price',
+  specialprice: 'Fixed Price',
+  freeitem: 'Free Item',
+  free: 'Free Item',
+  freebie: 'Free Item',
+  bundle: 'Bundle',
+  combo: 'Bundle',
+  mealdeal: 'Bundle',
+  familymeal: 'Bundle'
+};
+
+function getSenderName(from) {
+  return String(from || '').replace(/<.*>/, '').replace(/"/g, '').trim();
 }
 
-// ============================================
-// 3. IMAGE EXTRACTION FROM EMAILS
-// ============================================
+function cleanText(value, maxLength) {
+  if (value == null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (!text || text.toLowerCase() === 'null') return null;
+  return text.slice(0, maxLength);
+}
 
-// Extract images from email HTML
-function extractImagesFromEmail(emailData) {
-  const images = {
-    dealImages: [],
-    logoImages: []
-  };
-  
-  try {
-    // Get email parts
-    const parts = getAllParts(emailData.payload);
-    
-    // Extract HTML content
-    let htmlContent = '';
-    for (const part of parts) {
-      if (part.mimeType === 'text/html' && part.body.data) {
-        htmlContent += Buffer.from(part.body.data, 'base64').toString('utf-8');
-      }
-    }
-    
-    if (!htmlContent) return images;
-    
-    // Parse HTML with Cheerio
-    const $ = cheerio.load(htmlContent);
-    
-    // Extract all image URLs
-    $('img').each((i, elem) => {
-      const src = $(elem).attr('src');
-      const alt = $(elem).attr('alt') || '';
-      const width = parseInt($(elem).attr('width')) || 0;
-      const height = parseInt($(elem).attr('height')) || 0;
-      
-      if (src) {
-        // Categorize images
-        const isLogo = alt.toLowerCase().includes('logo') || 
-                       width < 150 || height < 150;
-        
-        const imageObj = {
-          url: src.startsWith('http') ? src : `https:${src}`,
-          alt,
-          width,
-          height
-        };
-        
-        if (isLogo) {
-          images.logoImages.push(imageObj);
-        } else {
-          images.dealImages.push(imageObj);
-        }
-      }
-    });
-    
-    // Also check for inline attachments
-    for (const part of parts) {
-      if (part.mimeType && part.mimeType.startsWith('image/') && part.body.attachmentId) {
-        // Note: Would need to fetch attachment separately via Gmail API
-        images.dealImages.push({
-          attachmentId: part.body.attachmentId,
-          mimeType: part.mimeType
-        });
-      }
-    }
-    
-  } catch (error) {
-    console.error('Image extraction error:', error);
+// Coerce "$7.99", "7.99 USD", "free" etc. into a non-negative number or null
+function parsePrice(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Number(value.toFixed(2)) : null;
   }
-  
-  return images;
+
+  const text = String(value).trim().toLowerCase();
+  if (text === 'free') return 0;
+
+  const number = Number.parseFloat(text.replace(/[$,]|usd/g, ''));
+  return Number.isFinite(number) && number >= 0 ? Number(number.toFixed(2)) : null;
 }
 
-// Helper to recursively get all email parts
-function getAllParts(payload, parts = []) {
-  if (payload.parts) {
-    payload.parts.forEach(part => getAllParts(part, parts));
-  } else {
-    parts.push(payload);
-  }
-  return parts;
+// Map free-text deal types onto DEAL_TYPES
+function normalizeDealType(value) {
+  const text = cleanText(value, 100);
+  if (!text) return null;
+
+  const key = text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const exact = DEAL_TYPES.find(type => type.toLowerCase().replace(/[^a-z0-9]/g, '') === key);
+  if (exact) return exact;
+  if (DEAL_TYPE_ALIASES[key]) return DEAL_TYPE_ALIASES[key];
+
+  if (/bogo|buyone|b1g1/.test(key)) return 'BOGO';
+  if (/%|percent/.test(text.toLowerCase())) return 'Percent Off';
+  if (/free/.test(key)) return 'Free Item';
+  if (/bundle|combo|meal/.test(key)) return 'Bundle';
+  if (/\$\d+off|dollarsoff/.test(text.toLowerCase().replace(/\s/g, ''))) return 'Dollar Off';
+  return 'Other';
 }
 
-// Get the best food image from email
-function selectBestDealImage(images) {
-  if (images.dealImages.length === 0) return null;
-  
-  // Prefer larger images (likely hero images)
-  const sorted = images.dealImages.sort((a, b) => {
-    const aSize = (a.width || 0) * (a.height || 0);
-    const bSize = (b.width || 0) * (b.height || 0);
-    return bSize - aSize;
+// Structured parameters by deal type. Every key is optional:
+//   percentOff    20 for "20% off"
+//   amountOff     5 for "$5 off"
+//   minimumSpend  15 for "on orders of $15+"
+//   freeItem      "fries" for "free fries with purchase" (or the BOGO item)
+//   bundlePrice   19.99 for "2 burgers + fries for $19.99"
+//   itemCount     number of items in a bundle
+function normalizeDealParams(rawParams) {
+  const params = rawParams && typeof rawParams === 'object' ? rawParams : {};
+  const percentOff = Number.parseFloat(String(params.percentOff ?? '').replace('%', ''));
+  const itemCount = Number(params.itemCount);
+
+  return {
+    percentOff: percentOff > 0 && percentOff <= 100 ? percentOff : null,
+    amountOff: parsePrice(params.amountOff),
+    minimumSpend: parsePrice(params.minimumSpend),
+    freeItem: cleanText(params.freeItem, 100),
+    bundlePrice: parsePrice(params.bundlePrice),
+    itemCount: Number.isInteger(itemCount) && itemCount > 0 ? itemCount : null
+  };
+}
+
+// Read deal parameters out of offer wording ("20% off orders of $15+")
+function extractDealParamsFromText(text) {
+  const value = String(text || '');
+  const percent = value.match(/(\d{1,3})\s?%\s?off/i);
+  const amount = value.match(/\$\s?(\d+(?:\.\d{1,2})?)\s+off/i);
+  const minimum = value.match(/(?:orders?|purchases?|spend(?:ing)?)\s+(?:of\s+|over\s+)?\$\s?(\d+(?:\.\d{1,2})?)/i)
+    || value.match(/\$\s?(\d+(?:\.\d{1,2})?)\+?\s+(?:order|purchase)/i);
+  const free = value.match(/\bfree\s+([a-z][a-z' -]{2,30}?)(?=\s+(?:with|when|on|for|if)\b|[.,!]|$)/i);
+  const bundle = value.match(/\bfor\s+(?:just\s+|only\s+)?\$\s?(\d+(?:\.\d{1,2})?)/i);
+  const count = value.match(/\b(\d{1,2})\s+(?:items|pieces|pc|sandwiches|burgers|tacos|pizzas)\b/i);
+
+  return normalizeDealParams({
+    percentOff: percent?.[1],
+    amountOff: amount?.[1],
+    minimumSpend: minimum?.[1],
+    freeItem: free?.[1],
+    bundlePrice: bundle?.[1],
+    itemCount: count?.[1]
   });
-  
-  return sorted[0].url;
 }
 
-function normalizeRestaurantName(name) {
-  return String(name || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
+// Model-provided parameters win; the offer wording fills the gaps
+function mergeDealParams(...paramSets) {
+  const merged = {};
+  for (const params of paramSets) {
+    for (const [key, value] of Object.entries(params)) {
+      if (value != null && merged[key] == null) merged[key] = value;
+    }
+  }
+  return normalizeDealParams(merged);
 }
 
-function getCanonicalRestaurantName(name) {
-  const key = normalizeRestaurantName(name);
+// Typical prices used when an email gives no dollar amounts. Restaurants can
+// override these (and price named items) through reference_prices.
+const SAVINGS_ESTIMATE_CONFIG = {
+  orderValue: Number(process.env.DEFAULT_ORDER_VALUE) || 15,
+  itemPrice: Number(process.env.DEFAULT_ITEM_PRICE) || 6
+};
 
-  const mapping = {
-    mcdonalds: "McDonald's",
-    subway: "Subway",
-    chipotle: "Chipotle",
-    starbucks: "Starbucks",
-    dominos: "Domino's",
-    pizzahut: "Pizza Hut",
-    tacobell: "Taco Bell",
-    kfc: "KFC",
-    wendys: "Wendy's",
-    chickfila: "Chick-fil-A",
-    popeyes: "Popeyes",
-    fiveguys: "Five Guys",
-    arbys: "Arby's",
-    sonic: "Sonic",
-    dairyqueen: "Dairy Queen"
+function getReferencePrices(restaurantName) {
+  return {
+    order: SAVINGS_ESTIMATE_CONFIG.orderValue,
+    item: SAVINGS_ESTIMATE_CONFIG.itemPrice,
+    ...(findRestaurant(restaurantName)?.reference_prices || {})
   };
+}
 
-  return mapping[key] || name;
+// Price of a named item ("medium fries" matches a "fries" reference price)
+function getReferenceItemPrice(referencePrices, itemName) {
+  const name = String(itemName || '').toLowerCase();
+  const match = name && Object.entries(referencePrices).find(([key]) =>
+    key !== 'order' && key !== 'item' && name.includes(key.toLowerCase())
+  );
+  return Number(match ? match[1] : referencePrices.item);
 }
 
-// Get restaurant logo
-function selectBestLogoImage(images, restaurantName) {
-  if (images.logoImages.length > 0) {
-    return images.logoImages[0].url;
-  }
+// Estimate savings for a deal with no explicit dollar amount.
+// Returns { savings, estimated } or null when the type gives nothing to go on.
+function estimateSavings({ restaurant, dealType, dealParams, originalPrice, discountedPrice }) {
+  const referencePrices = getReferencePrices(restaurant);
+  const round = value => Number(Math.max(0, value).toFixed(2));
 
-  return getDefaultLogoUrl(restaurantName);
+  switch (dealType) {
+    case 'Percent Off': {
+      if (!dealParams.percentOff) return null;
+      const base = originalPrice ?? dealParams.minimumSpend ?? referencePrices.order;
+      return { savings: round(base * dealParams.percentOff / 100), estimated: originalPrice == null };
+    }
+    case 'Dollar Off':
+      return dealParams.amountOff != null ? { savings: dealParams.amountOff, estimated: false } : null;
+    case 'BOGO': {
+      const itemPrice = originalPrice ?? discountedPrice;
+      return itemPrice != null
+        ? { savings: round(itemPrice), estimated: false }
+        : { savings: round(getReferenceItemPrice(referencePrices, dealParams.freeItem)), estimated: true };
+    }
+    case 'Free Item':
+      return { savings: round(getReferenceItemPrice(referencePrices, dealParams.freeItem)), estimated: true };
+    case 'Bundle': {
+      const bundlePrice = dealParams.bundlePrice ?? discountedPrice;
+      const regularPrice = originalPrice
+        ?? (dealParams.itemCount ? dealParams.itemCount * referencePrices.item : null);
+      if (bundlePrice == null || regularPrice == null || regularPrice <= bundlePrice) return null;
+      return { savings: round(regularPrice - bundlePrice), estimated: originalPrice == null };
+    }
+    default:
+      return null;
+  }
 }
 
-function normalizeRestaurantName(name) {
-  return String(name || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
-}
+// Per-field extraction confidence (0-1). Starts from how each value was
+// obtained (stated, derived, repaired, estimated) and is capped by the
+// model's own per-field confidence when it reports one.
+const FIELD_CONFIDENCE = {
+  catalogRestaurant: 0.95,
+  unknownRestaurant: 0.5,
+  senderRestaurant: 0.4,
+  stated: 0.85,
+  derived: 0.75,
+  repaired: 0.4,
+  estimated: 0.5,
+  typeStated: 0.9,
+  typeInferred: 0.75,
+  typeOther: 0.4,
+  expiry: { high: 0.9, medium: 0.75, low: 0.4 },
+  // Rule-based extraction is right less often than a model
+  localProviderFactor: 0.85
+};
 
-function getDefaultLogoUrl(restaurantName) {
-  const key = normalizeRestaurantName(restaurantName);
+// Fields a user can review, mapped to their deals columns
+const REVIEW_FIELDS = {
+  restaurant: 'restaurant',
+  dealDescription: 'deal_description',
+  originalPrice: 'original_price',
+  discountedPrice: 'discounted_price',
+  savings: 'savings',
+  expiryDate: 'expiry_date',
+  dealCode: 'deal_code',
+  dealType: 'deal_type'
+};
+
+function normalizeReportedConfidence(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return null;
+  return number > 1 ? Math.min(number / 100, 1) : number;
+}
 
-  const logos = {
-    mcdonalds: 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/4b/McDonald%27s_logo.svg/512px-McDonald%27s_logo.svg.png',
-    subway: 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/5c/Subway_2016_logo.svg/512px-Subway_2016_logo.svg.png',
-    chipotle: 'https://upload.wikimedia.org/wikipedia/en/thumb/3/3b/Chipotle_Mexican_Grill_logo.svg/512px-Chipotle_Mexican_Grill_logo.svg.png',
-    starbucks: 'https://upload.wikimedia.org/wikipedia/en/thumb/7/7c/Starbucks_Coffee_Logo.svg/512px-Starbucks_Coffee_Logo.svg.png',
-    dominos: 'https://upload.wikimedia.org/wikipedia/commons/thumb/7/74/Dominos_pizza_logo.svg/512px-Dominos_pizza_logo.svg.png',
-    pizzahut: 'https://upload.wikimedia.org/wikipedia/en/thumb/d/d2/Pizza_Hut_logo.svg/512px-Pizza_Hut_logo.svg.png',
-    tacobell: 'https://upload.wikimedia.org/wikipedia/en/thumb/b/b3/Taco_Bell_2016.svg/512px-Taco_Bell_2016.svg.png',
-    kfc: 'https://upload.wikimedia.org/wikipedia/en/thumb/b/bf/KFC_logo.svg/512px-KFC_logo.svg.png',
-    wendys: 'https://upload.wikimedia.org/wikipedia/en/thumb/3/32/Wendy%27s_logo_2012.svg/512px-Wendy%27s_logo_2012.svg.png',
-    chickfila: 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/0c/Chick-fil-A_Logo.svg/512px-Chick-fil-A_Logo.svg.png',
-    popeyes: 'https://upload.wikimedia.org/wikipedia/en/thumb/6/6b/Popeyes_logo.svg/512px-Popeyes_logo.svg.png',
-    fiveguys: 'https://upload.wikimedia.org/wikipedia/commons/thumb/8/8f/Five_Guys_logo.svg/512px-Five_Guys_logo.svg.png',
-    arbys: 'https://upload.wikimedia.org/wikipedia/commons/thumb/6/60/Arby%27s_logo.svg/512px-Arby%27s_logo.svg.png',
-    sonic: 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/0f/Sonic_Drive-In_logo.svg/512px-Sonic_Drive-In_logo.svg.png',
-    dairyqueen: 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/08/Dairy_Queen_logo.svg/512px-Dairy_Queen_logo.svg.png'
+// Returns { fieldConfidence: { field: score }, extractionConfidence }.
+// Only fields that hold a value are scored. The overall score is the lowest,
+// leaving out estimated savings (our own guess, already marked as one).
+function scoreDealFields(deal, signals) {
+  const scores = {
+    restaurant: signals.restaurantSource === 'sender'
+      ? FIELD_CONFIDENCE.senderRestaurant
+      : isKnownRestaurant(deal.restaurant, signals.restaurantAliases) ? FIELD_CONFIDENCE.catalogRestaurant : FIELD_CONFIDENCE.unknownRestaurant,
+    dealDescription: FIELD_CONFIDENCE.stated,
+    originalPrice: signals.pricesSwapped ? FIELD_CONFIDENCE.repaired : FIELD_CONFIDENCE.stated,
+    discountedPrice: signals.pricesSwapped ? FIELD_CONFIDENCE.repaired : FIELD_CONFIDENCE.stated,
+    savings: {
+      stated: FIELD_CONFIDENCE.stated,
+      computed: FIELD_CONFIDENCE.derived,
+      estimated: FIELD_CONFIDENCE.estimated
+    }[signals.savingsSource],
+    expiryDate: FIELD_CONFIDENCE.expiry[deal.expiryConfidence],
+    dealCode: FIELD_CONFIDENCE.stated,
+    dealType: deal.dealType === 'Other'
+      ? FIELD_CONFIDENCE.typeOther
+      : signals.dealTypeStated ? FIELD_CONFIDENCE.typeStated : FIELD_CONFIDENCE.typeInferred
   };
 
-  return logos[key] || `https://www.google.com/s2/favicons?domain=${key}.com&sz=128`;
+  const reported = signals.reportedConfidence && typeof signals.reportedConfidence === 'object'
+    ? signals.reportedConfidence
+    : {};
+  const factor = signals.provider === 'local' ? FIELD_CONFIDENCE.localProviderFactor : 1;
+
+  const fieldConfidence = {};
+  for (const field of Object.keys(REVIEW_FIELDS)) {
+    if (deal[field] == null || scores[field] == null) continue;
+
+    const modelScore = normalizeReportedConfidence(reported[field]);
+    const score = Math.min(scores[field], modelScore ?? 1) * factor;
+    fieldConfidence[field] = Number(score.toFixed(2));
+  }
+
+  const values = Object.entries(fieldConfidence)
+    .filter(([field]) => field !== 'savings' || signals.savingsSource !== 'estimated')
+    .map(([, score]) => score);
+  return {
+    fieldConfidence,
+    extractionConfidence: values.length > 0 ? Math.min(...values) : null
+  };
 }
 
-// ============================================
-// 4. DATABASE SETUP (SUPABASE)
-// ============================================
+// Validate one extracted deal. Bad fields are repaired or nulled; only a deal
+// with no description at all is dropped, since there is nothing to show.
+// referenceDate (when the email was sent) and timeZone anchor relative expiry
+// phrases such as "ends Sunday"; provider names the extractor for scoring.
+function validateDeal(rawDeal, { fallbackRestaurant = null, referenceDate, timeZone, provider, restaurantAliases = null } = {}) {
+  if (!rawDeal || typeof rawDeal !== 'object') return null;
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+  const dealDescription = cleanText(rawDeal.dealDescription ?? rawDeal.description, 500);
+  if (!dealDescription) return null;
 
-// Database Schema:
-/*
-CREATE TABLE users (
-  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  email TEXT UNIQUE NOT NULL,
-  gmail_tokens JSONB,
-  notification_preferences JSONB DEFAULT '{"email": true, "expiringSoon": true}'::jsonb,
-  created_at TIMESTAMP DEFAULT NOW()
-);
+  let originalPrice = parsePrice(rawDeal.originalPrice);
+  let discountedPrice = parsePrice(rawDeal.discountedPrice);
+  const pricesSwapped = originalPrice != null && discountedPrice != null && discountedPrice > originalPrice;
+  if (pricesSwapped) {
+    [originalPrice, discountedPrice] = [discountedPrice, originalPrice];
+  }
 
-CREATE TABLE deals (
-  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  email_id TEXT NOT NULL,
-  restaurant TEXT NOT NULL,
-  deal_description TEXT NOT NULL,
-  original_price DECIMAL(10,2),
-  discounted_price DECIMAL(10,2),
-  savings DECIMAL(10,2) NOT NULL,
-  expiry_date DATE,
-  deal_code TEXT,
-  terms_and_conditions TEXT,
-  deal_type TEXT,
-  image_url TEXT,
-  logo_url TEXT,
-  is_active BOOLEAN DEFAULT true,
-  is_notified BOOLEAN DEFAULT false,
-  created_at TIMESTAMP DEFAULT NOW(),
-  updated_at TIMESTAMP DEFAULT NOW()
-);
+  let savings = parsePrice(rawDeal.savings);
+  let savingsSource = savings ? 'stated' : null;
+  if (savings == null && originalPrice != null && discountedPrice != null) {
+    savings = Number((originalPrice - discountedPrice).toFixed(2));
+    savingsSource = 'computed';
+  }
 
-CREATE TABLE user_restaurant_preferences (
-  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  restaurant TEXT NOT NULL,
-  is_selected BOOLEAN DEFAULT true,
-  UNIQUE(user_id, restaurant)
-);
+  const rawRestaurant = cleanText(rawDeal.restaurant, 100);
+  const restaurant = rawRestaurant || cleanText(fallbackRestaurant, 100);
+  const dealType = normalizeDealType(rawDeal.dealType || dealDescription);
+  const dealParams = mergeDealParams(
+    normalizeDealParams(rawDeal.dealParams),
+    extractDealParamsFromText(`${dealDescription} ${rawDeal.termsAndConditions || ''}`)
+  );
 
-CREATE INDEX idx_deals_user_id ON deals(user_id);
-CREATE INDEX idx_deals_expiry ON deals(expiry_date);
-CREATE INDEX idx_deals_active ON deals(is_active);
-*/
+  // "20% off" or "free fries" carry no dollar amount: estimate one per type
+  let savingsEstimated = false;
+  if (!savings) {
+    const estimate = estimateSavings({ restaurant, dealType, dealParams, originalPrice, discountedPrice });
+    if (estimate) {
+      savings = estimate.savings;
+      savingsEstimated = estimate.estimated;
+      savingsSource = estimate.estimated ? 'estimated' : 'computed';
+    }
+  }
 
-// Store user tokens
-async function storeUserTokens(email, tokens) {
-  const { data, error } = await supabase
-    .from('users')
-    .upsert({
-      email,
-      gmail_tokens: tokens
-    }, {
-      onConflict: 'email'
+  const deal = {
+    restaurant,
+    rawRestaurant,
+    dealDescription,
+    originalPrice,
+    discountedPrice,
+    savings,
+    savingsEstimated,
+    ...resolveExpiry(
+      { expiryDate: rawDeal.expiryDate, expiryText: rawDeal.expiryText },
+      { referenceDate, timeZone }
+    ),
+    dealCode: cleanText(rawDeal.dealCode, 50),
+    termsAndConditions: cleanText(rawDeal.termsAndConditions, 2000),
+    dealType,
+    dealParams
+  };
+
+  return {
+    ...deal,
+    ...scoreDealFields(deal, {
+      restaurantSource: rawRestaurant ? 'model' : 'sender',
+      pricesSwapped,
+      savingsSource,
+      dealTypeStated: Boolean(rawDeal.dealType) && DEAL_TYPES.includes(normalizeDealType(rawDeal.dealType)),
+      reportedConfidence: rawDeal.confidence,
+      provider,
+      restaurantAliases
     })
-    .select()
-    .single();
-  
-  if (error) throw error;
-  return data;
+  };
+}
+
+// Validate a provider's deal array, dropping empty and repeated offers
+function validateDeals(rawDeals, options = {}) {
+  const seen = new Set();
+
+  return (Array.isArray(rawDeals) ? rawDeals : [rawDeals])
+    .map(rawDeal => validateDeal(rawDeal, options))
+    .filter(deal => {
+      if (!deal || !deal.restaurant) return false;
+
+      const key = `${deal.dealDescription.toLowerCase()}|${deal.dealCode || ''}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function buildDealExtractionPrompt(emailContent, subject, from) {
+  return `You are a deal extraction expert. Analyze this promotional email and extract deal information.
+
+EMAIL FROM: ${from}
+SUBJECT: ${subject}
+CONTENT:
+${emailContent}
+
+The email may advertise several separate offers. Return one entry per distinct offer.
+Respond ONLY with a valid JSON array (no markdown, no explanation):
+[
+  {
+    "restaurant": "Official restaurant name (e.g., McDonald's, Subway, Chipotle — not variations)",
+    "dealDescription": "Clear description of the deal/offer",
+    "originalPrice": 15.99,
+    "discountedPrice": 7.99,
+    "savings": 8.00,
+    "expiryDate": "2024-02-20",
+    "expiryText": "Offer ends Sunday",
+    "dealCode": "SAVE50",
+    "termsAndConditions": "Brief terms if mentioned",
+    "dealType": "${DEAL_TYPES.join(' | ')}",
+    "dealParams": {
+      "percentOff": 20,
+      "amountOff": 5.00,
+      "minimumSpend": 15.00,
+      "freeItem": "medium fries",
+      "bundlePrice": 19.99,
+      "itemCount": 4
+    },
+    "confidence": { "restaurant": 0.95, "originalPrice": 0.6, "expiryDate": 0.8 }
+  }
+]
+
+Prices are plain numbers. In dealParams fill only the keys that apply to the deal type
+(e.g. percentOff for Percent Off, freeItem for Free Item or the BOGO item). confidence holds
+your confidence (0-1) in each field you filled, using the same field names. expiryText is the email's own expiry wording, copied verbatim
+(e.g. "this weekend only", "valid through 3/5"). Fill expiryDate (YYYY-MM-DD) only when the
+email states a full date including the year. Use null for any field you cannot find.
+Return an empty array if the email contains no deals. Return ONLY the JSON array.`;
+}
+
+// Pull the deal array out of a model response (tolerates a bare object)
+function parseDealJson(text) {
+  const raw = String(text || '');
+  const arrayStart = raw.indexOf('[');
+  const objectStart = raw.indexOf('{');
+  const isArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+
+  const jsonMatch = isArray
+    ? raw.match(/\[[\s\S]*\]/)
+    : raw.match(/\{[\s\S]*\}/);
+  const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed?.deals)) return parsed.deals;
+  return parsed ? [parsed] : [];
+}
+
+// Parse email content with Gemini to extract deal information
+async function parseEmailWithGemini(emailContent, subject, from) {
+  try {
+    const model = getGeminiClient().getGenerativeModel({ model: EXTRACTION_CONFIG.geminiModel });
+    const prompt = buildDealExtractionPrompt(emailContent, subject, from);
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text();
+
+    return parseDealJson(text);
+  } catch (error) {
+    if (error?.status === 429) {
+      error.provider = 'gemini';
+      throw error;
+    }
+
+    console.error('Gemini parsing error:', error);
+    return [];
+  }
+}
+
+// Parse email content with Claude to extract deal information
+async function parseEmailWithClaude(emailContent, subject, from) {
+  try {
+    const message = await getAnthropicClient().messages.create({
+      model: EXTRACTION_CONFIG.anthropicModel,
+      max_tokens: 2048,
+      messages: [
+        { role: 'user', content: buildDealExtractionPrompt(emailContent, subject, from) }
+      ]
+    });
+
+    const text = (message.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return parseDealJson(text);
+  } catch (error) {
+    if (error?.status === 429) {
+      const retryAfter = Number(error.headers?.['retry-after']);
+      throw createRateLimitError('anthropic', retryAfter, error);
+    }
+
+    console.error('Claude parsing error:', error);
+    return [];
+  }
+}
+
+// Deterministic rule-based extraction (no API key, no network)
+function parseEmailLocally(emailContent, subject, from) {
+  const text = `${subject}\n${emailContent}`;
+  const senderName = getSenderName(from);
+
+  const restaurant = findRestaurantForSender(from)?.name || getCanonicalRestaurantName(senderName);
+
+  const prices = [...text.matchAll(/\$\s?(\d+(?:\.\d{1,2})?)/g)]
+    .map(m => Number(m[1]))
+    .filter(Number.isFinite);
+
+  const dealParams = extractDealParamsFromText(text);
+
+  // "$5 off orders of $15+" names a discount and a threshold, not two prices
+  const hasDiscountTerms = dealParams.amountOff != null || dealParams.minimumSpend != null;
+  const listedPrices = hasDiscountTerms ? [] : prices;
+
+  let originalPrice = null;
+  let discountedPrice = null;
+  if (listedPrices.length >= 2) {
+    originalPrice = Math.max(...listedPrices.slice(0, 2));
+    discountedPrice = Math.min(...listedPrices.slice(0, 2));
+  } else if (listedPrices.length === 1) {
+    discountedPrice = listedPrices[0];
+  }
+
+  const savingsMatch = text.match(/save\s+\$\s?(\d+(?:\.\d{1,2})?)/i);
+  const savings = savingsMatch
+    ? Number(savingsMatch[1])
+    : originalPrice != null && discountedPrice != null && originalPrice > discountedPrice
+      ? Number((originalPrice - discountedPrice).toFixed(2))
+      : null;
+
+  const codeMatch = text.match(/(?:promo\s+)?code[:\s]+([A-Z0-9]{4,20})\b/);
+
+  // Keep the expiry wording; resolveExpiry turns it into a date
+  const isoMatch = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  const expiryMatch = text.match(
+    /\b((?:offer\s+)?(?:expires?|ends?|valid (?:through|until|thru)|good (?:through|until|thru)|through|until)\b[^.!\n]{1,40})/i
+  ) || text.match(/\b((?:today|tonight|this weekend|weekend) only)\b/i);
+
+  let dealType = null;
+  if (/\bbogo\b|buy one,? get one/i.test(text)) dealType = 'BOGO';
+  else if (dealParams.percentOff) dealType = 'Percent Off';
+  else if (dealParams.amountOff) dealType = 'Dollar Off';
+  else if (/\bfree\b/i.test(text)) dealType = 'Free Item';
+  else if (prices.length > 0) dealType = 'Fixed Price';
+
+  if (!subject && prices.length === 0 && !dealType) return [];
+
+  return [{
+    restaurant,
+    dealDescription: String(subject || '').trim() || null,
+    originalPrice,
+    discountedPrice,
+    savings,
+    expiryDate: isoMatch ? isoMatch[1] : null,
+    expiryText: expiryMatch ? expiryMatch[1].trim() : null,
+    dealCode: codeMatch ? codeMatch[1] : null,
+    termsAndConditions: null,
+    dealType,
+    dealParams
+  }];
+}
+
+// Keys still holding a placeholder from env.template count as missing
+function hasApiKey(value) {
+  const key = String(value || '').trim();
+  return Boolean(key) && !/^your_\w*_here$|x{5,}$/i.test(key);
+}
+
+const EXTRACTION_PROVIDERS = {
+  gemini: {
+    name: 'gemini',
+    throttled: true,
+    getModel: () => EXTRACTION_CONFIG.geminiModel,
+    isConfigured: () => hasApiKey(process.env.GEMINI_API_KEY),
+    extractDeals: parseEmailWithGemini
+  },
+  anthropic: {
+    name: 'anthropic',
+    throttled: true,
+    getModel: () => EXTRACTION_CONFIG.anthropicModel,
+    isConfigured: () => hasApiKey(process.env.ANTHROPIC_API_KEY),
+    extractDeals: parseEmailWithClaude
+  },
+  local: {
+    name: 'local',
+    throttled: false,
+    getModel: () => null,
+    isConfigured: () => true,
+    extractDeals: async (emailContent, subject, from) => parseEmailLocally(emailContent, subject, from)
+  }
+};
+
+const EXTRACTION_PROVIDER_ALIASES = { claude: 'anthropic', stub: 'local' };
+
+function resolveExtractionProvider(name) {
+  return EXTRACTION_PROVIDERS[EXTRACTION_PROVIDER_ALIASES[name] || name] || null;
+}
+
+// Names in EXTRACTION_PROVIDER / EXTRACTION_FALLBACK_PROVIDERS that match no
+// provider; the server refuses to start rather than ignore a typo
+function getUnknownExtractionProviders() {
+  return [EXTRACTION_CONFIG.provider, ...EXTRACTION_CONFIG.fallbackProviders]
+    .filter(name => name && !resolveExtractionProvider(name));
+}
+
+// Resolve the ordered provider chain from config: primary first, then fallbacks
+function getExtractionProviderChain() {
+  let primary = resolveExtractionProvider(EXTRACTION_CONFIG.provider);
+  if (!primary) {
+    primary = ['gemini', 'anthropic']
+      .map(resolveExtractionProvider)
+      .find(provider => provider.isConfigured()) || EXTRACTION_PROVIDERS.local;
+  }
+
+  const chain = [primary];
+  for (const name of EXTRACTION_CONFIG.fallbackProviders) {
+    const provider = resolveExtractionProvider(name);
+    if (provider && provider.isConfigured() && !chain.includes(provider)) {
+      chain.push(provider);
+    }
+  }
+
+  return chain;
+}
+
+// "gemini/gemini-2.5-flash", or just the provider name when it has no model
+function getExtractorLabel(provider) {
+  const model = provider.getModel();
+  return model ? `${provider.name}/${model}` : provider.name;
+}
+
+// Extract every deal in an email using the configured providers, falling back on 429.
+// context ({ referenceDate, timeZone }) is used to resolve expiry dates.
+// Each deal is tagged with the extractor and prompt version that produced it.
+async function extractDealsFromEmail(emailContent, subject, from, context = {}) {
+  const rateLimitErrors = [];
+
+  for (const provider of getExtractionProviderChain()) {
+    try {
+      const rawDeals = await provider.extractDeals(emailContent, subject, from);
+      const extractor = getExtractorLabel(provider);
+
+      return validateDeals(rawDeals, {
+        ...context,
+        fallbackRestaurant: getSenderName(from),
+        provider: provider.name
+      }).map(deal => ({ ...deal, extractor, promptVersion: EXTRACTION_PROMPT_VERSION }));
+    } catch (error) {
+      if (error?.status !== 429) throw error;
+
+      error.provider = error.provider || provider.name;
+      rateLimitErrors.push(error);
+      console.warn(`${provider.name} rate limited, trying next extraction provider`);
+    }
+  }
+
+  // Every provider is rate limited: surface the one that frees up first
+  throw rateLimitErrors.sort(
+    (a, b) => getGeminiRetryDelayMs(a) - getGeminiRetryDelayMs(b)
+  )[0];
+}
+
+// ============================================
+// EXPIRY DATE RESOLUTION
+// ============================================
+
+// "Ends Sunday" or "valid through 3/5" only mean something relative to when
+// the email was sent. Expiry phrases are resolved against the email's Date
+// header in the user's time zone and stored as the end of that local day.
+// Calendar dates are handled as UTC-midnight Date objects ("civil dates") so
+// day arithmetic never crosses a DST boundary.
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE
+  || Intl.DateTimeFormat().resolvedOptions().timeZone
+  || 'UTC';
+
+const EXPIRING_SOON_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getUserTimeZone(user) {
+  return isValidTimeZone(user?.timezone) ? user.timezone : DEFAULT_TIME_ZONE;
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  return Object.fromEntries(
+    parts.filter(part => part.type !== 'literal').map(part => [part.type, Number(part.value)])
+  );
+}
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+function getTimeZoneOffsetMs(timeZone, date) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+function createCivilDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject overflow such as 2/30
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+function getZonedCivilDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return createCivilDate(p.year, p.month, p.day);
+}
+
+function addCivilDays(civilDate, days) {
+  return new Date(civilDate.getTime() + days * DAY_MS);
+}
+
+function formatCivilDate(civilDate) {
+  return civilDate.toISOString().slice(0, 10);
+}
+
+// Last millisecond of a calendar day in the time zone, as a UTC instant
+function getZonedEndOfDay(civilDate, timeZone) {
+  const nextMidnight = civilDate.getTime() + DAY_MS;
+  let instant = nextMidnight - getTimeZoneOffsetMs(timeZone, new Date(nextMidnight));
+  instant = nextMidnight - getTimeZoneOffsetMs(timeZone, new Date(instant));
+  return new Date(instant - 1);
+}
+
+// The instant a local wall-clock time (minutes after midnight) occurs on a
+// calendar day in the time zone
+function getZonedInstant(civilDate, minutes, timeZone) {
+  const wallClock = civilDate.getTime() + minutes * 60 * 1000;
+  let instant = wallClock - getTimeZoneOffsetMs(timeZone, new Date(wallClock));
+  instant = wallClock - getTimeZoneOffsetMs(timeZone, new Date(instant));
+  return new Date(instant);
+}
+
+// Deals expiring at or before this instant count as "expiring soon":
+// the end of the day `days` from today in the user's time zone
+function getExpiringSoonCutoff(timeZone, now = new Date(), days = EXPIRING_SOON_DAYS) {
+  return getZonedEndOfDay(addCivilDays(getZonedCivilDate(now, timeZone), days), timeZone);
+}
+
+// A month/day without a year belongs to the reference year, unless that is
+// well in the past (a December email saying "through 1/5" means next year)
+function inferYear(month, day, reference) {
+  const year = reference.getUTCFullYear();
+  const candidate = createCivilDate(year, month, day);
+  if (candidate && candidate.getTime() < reference.getTime() - 30 * DAY_MS) {
+    return createCivilDate(year + 1, month, day);
+  }
+  return candidate;
+}
+
+function toFullYear(year) {
+  const value = Number(year);
+  return value < 100 ? 2000 + value : value;
+}
+
+function nextWeekday(reference, weekday) {
+  return addCivilDays(reference, (weekday - reference.getUTCDay() + 7) % 7);
+}
+
+// Resolve an expiry phrase to { date, confidence } relative to the reference
+// civil date, or null when the phrase holds no usable date
+function parseExpiryPhrase(text, reference) {
+  const phrase = String(text).toLowerCase();
+  let match;
+
+  if ((match = phrase.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    const date = createCivilDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return date && { date, confidence: 'high' };
+  }
+
+  match = phrase.match(new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`));
+  if (match) {
+    const month = new Date(`${match[1].slice(0, 3)} 1, 2000`).getMonth() + 1;
+    const day = Number(match[2]);
+    const date = match[3] ? createCivilDate(Number(match[3]), month, day) : inferYear(month, day, reference);
+    return date && { date, confidence: match[3] ? 'high' : 'medium' };
+  }
+
+  if ((match = phrase.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/))) {
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    const date = match[3] ? createCivilDate(toFullYear(match[3]), month, day) : inferYear(month, day, reference);
+    return date && { date, confidence: match[3] ? 'high' : 'medium' };
+  }
+
+  if (/\b(?:today|tonight)\b/.test(phrase)) {
+    return { date: reference, confidence: 'high' };
+  }
+  if (/\btomorrow\b/.test(phrase)) {
+    return { date: addCivilDays(reference, 1), confidence: 'high' };
+  }
+
+  if ((match = phrase.match(/\b(?:in|next|for|within)\s+(\d{1,3})\s+(day|week)s?\b/))) {
+    const days = Number(match[1]) * (match[2] === 'week' ? 7 : 1);
+    return { date: addCivilDays(reference, days), confidence: 'medium' };
+  }
+
+  if (/\bweekend\b/.test(phrase)) {
+    return { date: nextWeekday(reference, 0), confidence: 'medium' };
+  }
+
+  match = phrase.match(new RegExp(`\\b(next\\s+)?(${WEEKDAYS.join('|')})\\b`));
+  if (match) {
+    let date = nextWeekday(reference, WEEKDAYS.indexOf(match[2]));
+    if (match[1] && date.getTime() === reference.getTime()) date = addCivilDays(date, 7);
+    return { date, confidence: 'medium' };
+  }
+
+  if (/\b(?:end of (?:the )?month|this month|month[- ]long)\b/.test(phrase)) {
+    const lastDay = new Date(Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth() + 1, 0));
+    return { date: lastDay, confidence: 'medium' };
+  }
+
+  if (/\b(?:end of (?:the )?year|this year)\b/.test(phrase)) {
+    return { date: createCivilDate(reference.getUTCFullYear(), 12, 31), confidence: 'medium' };
+  }
+
+  if (/\b(?:this week|end of (?:the )?week|all week)\b/.test(phrase)) {
+    return { date: nextWeekday(reference, 0), confidence: 'low' };
+  }
+
+  return null;
+}
+
+// Resolve a deal's expiry. referenceDate is when the email was sent.
+// Returns { expiryDate: 'YYYY-MM-DD' | null, expiresAt: ISO | null,
+// expiryConfidence: 'high' | 'medium' | 'low' | null, expiryText }.
+function resolveExpiry({ expiryDate, expiryText }, { referenceDate = new Date(), timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const dateValue = cleanText(expiryDate, 100);
+  const textValue = cleanText(expiryText, 200);
+  const reference = getZonedCivilDate(referenceDate, timeZone);
+
+  // A full ISO date from the model wins; otherwise read the email's own wording
+  const candidates = /^\d{4}-\d{2}-\d{2}/.test(dateValue || '')
+    ? [dateValue, textValue]
+    : [textValue, dateValue];
+
+  for (const candidate of candidates.filter(Boolean)) {
+    const resolved = parseExpiryPhrase(candidate, reference);
+    if (!resolved) continue;
+
+    // Dates well before the email was sent, or years out, are probably misreads
+    const daysFromReference = (resolved.date.getTime() - reference.getTime()) / DAY_MS;
+    const plausible = daysFromReference >= -1 && daysFromReference <= 730;
+
+    return {
+      expiryDate: formatCivilDate(resolved.date),
+      expiresAt: getZonedEndOfDay(resolved.date, timeZone).toISOString(),
+      expiryConfidence: plausible ? resolved.confidence : 'low',
+      expiryText: textValue || dateValue
+    };
+  }
+
+  return { expiryDate: null, expiresAt: null, expiryConfidence: null, expiryText: textValue };
+}
+
+// When the email was sent: Date header, then Gmail's internalDate, then now
+function getEmailSentDate(email) {
+  const header = (email.payload?.headers || []).find(h => h.name.toLowerCase() === 'date');
+  const fromHeader = header ? Date.parse(header.value) : NaN;
+  if (!Number.isNaN(fromHeader)) return new Date(fromHeader);
+
+  const internalDate = Number(email.internalDate);
+  return Number.isFinite(internalDate) && internalDate > 0 ? new Date(internalDate) : new Date();
+}
+
+// ============================================
+// 3. EMAIL CONTENT - BODY TEXT & IMAGES
+// ============================================
+
+// Body text handed to the extraction model. Plain-text parts are preferred;
+// HTML is converted to text when there is no usable plain part (many
+// restaurant emails are HTML-only).
+const EMAIL_BODY_CONFIG = {
+  maxTokens: Number(process.env.EMAIL_MAX_TOKENS) || 3000,
+  charsPerToken: 4,
+  minPlainTextChars: 200
+};
+
+// Lines that are footer/legal boilerplate rather than offer text
+const BOILERPLATE_LINE_PATTERNS = [
+  /unsubscribe/i,
+  /view (?:this email |it )?(?:in|on) (?:your|a|the)? ?(?:browser|web)/i,
+  /(?:manage|update) (?:your )?(?:email )?(?:preferences|subscription)/i,
+  /privacy (?:policy|notice|statement)/i,
+  /(?:you are|you're) receiving this/i,
+  /this (?:e-?mail|message) was sent to/i,
+  /add .+ to your address book/i,
+  /(?:please )?do not reply/i,
+  /all rights reserved/i,
+  /^\s*(?:©|\(c\)|copyright)/i
+];
+
+// Once one of these shows up in the last part of an email, the rest is footer
+const FOOTER_START_PATTERN = /(?:you are|you're) receiving this|this (?:e-?mail|message) was sent to|to unsubscribe|unsubscribe from/i;
+
+const TRACKING_URL_PATTERN = /[?&](?:utm_[a-z]+|mc_[a-z]+|trk|tracking|clickid|eid|cid)=|\/(?:track|click|ls\/click|wf\/click|open|pixel)\b|list-manage\.com|sendgrid\.net|exacttarget|mkt\d*\.com/i;
+
+// Query parameters that carry promo codes in deal links
+const PROMO_CODE_PARAMS = ['code', 'promo', 'promocode', 'promo_code', 'coupon', 'offercode', 'offer_code'];
+
+function getPartHeader(part, name) {
+  const header = (part.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : '';
+}
+
+function getPartCharset(part) {
+  const match = getPartHeader(part, 'Content-Type').match(/charset\s*=\s*"?([^";\s]+)/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+// Decode quoted-printable text into raw bytes (soft line breaks and =XX escapes)
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = String(text).replace(/=\r?\n/g, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const hex = input[i] === '=' ? input.slice(i + 1, i + 3) : '';
+    if (/^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      const code = input.charCodeAt(i);
+      bytes.push(code < 256 ? code : 63);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Gmail usually decodes the transfer encoding for us, but some senders
+// mislabel parts and the QP escapes survive. Only re-decode when they do.
+function hasQuotedPrintableResidue(text) {
+  const escapes = (text.match(/=[0-9A-F]{2}/g) || []).length;
+  return /=\r?\n/.test(text) || escapes >= 3;
+}
+
+// Characters for bytes 0x80-0x9F in windows-1252. Browsers decode latin1 and
+// windows-1252 labels this way, but Node's TextDecoder returns C1 controls.
+const WINDOWS_1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+  '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+function decodeCharset(bytes, charset) {
+  if (/^(?:windows-1252|cp1252|iso-8859-1|iso8859-1|latin1|l1|us-ascii|ascii)$/.test(charset)) {
+    return Array.from(bytes, byte =>
+      byte >= 0x80 && byte <= 0x9F ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte)
+    ).join('');
+  }
+
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (error) {
+    // Unknown or misspelled charset label
+    return bytes.toString('utf-8');
+  }
+}
+
+// Decode a Gmail part body into a string, honouring its charset
+function decodePartBody(part) {
+  if (!part.body || !part.body.data) return '';
+
+  let bytes = Buffer.from(part.body.data, 'base64');
+  const isQuotedPrintable = /quoted-printable/i.test(getPartHeader(part, 'Content-Transfer-Encoding'));
+
+  if (isQuotedPrintable && hasQuotedPrintableResidue(bytes.toString('latin1'))) {
+    bytes = decodeQuotedPrintable(bytes.toString('latin1'));
+  }
+
+  return decodeCharset(bytes, getPartCharset(part));
+}
+
+function getPromoCodeFromUrl(href) {
+  try {
+    const url = new URL(href);
+    for (const [key, value] of url.searchParams) {
+      if (PROMO_CODE_PARAMS.includes(key.toLowerCase()) && /^[A-Z0-9-]{4,20}$/i.test(value)) {
+        return value;
+      }
+    }
+  } catch (error) {
+    // Relative or malformed links carry no code
+  }
+  return null;
+}
+
+function isTrackingPixel($img) {
+  const width = parseInt($img.attr('width')) || 0;
+  const height = parseInt($img.attr('height')) || 0;
+  return (width > 0 && width <= 2) || (height > 0 && height <= 2);
+}
+
+// Convert email HTML into readable text. Keeps link and alt text (promo
+// codes often live there) and drops markup, scripts and link targets.
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+
+  $('head, script, style, noscript, template, svg').remove();
+
+  $('img').each((i, elem) => {
+    const $img = $(elem);
+    const alt = ($img.attr('alt') || '').trim();
+    $img.replaceWith(alt && !isTrackingPixel($img) ? ` ${alt} ` : ' ');
+  });
+
+  $('a').each((i, elem) => {
+    const $link = $(elem);
+    const code = getPromoCodeFromUrl($link.attr('href') || '');
+    const text = $link.text().trim();
+    if (code && !text.includes(code)) {
+      $link.append(` (code: ${code})`);
+    }
+  });
+
+  $('br').replaceWith('\n');
+  $('p, div, tr, li, h1, h2, h3, h4, h5, h6, table, section, blockquote').each((i, elem) => {
+    $(elem).prepend('\n').append('\n');
+  });
+  $('td, th').each((i, elem) => {
+    $(elem).append(' ');
+  });
+
+  return $.root().text();
+}
+
+function stripTrackingUrls(text) {
+  return text.replace(/https?:\/\/[^\s<>()"]+/gi, url =>
+    url.length > 80 || TRACKING_URL_PATTERN.test(url) ? '' : url
+  );
+}
+
+// Normalize whitespace and invisible characters, drop boilerplate lines and
+// the trailing footer
+function cleanEmailText(text) {
+  const lines = stripTrackingUrls(text)
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD\u034F]/g, '')
+    .replace(/\u00A0/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.replace(/[ \t\f\v]+/g, ' ').trim());
+
+  const footerSearchStart = Math.floor(lines.length * 0.6);
+  const footerIndex = lines.findIndex((line, index) =>
+    index >= footerSearchStart && FOOTER_START_PATTERN.test(line)
+  );
+  const body = footerIndex === -1 ? lines : lines.slice(0, footerIndex);
+
+  const kept = [];
+  for (const line of body) {
+    if (line && BOILERPLATE_LINE_PATTERNS.some(pattern => pattern.test(line))) continue;
+    if (line && line === kept[kept.length - 1]) continue;
+    if (!line && !kept[kept.length - 1]) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+}
+
+// Trim text to the token budget, cutting at a line break where possible
+function truncateToTokenBudget(text, maxTokens = EMAIL_BODY_CONFIG.maxTokens) {
+  const maxChars = maxTokens * EMAIL_BODY_CONFIG.charsPerToken;
+  if (text.length <= maxChars) return { text, truncated: false };
+
+  const cut = text.slice(0, maxChars);
+  const lastBreak = cut.lastIndexOf('\n');
+  const trimmed = lastBreak > maxChars * 0.8 ? cut.slice(0, lastBreak) : cut;
+
+  return { text: `${trimmed.trim()}\n[truncated]`, truncated: true };
+}
+
+// Build the model-ready body of a Gmail message payload.
+// Returns { text, source: 'plain' | 'html' | null, truncated }.
+function extractEmailBody(payload) {
+  const parts = getAllParts(payload);
+  const textOf = mimeType => parts
+    .filter(part => part.mimeType === mimeType)
+    .map(decodePartBody)
+    .join('\n');
+
+  const plainText = cleanEmailText(textOf('text/plain'));
+  const rawHtml = textOf('text/html');
+  const htmlText = rawHtml ? cleanEmailText(htmlToText(rawHtml)) : '';
+
+  // Plain parts are often a "view in browser" stub next to the real HTML
+  const usePlain = plainText.length >= EMAIL_BODY_CONFIG.minPlainTextChars
+    || plainText.length >= htmlText.length / 2;
+
+  const source = usePlain && plainText ? 'plain' : htmlText ? 'html' : null;
+  if (!source) return { text: '', source: null, truncated: false };
+
+  return { ...truncateToTokenBudget(source === 'plain' ? plainText : htmlText), source };
+}
+
+// Images worth considering for a deal card, in document order. Nothing is
+// downloaded here; cacheEmailImages() fetches and measures the candidates.
+//   { source: 'remote', url, alt, logoHint }
+//   { source: 'part', partId, attachmentId, mimeType, alt, logoHint }
+// Images that declare tracking-pixel sizes are never fetched, so the sender's
+// tracker is not hit at all.
+function extractImagesFromEmail(emailData) {
+  const candidates = [];
+
+  try {
+    const parts = getAllParts(emailData.payload);
+    const imageParts = parts.filter(part => /^image\//i.test(part.mimeType || ''));
+    const contentIdOf = part => getPartHeader(part, 'Content-ID').replace(/^<|>$/g, '');
+    const usedParts = new Set();
+
+    const addPart = (part, extra = {}) => {
+      if (usedParts.has(part)) return;
+      usedParts.add(part);
+      candidates.push({
+        source: 'part',
+        partId: part.partId || null,
+        attachmentId: part.body?.attachmentId || null,
+        mimeType: part.mimeType,
+        alt: '',
+        logoHint: /logo/i.test(part.filename || ''),
+        ...extra
+      });
+    };
+
+    const htmlContent = parts
+      .filter(part => part.mimeType === 'text/html')
+      .map(decodePartBody)
+      .join('');
+    const $ = cheerio.load(htmlContent || '');
+    const seenUrls = new Set();
+
+    $('img').each((i, elem) => {
+      const $img = $(elem);
+      const src = ($img.attr('src') || '').trim();
+      if (!src || isTrackingPixel($img)) return;
+
+      const alt = $img.attr('alt') || '';
+      const logoHint = /logo/i.test([alt, src, $img.attr('class'), $img.attr('id')].join(' '));
+
+      // Inline images embedded in the message (<img src="cid:...">)
+      if (/^cid:/i.test(src)) {
+        const contentId = decodeURIComponent(src.slice(4));
+        const part = imageParts.find(candidate => contentIdOf(candidate) === contentId);
+        if (part) addPart(part, { alt, logoHint: logoHint || /logo/i.test(part.filename || '') });
+        return;
+      }
+
+      const url = getSafeUrl(src.startsWith('//') ? `https:${src}` : src);
+      if (!url || seenUrls.has(url)) return;
+      seenUrls.add(url);
+      candidates.push({ source: 'remote', url, alt, logoHint });
+    });
+
+    // Attached images the HTML does not reference
+    imageParts.forEach(part => addPart(part));
+  } catch (error) {
+    console.error('Image extraction error:', error);
+  }
+
+  return candidates.slice(0, IMAGE_CONFIG.maxCandidates);
+}
+
+// Helper to recursively get all email parts
+function getAllParts(payload, parts = []) {
+  if (payload.parts) {
+    payload.parts.forEach(part => getAllParts(part, parts));
+  } else {
+    parts.push(payload);
+  }
+  return parts;
+}
+
+// Get the best food image from email (cached images only; see IMAGE CACHE)
+function selectBestDealImage(images) {
+  const cached = (images.dealImages || []).filter(image => image.hash);
+  if (cached.length === 0) return null;
+
+  // Prefer larger images (likely hero images)
+  const [best] = [...cached].sort((a, b) => b.width * b.height - a.width * a.height);
+  return getCachedImageUrl(best.hash);
+}
+
+// Get restaurant logo
+function selectBestLogoImage(images, restaurantName) {
+  const logo = (images.logoImages || []).find(image => image.hash);
+  if (logo) return getCachedImageUrl(logo.hash);
+
+  return getDefaultLogoUrl(restaurantName);
+}
+
+// ============================================
+// IMAGE CACHE
+// ============================================
+
+// Remote email images are usually tracking-wrapped links that expire after a
+// few weeks. The chosen deal image and logo of every email are downloaded
+// once at scan time, measured from their bytes, and stored on disk under
+// the SHA-256 of their content. Cards load them from /api/images/:hash, so
+// they keep working after the sender's link dies and the sender never sees
+// when a user looks at a deal.
+
+const IMAGE_CONFIG = {
+  cacheDir: path.resolve(process.env.IMAGE_CACHE_DIR || path.join(__dirname, 'image-cache')),
+  maxCandidates: 12,
+  fetchConcurrency: 4,
+  fetchTimeoutMs: 8000,
+  maxBytes: 5 * 1024 * 1024,
+  // Anything thinner than this is a pixel, spacer or divider line
+  minSide: 16,
+  minArea: 32 * 32,
+  maxAspectRatio: 12,
+  // Smaller images are treated as logos or icons rather than deal photos
+  dealMinWidth: 200,
+  dealMinArea: 200 * 120
+};
+
+const IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Address ranges requests to untrusted URLs (email images, webhooks) may not reach
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_NETWORKS.check(mapped[1], 'ipv4');
+  return BLOCKED_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for untrusted URLs that refuses private and loopback addresses.
+// Passed to axios as `lookup`, so it runs on every request and a host that
+// later re-resolves to an internal address is still refused.
+async function lookupPublicAddress(hostname, options) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`Refusing to connect to ${hostname}: it is a private or loopback address`);
+  }
+  return addresses[0];
+}
+
+// IP literals skip the DNS lookup, so they are checked up front
+function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new Error(`Refusing to connect to ${host}: it is a private or loopback address`);
+  }
+}
+
+// Read the real type and pixel size from an image's header bytes.
+// Returns { contentType, width, height } or null for anything that is not a
+// PNG, JPEG, GIF or WebP (expired links often answer 200 with an HTML page).
+function probeImage(buffer) {
+  if (buffer.length < 12) return null;
+
+  if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.length >= 24) {
+    return { contentType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.toString('latin1', 0, 4) === 'GIF8') {
+    return { contentType: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' && buffer.length >= 30) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { contentType: 'image/webp', width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { contentType: 'image/webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { contentType: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    // Walk the JPEG segments to the frame header (SOF0-SOF15, minus DHT/JPG/DAC)
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xFF) return null;
+      const marker = buffer[offset + 1];
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { contentType: 'image/jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+// 'pixel' | 'spacer' | 'logo' | 'deal', judged from the measured size
+function classifyImage(candidate, { width, height }) {
+  if (width <= 2 || height <= 2) return 'pixel';
+
+  const aspectRatio = Math.max(width, height) / Math.min(width, height);
+  if (Math.min(width, height) < IMAGE_CONFIG.minSide
+    || width * height < IMAGE_CONFIG.minArea
+    || aspectRatio > IMAGE_CONFIG.maxAspectRatio) {
+    return 'spacer';
+  }
+
+  if (candidate.logoHint || width < IMAGE_CONFIG.dealMinWidth || width * height < IMAGE_CONFIG.dealMinArea) {
+    return 'logo';
+  }
+  return 'deal';
+}
+
+async function fetchRemoteImage(url) {
+  assertPublicHost(new URL(url).hostname);
+
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: IMAGE_CONFIG.fetchTimeoutMs,
+    maxContentLength: IMAGE_CONFIG.maxBytes,
+    maxRedirects: 3,
+    lookup: lookupPublicAddress,
+    beforeRedirect: options => assertPublicHost(options.hostname),
+    headers: { Accept: 'image/*', 'User-Agent': 'DealDine-ImageCache/1.0' }
+  });
+
+  return Buffer.from(response.data);
+}
+
+// Bytes of an image part: small parts come inline, the rest are fetched
+// through the Gmail API (needs auth)
+async function fetchImagePart(auth, messageId, candidate, parts) {
+  const part = parts.find(p => candidate.partId && p.partId === candidate.partId);
+  if (part?.body?.data) return Buffer.from(part.body.data, 'base64');
+  if (!auth || !candidate.attachmentId) return null;
+
+  const gmail = google.gmail({ version: 'v1', auth });
+  const { data } = await gmail.users.messages.attachments.get({
+    userId: 'me',
+    messageId,
+    id: part?.body?.attachmentId || candidate.attachmentId
+  });
+
+  return data.size > IMAGE_CONFIG.maxBytes ? null : Buffer.from(data.data || '', 'base64');
+}
+
+function getCachedImageUrl(hash) {
+  return `/api/images/${hash}`;
+}
+
+function getCachedImagePath(hash, contentType) {
+  return path.join(IMAGE_CONFIG.cacheDir, `${hash}.${IMAGE_TYPES[contentType]}`);
+}
+
+// Cache URLs are stored relative to the API; emails, webhooks and push need
+// them absolute
+function getPublicImageUrl(value) {
+  if (typeof value === 'string' && value.startsWith('/api/images/')) return `${API_PUBLIC_URL}${value}`;
+  return value || null;
+}
+
+// Write an image under the hash of its bytes (a no-op when it is already cached)
+async function storeCachedImage(buffer, contentType) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const filePath = getCachedImagePath(hash, contentType);
+
+  try {
+    await fs.promises.access(filePath);
+  } catch (error) {
+    await fs.promises.mkdir(IMAGE_CONFIG.cacheDir, { recursive: true });
+    // Write then rename so a concurrent reader never sees half a file
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  return hash;
+}
+
+// Path and type of a cached image, or null
+async function findCachedImage(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash)) return null;
+
+  for (const contentType of Object.keys(IMAGE_TYPES)) {
+    const filePath = getCachedImagePath(hash, contentType);
+    try {
+      await fs.promises.access(filePath);
+      return { filePath, contentType };
+    } catch (error) {
+      // Not stored with this extension
+    }
+  }
+  return null;
+}
+
+// Download and measure candidates, keep the best deal image and logo in the
+// cache and return them in `emails.images` shape:
+//   { dealImages: [{ hash, contentType, width, height, alt }], logoImages: [...] }
+// Candidates that fail to download or are not real images are skipped.
+async function cacheImageCandidates(auth, messageId, candidates, parts = []) {
+  const measured = await mapWithConcurrency(candidates, IMAGE_CONFIG.fetchConcurrency, async candidate => {
+    try {
+      const buffer = candidate.source === 'remote'
+        ? await fetchRemoteImage(candidate.url)
+        : await fetchImagePart(auth, messageId, candidate, parts);
+      const probe = buffer && probeImage(buffer);
+      return probe ? { candidate, buffer, ...probe, kind: classifyImage(candidate, probe) } : null;
+    } catch (error) {
+      console.warn(`Could not fetch email image (${candidate.url || candidate.partId}): ${error.message}`);
+      return null;
+    }
+  });
+
+  const usable = measured.filter(Boolean);
+  const [deal] = usable
+    .filter(image => image.kind === 'deal')
+    .sort((a, b) => b.width * b.height - a.width * a.height);
+  // Logos named as such first, then the first small image (usually the header)
+  const logos = usable.filter(image => image.kind === 'logo');
+  const logo = logos.find(image => image.candidate.logoHint) || logos[0];
+
+  const store = async image => image ? [{
+    hash: await storeCachedImage(image.buffer, image.contentType),
+    contentType: image.contentType,
+    width: image.width,
+    height: image.height,
+    alt: image.candidate.alt || ''
+  }] : [];
+
+  return { dealImages: await store(deal), logoImages: await store(logo) };
+}
+
+// Cache the images of a Gmail message. auth may be null (attachments that
+// need a Gmail call are then skipped).
+async function cacheEmailImages(auth, email) {
+  return cacheImageCandidates(auth, email.id, extractImagesFromEmail(email), getAllParts(email.payload));
+}
+
+// Emails stored before the image cache hold remote URLs and unfetched
+// attachment ids. Turn them into cache entries; returns null when the stored
+// images are already cached.
+async function upgradeStoredEmailImages(auth, storedEmail) {
+  const images = storedEmail.images || {};
+  const legacy = [...(images.dealImages || []), ...(images.logoImages || [])].filter(image => !image.hash);
+  if (legacy.length === 0) return null;
+
+  const candidates = legacy.map(image => image.attachmentId
+    ? { source: 'part', partId: null, attachmentId: image.attachmentId, mimeType: image.mimeType, alt: '', logoHint: false }
+    : { source: 'remote', url: getSafeUrl(image.url), alt: image.alt || '', logoHint: /logo/i.test(`${image.alt} ${image.url}`) })
+    .filter(candidate => candidate.source === 'part' || candidate.url);
+
+  return cacheImageCandidates(auth, storedEmail.email_id, candidates.slice(0, IMAGE_CONFIG.maxCandidates));
+}
+
+// ============================================
+// 4. DATABASE - STORAGE BACKENDS & MIGRATIONS
+// ============================================
+
+// All persistence goes through `db`, a small table gateway with two
+// interchangeable backends: Supabase (hosted Postgres) and an embedded
+// SQLite file for running and testing without a hosted database.
+//
+//   db.select(table, { filters, order, limit, columns }) -> rows
+//   db.selectOne(table, filters)                         -> row | null
+//   db.insert(table, rows)                               -> inserted rows
+//   db.upsert(table, rows, { onConflict, ignoreDuplicates }) -> written rows
+//   db.update(table, filters, patch)                     -> updated rows
+//   db.remove(table, filters)
+//   db.aggregate(table, { filters, sum })                -> { count, sum: { column: total } }
+//   db.distinct(table, column, filters)                  -> sorted distinct values
+//
+// Filters are [column, operator, value] triples joined with AND.
+// Operators: eq, neq, gt, gte, lt, lte, in, notIn, isNull, notNull, plus
+//   [null, 'or', [filters, filters, ...]]  any of several AND-groups
+//   [column, 'search', text]               full-text match of every word
+//                                          (Postgres: a tsvector computed
+//                                          field; SQLite: the <table>_search
+//                                          FTS5 index keyed by row_id)
+// Order is a list of { column, ascending, nullsLast }.
+
+const STORAGE_CONFIG = {
+  backend: (process.env.STORAGE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'sqlite')).toLowerCase(),
+  sqlitePath: process.env.SQLITE_PATH || path.join(__dirname, 'dealdine.db'),
+  // Start even when the Supabase schema is behind (routes needing the
+  // missing tables will fail)
+  allowPendingMigrations: process.env.ALLOW_PENDING_MIGRATIONS === 'true'
+};
+
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+// Map the free-text deal types saved before the taxonomy onto DEAL_TYPES
+// (same SQL for both dialects)
+const DEAL_TYPE_BACKFILL_SQL = `
+UPDATE deals SET deal_type = CASE
+  WHEN deal_type IN (${DEAL_TYPES.map(type => `'${type}'`).join(', ')}) THEN deal_type
+  WHEN lower(deal_type) LIKE '%bogo%' OR lower(deal_type) LIKE '%buy one%' THEN 'BOGO'
+  WHEN lower(deal_type) LIKE '%percent%' THEN 'Percent Off'
+  WHEN lower(deal_type) LIKE '%dollar%' OR lower(deal_type) LIKE '%amount%' THEN 'Dollar Off'
+  WHEN lower(deal_type) LIKE '%free%' THEN 'Free Item'
+  WHEN lower(deal_type) LIKE '%bundle%' OR lower(deal_type) LIKE '%combo%' OR lower(deal_type) LIKE '%meal%' THEN 'Bundle'
+  WHEN lower(deal_type) LIKE '%price%' THEN 'Fixed Price'
+  ELSE 'Other'
+END
+WHERE deal_type IS NOT NULL;`;
+
+// Versioned schema. Postgres migrations are idempotent so databases created
+// from the old schema comment can run them safely. SQLite declares JSON and
+// BOOLEAN column types, which the SQLite backend converts on the way in/out.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    postgres: `
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email TEXT UNIQUE NOT NULL,
+  gmail_tokens JSONB,
+  notification_preferences JSONB DEFAULT '{"email": true, "expiringSoon": true}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS deals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  email_id TEXT NOT NULL,
+  restaurant TEXT NOT NULL,
+  deal_description TEXT NOT NULL,
+  original_price DECIMAL(10,2),
+  discounted_price DECIMAL(10,2),
+  savings DECIMAL(10,2) NOT NULL,
+  expiry_date DATE,
+  deal_code TEXT,
+  terms_and_conditions TEXT,
+  deal_type TEXT,
+  image_url TEXT,
+  logo_url TEXT,
+  is_active BOOLEAN DEFAULT true,
+  is_notified BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_restaurant_preferences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  restaurant TEXT NOT NULL,
+  is_selected BOOLEAN DEFAULT true,
+  UNIQUE(user_id, restaurant)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deals_user_id ON deals(user_id);
+CREATE INDEX IF NOT EXISTS idx_deals_expiry ON deals(expiry_date);
+CREATE INDEX IF NOT EXISTS idx_deals_active ON deals(is_active);`,
+    sqlite: `
+CREATE TABLE users (
+  id TEXT PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  gmail_tokens JSON,
+  notification_preferences JSON DEFAULT '{"email": true, "expiringSoon": true}',
+  created_at TEXT DEFAULT ${SQLITE_NOW}
+);
+
+CREATE TABLE deals (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  email_id TEXT NOT NULL,
+  restaurant TEXT NOT NULL,
+  deal_description TEXT NOT NULL,
+  original_price DECIMAL(10,2),
+  discounted_price DECIMAL(10,2),
+  savings DECIMAL(10,2) NOT NULL,
+  expiry_date TEXT,
+  deal_code TEXT,
+  terms_and_conditions TEXT,
+  deal_type TEXT,
+  image_url TEXT,
+  logo_url TEXT,
+  is_active BOOLEAN DEFAULT 1,
+  is_notified BOOLEAN DEFAULT 0,
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  updated_at TEXT DEFAULT ${SQLITE_NOW}
+);
+
+CREATE TABLE user_restaurant_preferences (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  restaurant TEXT NOT NULL,
+  is_selected BOOLEAN DEFAULT 1,
+  UNIQUE(user_id, restaurant)
+);
+
+CREATE INDEX idx_deals_user_id ON deals(user_id);
+CREATE INDEX idx_deals_expiry ON deals(expiry_date);
+CREATE INDEX idx_deals_active ON deals(is_active);`
+  },
+  {
+    version: 2,
+    name: 'multiple_deals_per_email',
+    postgres: `
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS deal_index INTEGER NOT NULL DEFAULT 0;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deals_user_email_index ON deals(user_id, email_id, deal_index);
+CREATE INDEX IF NOT EXISTS idx_deals_email_id ON deals(user_id, email_id);`,
+    sqlite: `
+ALTER TABLE deals ADD COLUMN deal_index INTEGER NOT NULL DEFAULT 0;
+CREATE UNIQUE INDEX idx_deals_user_email_index ON deals(user_id, email_id, deal_index);
+CREATE INDEX idx_deals_email_id ON deals(user_id, email_id);`
+  },
+  {
+    version: 3,
+    name: 'gmail_history_sync',
+    postgres: `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS gmail_history_id TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS gmail_synced_at TIMESTAMP;`,
+    sqlite: `
+ALTER TABLE users ADD COLUMN gmail_history_id TEXT;
+ALTER TABLE users ADD COLUMN gmail_synced_at TEXT;`
+  },
+  {
+    version: 4,
+    name: 'restaurant_catalog',
+    postgres: `
+CREATE TABLE IF NOT EXISTS restaurants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  sender_domains TEXT[] NOT NULL DEFAULT '{}',
+  query_terms TEXT[] NOT NULL DEFAULT '{}',
+  logo_url TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);`,
+    sqlite: `
+CREATE TABLE restaurants (
+  id TEXT PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  aliases JSON NOT NULL DEFAULT '[]',
+  sender_domains JSON NOT NULL DEFAULT '[]',
+  query_terms JSON NOT NULL DEFAULT '[]',
+  logo_url TEXT,
+  created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  updated_at TEXT DEFAULT ${SQLITE_NOW}
+);`
+  },
+  {
+    version: 5,
+    name: 'deal_expiry_resolution',
+    postgres: `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS expiry_confidence TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS expiry_text TEXT;
+UPDATE deals
+  SET expires_at = (expiry_date + INTERVAL '1 day' - INTERVAL '1 millisecond') AT TIME ZONE 'UTC'
+  WHERE expires_at IS NULL AND expiry_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deals_expires_at ON deals(expires_at);`,
+    sqlite: `
+ALTER TABLE users ADD COLUMN timezone TEXT;
+ALTER TABLE deals ADD COLUMN expires_at TEXT;
+ALTER TABLE deals ADD COLUMN expiry_confidence TEXT;
+ALTER TABLE deals ADD COLUMN expiry_text TEXT;
+UPDATE deals
+  SET expires_at = expiry_date || 'T23:59:59.999Z'
+  WHERE expires_at IS NULL AND expiry_date IS NOT NULL;
+CREATE INDEX idx_deals_expires_at ON deals(expires_at);`
+  },
+  {
+    version: 6,
+    name: 'deal_fingerprints',
+    postgres: `
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS source_email_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS seen_count INTEGER NOT NULL DEFAULT 1;
+UPDATE deals SET source_email_ids = ARRAY[email_id] WHERE source_email_ids = '{}';
+CREATE INDEX IF NOT EXISTS idx_deals_fingerprint ON deals(user_id, fingerprint);
+CREATE INDEX IF NOT EXISTS idx_deals_restaurant ON deals(user_id, restaurant);`,
+    sqlite: `
+ALTER TABLE deals ADD COLUMN fingerprint TEXT;
+ALTER TABLE deals ADD COLUMN source_email_ids JSON NOT NULL DEFAULT '[]';
+ALTER TABLE deals ADD COLUMN seen_count INTEGER NOT NULL DEFAULT 1;
+UPDATE deals SET source_email_ids = json_array(email_id) WHERE source_email_ids = '[]';
+CREATE INDEX idx_deals_fingerprint ON deals(user_id, fingerprint);
+CREATE INDEX idx_deals_restaurant ON deals(user_id, restaurant);`
+  },
+  {
+    version: 7,
+    name: 'deal_type_taxonomy',
+    postgres: `
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS deal_params JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS savings_estimated BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS reference_prices JSONB NOT NULL DEFAULT '{}'::jsonb;
+${DEAL_TYPE_BACKFILL_SQL}
+CREATE INDEX IF NOT EXISTS idx_deals_type ON deals(user_id, deal_type);`,
+    sqlite: `
+ALTER TABLE deals ADD COLUMN deal_params JSON NOT NULL DEFAULT '{}';
+ALTER TABLE deals ADD COLUMN savings_estimated BOOLEAN NOT NULL DEFAULT 0;
+ALTER TABLE restaurants ADD COLUMN reference_prices JSON NOT NULL DEFAULT '{}';
+${DEAL_TYPE_BACKFILL_SQL}
+CREATE INDEX idx_deals_type ON deals(user_id, deal_type);`
+  },
+  {
+    version: 8,
+    name: 'extraction_review',
+    postgres: `
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS raw_restaurant TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS field_confidence JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS extraction_confidence REAL;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'auto';
+CREATE INDEX IF NOT EXISTS idx_deals_review ON deals(user_id, review_status);
+
+CREATE TABLE IF NOT EXISTS deal_corrections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  deal_id UUID REFERENCES deals(id) ON DELETE SET NULL,
+  email_id TEXT,
+  field TEXT NOT NULL,
+  action TEXT NOT NULL,
+  original_value JSONB,
+  corrected_value JSONB,
+  confidence REAL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_deal_corrections_user ON deal_corrections(user_id, created_at);`,
+    sqlite: `
+ALTER TABLE deals ADD COLUMN raw_restaurant TEXT;
+ALTER TABLE deals ADD COLUMN field_confidence JSON NOT NULL DEFAULT '{}';
+ALTER TABLE deals ADD COLUMN extraction_confidence REAL;
+ALTER TABLE deals ADD COLUMN review_status TEXT NOT NULL DEFAULT 'auto';
+CREATE INDEX idx_deals_review ON deals(user_id, review_status);
+
+CREATE TABLE deal_corrections (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  deal_id TEXT REFERENCES deals(id) ON DELETE SET NULL,
+  email_id TEXT,
+  field TEXT NOT NULL,
+  action TEXT NOT NULL,
+  original_value JSON,
+  corrected_value JSON,
+  confidence REAL,
+  created_at TEXT DEFAULT ${SQLITE_NOW}
+);
+CREATE INDEX idx_deal_corrections_user ON deal_corrections(user_id, created_at);`
+  },
+  {
+    version: 9,
+    name: 'stored_emails',
+    postgres: `
+CREATE TABLE IF NOT EXISTS emails (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  email_id TEXT NOT NULL,
+  subject TEXT,
+  sender TEXT,
+  sent_at TIMESTAMPTZ,
+  body_text TEXT NOT NULL,
+  body_source TEXT,
+  body_truncated BOOLEAN DEFAULT false,
+  images JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(user_id, email_id)
+);
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS extractor TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS prompt_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS extracted_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_deals_prompt_version ON deals(prompt_version);`,
+    sqlite: `
+CREATE TABLE emails (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  email_id TEXT NOT NULL,
+  subject TEXT,
+  sender TEXT,
+  sent_at TEXT,
+  body_text TEXT NOT NULL,
+  body_source TEXT,
+  body_truncated BOOLEAN DEFAULT 0,
+  images JSON NOT NULL DEFAULT '{}',
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  updated_at TEXT DEFAULT ${SQLITE_NOW},
+  UNIQUE(user_id, email_id)
+);
+
+ALTER TABLE deals ADD COLUMN extractor TEXT;
+ALTER TABLE deals ADD COLUMN prompt_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE deals ADD COLUMN extracted_at TEXT;
+CREATE INDEX idx_deals_prompt_version ON deals(prompt_version);`
+  },
+  {
+    version: 10,
+    name: 'scheduled_jobs',
+    postgres: `
+CREATE TABLE IF NOT EXISTS job_locks (
+  name TEXT PRIMARY KEY,
+  owner TEXT,
+  locked_until TIMESTAMPTZ NOT NULL DEFAULT 'epoch',
+  next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL,
+  instance_id TEXT,
+  status TEXT NOT NULL,
+  result JSONB,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(job_name, started_at);
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;`,
+    sqlite: `
+CREATE TABLE job_locks (
+  name TEXT PRIMARY KEY,
+  owner TEXT,
+  locked_until TEXT NOT NULL DEFAULT '1970-01-01T00:00:00.000Z',
+  next_run_at TEXT NOT NULL DEFAULT ${SQLITE_NOW}
+);
+
+CREATE TABLE job_runs (
+  id TEXT PRIMARY KEY,
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL,
+  instance_id TEXT,
+  status TEXT NOT NULL,
+  result JSON,
+  error TEXT,
+  started_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+  finished_at TEXT
+);
+CREATE INDEX idx_job_runs_started ON job_runs(job_name, started_at);
+
+ALTER TABLE deals ADD COLUMN expired_at TEXT;`
+  },
+  {
+    version: 11,
+    name: 'notification_history',
+    postgres: `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS deal_notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  deal_id UUID REFERENCES deals(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL DEFAULT 'expiring',
+  channel TEXT NOT NULL DEFAULT 'email',
+  mode TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_deal_notifications_user ON deal_notifications(user_id, sent_at);
+CREATE INDEX IF NOT EXISTS idx_deal_notifications_deal ON deal_notifications(deal_id);
+
+-- Deals alerted before the history was kept
+INSERT INTO deal_notifications (user_id, deal_id, mode, status, sent_at)
+SELECT d.user_id, d.id, 'instant', 'sent', COALESCE(d.updated_at, d.created_at, NOW())
+FROM deals d
+WHERE d.is_notified
+  AND NOT EXISTS (SELECT 1 FROM deal_notifications n WHERE n.deal_id = d.id);`,
+    sqlite: `
+ALTER TABLE users ADD COLUMN last_digest_at TEXT;
+
+CREATE TABLE deal_notifications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  deal_id TEXT REFERENCES deals(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL DEFAULT 'expiring',
+  channel TEXT NOT NULL DEFAULT 'email',
+  mode TEXT NOT NULL,
+  status TEXT NOT NULL,
+  error TEXT,
+  sent_at TEXT NOT NULL DEFAULT ${SQLITE_NOW}
+);
+CREATE INDEX idx_deal_notifications_user ON deal_notifications(user_id, sent_at);
+CREATE INDEX idx_deal_notifications_deal ON deal_notifications(deal_id);
+
+INSERT INTO deal_notifications (id, user_id, deal_id, mode, status, sent_at)
+SELECT lower(hex(randomblob(16))), user_id, id, 'instant', 'sent', COALESCE(updated_at, created_at, ${SQLITE_NOW})
+FROM deals
+WHERE is_notified = 1;`
+  },
+  {
+    version: 12,
+    name: 'new_deals_digest',
+    postgres: `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_new_deals_digest_at TIMESTAMPTZ;`,
+    sqlite: `
+ALTER TABLE users ADD COLUMN last_new_deals_digest_at TEXT;`
+  },
+  {
+    version: 13,
+    name: 'webhooks',
+    postgres: `
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  events JSONB NOT NULL DEFAULT '[]'::jsonb,
+  format TEXT NOT NULL DEFAULT 'json',
+  secret TEXT NOT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  replay_of UUID,
+  next_attempt_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user ON webhook_deliveries(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);`,
+    sqlite: `
+CREATE TABLE webhooks (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description TEXT,
+  events JSON NOT NULL DEFAULT '[]',
+  format TEXT NOT NULL DEFAULT 'json',
+  secret TEXT NOT NULL,
+  is_active BOOLEAN DEFAULT 1,
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  updated_at TEXT DEFAULT ${SQLITE_NOW}
+);
+CREATE INDEX idx_webhooks_user ON webhooks(user_id);
+
+CREATE TABLE webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT REFERENCES webhooks(id) ON DELETE CASCADE,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSON NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  replay_of TEXT,
+  next_attempt_at TEXT,
+  delivered_at TEXT,
+  created_at TEXT DEFAULT ${SQLITE_NOW}
+);
+CREATE INDEX idx_webhook_deliveries_user ON webhook_deliveries(user_id, created_at);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);`
+  },
+  {
+    version: 14,
+    name: 'push_subscriptions',
+    postgres: `
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);`,
+    sqlite: `
+CREATE TABLE push_subscriptions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  last_used_at TEXT
+);
+CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_id);`
+  },
+  {
+    version: 15,
+    name: 'deal_actions',
+    postgres: `
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS used_at TIMESTAMPTZ;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS dismissed_at TIMESTAMPTZ;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;`,
+    sqlite: `
+ALTER TABLE deals ADD COLUMN used_at TEXT;
+ALTER TABLE deals ADD COLUMN dismissed_at TEXT;
+ALTER TABLE deals ADD COLUMN snoozed_until TEXT;`
+  },
+  {
+    version: 16,
+    name: 'redemptions',
+    postgres: `
+CREATE TABLE IF NOT EXISTS redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  deal_id UUID REFERENCES deals(id) ON DELETE SET NULL,
+  restaurant TEXT NOT NULL,
+  deal_type TEXT,
+  deal_description TEXT,
+  amount_saved DECIMAL(10,2) NOT NULL DEFAULT 0,
+  expected_savings DECIMAL(10,2),
+  used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_redemptions_user ON redemptions(user_id, used_at);
+CREATE INDEX IF NOT EXISTS idx_redemptions_deal ON redemptions(deal_id);
+
+-- Deals marked used since used_at was recorded
+INSERT INTO redemptions (user_id, deal_id, restaurant, deal_type, deal_description, amount_saved, expected_savings, used_at)
+SELECT d.user_id, d.id, d.restaurant, d.deal_type, d.deal_description, COALESCE(d.savings, 0), d.savings, d.used_at
+FROM deals d
+WHERE d.used_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM redemptions r WHERE r.deal_id = d.id);`,
+    sqlite: `
+CREATE TABLE redemptions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  deal_id TEXT REFERENCES deals(id) ON DELETE SET NULL,
+  restaurant TEXT NOT NULL,
+  deal_type TEXT,
+  deal_description TEXT,
+  amount_saved DECIMAL(10,2) NOT NULL DEFAULT 0,
+  expected_savings DECIMAL(10,2),
+  used_at TEXT NOT NULL DEFAULT ${SQLITE_NOW},
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  updated_at TEXT DEFAULT ${SQLITE_NOW}
+);
+CREATE INDEX idx_redemptions_user ON redemptions(user_id, used_at);
+CREATE INDEX idx_redemptions_deal ON redemptions(deal_id);
+
+INSERT INTO redemptions (id, user_id, deal_id, restaurant, deal_type, deal_description, amount_saved, expected_savings, used_at)
+SELECT lower(hex(randomblob(16))), user_id, id, restaurant, deal_type, deal_description, COALESCE(savings, 0), savings, used_at
+FROM deals
+WHERE used_at IS NOT NULL;`
+  },
+  {
+    version: 17,
+    name: 'deal_search',
+    postgres: `
+-- Percent off the regular price, from the prices or the deal's percentOff
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS discount_percent DECIMAL(5,1) GENERATED ALWAYS AS (
+  CASE
+    WHEN original_price > 0 AND discounted_price IS NOT NULL AND discounted_price < original_price
+      THEN ROUND((original_price - discounted_price) * 100 / original_price, 1)
+    ELSE (deal_params->>'percentOff')::DECIMAL(5,1)
+  END
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_deals_user_created ON deals(user_id, created_at);
+
+-- Full-text search over restaurant, description and terms. A function of the
+-- row is a PostgREST computed field: it can be filtered on but is left out
+-- of select *.
+CREATE OR REPLACE FUNCTION search_document(deals) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT to_tsvector('english', concat_ws(' ', $1.restaurant, $1.deal_description, $1.terms_and_conditions))
+$$;
+CREATE INDEX IF NOT EXISTS idx_deals_search ON deals USING GIN (search_document(deals));`,
+    sqlite: `
+ALTER TABLE deals ADD COLUMN discount_percent REAL GENERATED ALWAYS AS (
+  CASE
+    WHEN original_price > 0 AND discounted_price IS NOT NULL AND discounted_price < original_price
+      THEN ROUND((original_price - discounted_price) * 100.0 / original_price, 1)
+    ELSE json_extract(deal_params, '$.percentOff')
+  END
+) VIRTUAL;
+CREATE INDEX idx_deals_user_created ON deals(user_id, created_at);
+
+CREATE VIRTUAL TABLE deals_search USING fts5(
+  row_id UNINDEXED, restaurant, deal_description, terms_and_conditions,
+  tokenize = 'porter unicode61'
+);
+CREATE TRIGGER deals_search_insert AFTER INSERT ON deals BEGIN
+  INSERT INTO deals_search (row_id, restaurant, deal_description, terms_and_conditions)
+  VALUES (new.id, new.restaurant, new.deal_description, new.terms_and_conditions);
+END;
+CREATE TRIGGER deals_search_update AFTER UPDATE OF restaurant, deal_description, terms_and_conditions ON deals BEGIN
+  UPDATE deals_search
+  SET restaurant = new.restaurant, deal_description = new.deal_description, terms_and_conditions = new.terms_and_conditions
+  WHERE row_id = new.id;
+END;
+CREATE TRIGGER deals_search_delete AFTER DELETE ON deals BEGIN
+  DELETE FROM deals_search WHERE row_id = old.id;
+END;
+INSERT INTO deals_search (row_id, restaurant, deal_description, terms_and_conditions)
+SELECT id, restaurant, deal_description, terms_and_conditions FROM deals;`
+  },
+  {
+    version: 18,
+    name: 'mail_sources',
+    postgres: `
+-- Where an email (and the deals found in it) came from: gmail, upload, paste
+-- or imap, plus the file name or "<account> / <folder>"
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'gmail';
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS source_ref TEXT;
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'gmail';
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS source_ref TEXT;
+
+CREATE TABLE IF NOT EXISTS imap_accounts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  host TEXT NOT NULL,
+  port INTEGER NOT NULL DEFAULT 993,
+  secure BOOLEAN NOT NULL DEFAULT true,
+  username TEXT NOT NULL,
+  password_encrypted TEXT NOT NULL,
+  folders JSONB NOT NULL DEFAULT '["INBOX"]'::jsonb,
+  sender_rules JSONB NOT NULL DEFAULT '{"include": [], "exclude": []}'::jsonb,
+  sync_state JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  last_synced_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_imap_accounts_user ON imap_accounts(user_id);`,
+    sqlite: `
+ALTER TABLE emails ADD COLUMN source TEXT NOT NULL DEFAULT 'gmail';
+ALTER TABLE emails ADD COLUMN source_ref TEXT;
+ALTER TABLE deals ADD COLUMN source TEXT NOT NULL DEFAULT 'gmail';
+ALTER TABLE deals ADD COLUMN source_ref TEXT;
+
+CREATE TABLE imap_accounts (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  label TEXT NOT NULL,
+  host TEXT NOT NULL,
+  port INTEGER NOT NULL DEFAULT 993,
+  secure BOOLEAN NOT NULL DEFAULT 1,
+  username TEXT NOT NULL,
+  password_encrypted TEXT NOT NULL,
+  folders JSON NOT NULL DEFAULT '["INBOX"]',
+  sender_rules JSON NOT NULL DEFAULT '{"include": [], "exclude": []}',
+  sync_state JSON NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT 1,
+  last_synced_at TEXT,
+  last_error TEXT,
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  updated_at TEXT DEFAULT ${SQLITE_NOW}
+);
+CREATE INDEX idx_imap_accounts_user ON imap_accounts(user_id);`
+  },
+  {
+    version: 19,
+    name: 'user_restaurant_aliases',
+    postgres: `
+-- Restaurant names a user taught through the review queue. They only apply
+-- to that user's emails; the shared catalog is left alone.
+CREATE TABLE IF NOT EXISTS user_restaurant_aliases (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  alias_key TEXT NOT NULL,
+  alias TEXT NOT NULL,
+  restaurant TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, alias_key)
+);`,
+    sqlite: `
+CREATE TABLE user_restaurant_aliases (
+  id TEXT PRIMARY KEY,
+  user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+  alias_key TEXT NOT NULL,
+  alias TEXT NOT NULL,
+  restaurant TEXT NOT NULL,
+  created_at TEXT DEFAULT ${SQLITE_NOW},
+  UNIQUE (user_id, alias_key)
+);`
+  },
+  {
+    version: 20,
+    name: 'email_extraction_state',
+    postgres: `
+-- Set once extraction finished on a stored email, with or without deals.
+-- Scans skip these; emails stored before a failed extraction are retried.
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS extracted_at TIMESTAMPTZ;`,
+    sqlite: `
+ALTER TABLE emails ADD COLUMN extracted_at TEXT;`
+  },
+  {
+    version: 21,
+    name: 'postgrest_aggregates',
+    postgres: `
+-- db.aggregate() and db.distinct() use PostgREST aggregate functions
+-- (count(), sum()), which are off by default
+ALTER ROLE authenticator SET pgrst.db_aggregates_enabled = 'true';
+NOTIFY pgrst, 'reload config';`,
+    // SQLite runs the aggregates directly
+    sqlite: ''
+  }
+];
+
+// Full Postgres script for the Supabase SQL editor (`npm run db:sql`)
+function buildPostgresMigrationScript(migrations = MIGRATIONS) {
+  const steps = migrations.map(migration => `
+-- ${migration.version}: ${migration.name}
+${migration.postgres.trim()}
+INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}')
+  ON CONFLICT (version) DO NOTHING;`);
+
+  return `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMP DEFAULT NOW()
+);
+${steps.join('\n')}
+`;
+}
+
+// Quote a value for a PostgREST filter string
+function toPostgrestValue(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Quote values for a PostgREST in.(...) filter
+function toPostgrestList(values) {
+  return `(${values.map(toPostgrestValue).join(',')})`;
+}
+
+// One filter triple as a PostgREST condition inside or=(...)
+function toPostgrestCondition([column, operator, value]) {
+  switch (operator) {
+    case 'eq':
+    case 'neq':
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return `${column}.${operator}.${toPostgrestValue(value)}`;
+    case 'in':
+      return `${column}.in.${toPostgrestList(value)}`;
+    case 'notIn':
+      return `${column}.not.in.${toPostgrestList(value)}`;
+    case 'isNull':
+      return `${column}.is.null`;
+    case 'notNull':
+      return `${column}.not.is.null`;
+    default:
+      throw new Error(`Unsupported filter operator inside or: ${operator}`);
+  }
+}
+
+// Words of a search as an FTS5 query that matches all of them
+function toFtsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"`).join(' ');
+}
+
+function toRowList(rows) {
+  return Array.isArray(rows) ? rows : [rows];
+}
+
+function createSupabaseStorage() {
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+  );
+
+  function applyFilters(query, filters = []) {
+    for (const [column, operator, value] of filters) {
+      switch (operator) {
+        case 'eq':
+        case 'neq':
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte':
+        case 'in':
+          query = query[operator](column, value);
+          break;
+        case 'notIn':
+          if (value.length > 0) query = query.not(column, 'in', toPostgrestList(value));
+          break;
+        case 'isNull':
+          query = query.is(column, null);
+          break;
+        case 'notNull':
+          query = query.not(column, 'is', null);
+          break;
+        case 'search':
+          query = query.textSearch(column, value, { type: 'websearch', config: 'english' });
+          break;
+        case 'or':
+          query = query.or(value.map(group => `and(${group.map(toPostgrestCondition).join(',')})`).join(','));
+          break;
+        default:
+          throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    }
+    return query;
+  }
+
+  async function run(query) {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  return {
+    name: 'supabase',
+
+    async select(table, { filters, order = [], limit, columns } = {}) {
+      let query = applyFilters(
+        supabase.from(table).select(columns ? columns.join(',') : '*'),
+        filters
+      );
+      for (const { column, ascending = true, nullsLast = false } of order) {
+        query = query.order(column, { ascending, nullsFirst: !nullsLast });
+      }
+      if (limit) query = query.limit(limit);
+      return run(query);
+    },
+
+    async selectOne(table, filters) {
+      const rows = await this.select(table, { filters, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async insert(table, rows) {
+      return run(supabase.from(table).insert(toRowList(rows)).select());
+    },
+
+    async upsert(table, rows, { onConflict, ignoreDuplicates = false } = {}) {
+      return run(
+        supabase
+          .from(table)
+          .upsert(toRowList(rows), { onConflict: onConflict.join(','), ignoreDuplicates })
+          .select()
+      );
+    },
+
+    async update(table, filters, patch) {
+      return run(applyFilters(supabase.from(table).update(patch), filters).select());
+    },
+
+    async remove(table, filters) {
+      await run(applyFilters(supabase.from(table).delete(), filters));
+    },
+
+    // PostgREST aggregate functions (enabled by migration 21)
+    async aggregate(table, { filters, sum = [] } = {}) {
+      const columns = ['count:count()', ...sum.map((column, i) => `sum${i}:${column}.sum()`)];
+      const [row = {}] = await run(applyFilters(supabase.from(table).select(columns.join(',')), filters));
+
+      return {
+        count: Number(row.count) || 0,
+        sum: Object.fromEntries(sum.map((column, i) => [column, Number(row[`sum${i}`]) || 0]))
+      };
+    },
+
+    // Selecting a column next to an aggregate groups by it
+    async distinct(table, column, filters) {
+      const rows = await run(applyFilters(supabase.from(table).select(`${column},count()`), filters));
+      return rows.map(row => row[column]).filter(value => value != null).sort();
+    },
+
+    // The anon key cannot run DDL, so only report what is missing
+    async migrate(migrations) {
+      const { data, error } = await supabase.from('schema_migrations').select('version');
+      const applied = new Set(error ? [] : data.map(row => row.version));
+      const pending = migrations.filter(migration => !applied.has(migration.version));
+
+      if (pending.length === 0) return;
+
+      const message = `Supabase schema is missing migrations ${pending.map(m => m.version).join(', ')}. ` +
+        'Run "npm run db:sql" and paste the output into the Supabase SQL editor.';
+      if (!STORAGE_CONFIG.allowPendingMigrations) {
+        throw new Error(`${message} (Set ALLOW_PENDING_MIGRATIONS=true to start anyway.)`);
+      }
+      console.warn(message);
+    }
+  };
+}
+
+function createSqliteStorage(filename) {
+  const Database = require('better-sqlite3');
+  const sqlite = new Database(filename);
+  sqlite.pragma('journal_mode = WAL');
+  sqlite.pragma('foreign_keys = ON');
+
+  // table -> Map(column -> declared type), read from PRAGMA table_xinfo so
+  // generated columns are included
+  const columnTypes = new Map();
+  // table -> Set of generated columns, which can be read but not written
+  const generatedColumns = new Map();
+
+  const quote = identifier => `"${String(identifier).replace(/"/g, '""')}"`;
+
+  function getColumnTypes(table) {
+    if (!columnTypes.has(table)) {
+      const columns = sqlite.prepare(`PRAGMA table_xinfo(${quote(table)})`).all()
+        .filter(c => c.hidden !== 1);
+      if (columns.length === 0) throw new Error(`Unknown table: ${table}`);
+      columnTypes.set(table, new Map(columns.map(c => [c.name, c.type.toUpperCase()])));
+      generatedColumns.set(table, new Set(columns.filter(c => c.hidden > 1).map(c => c.name)));
+    }
+    return columnTypes.get(table);
+  }
+
+  function toSqliteValue(type, value) {
+    if (value === undefined || value === null) return null;
+    if (type === 'JSON') return JSON.stringify(value);
+    if (type === 'BOOLEAN') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  }
+
+  function fromSqliteRow(table, row) {
+    const types = getColumnTypes(table);
+    const result = {};
+
+    for (const [column, value] of Object.entries(row)) {
+      const type = types.get(column);
+      if (value === null) result[column] = null;
+      else if (type === 'JSON') result[column] = JSON.parse(value);
+      else if (type === 'BOOLEAN') result[column] = Boolean(value);
+      else result[column] = value;
+    }
+
+    return result;
+  }
+
+  function buildConditions(table, filters = []) {
+    const types = getColumnTypes(table);
+    const clauses = [];
+    const params = [];
+    const comparisons = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+    for (const [column, operator, value] of filters) {
+      if (operator === 'or') {
+        const groups = value.map(group => buildConditions(table, group));
+        clauses.push(groups.length === 0
+          ? '0'
+          : `(${groups.map(group => (group.clauses.length > 0 ? `(${group.clauses.join(' AND ')})` : '1')).join(' OR ')})`);
+        params.push(...groups.flatMap(group => group.params));
+        continue;
+      }
+      if (operator === 'search') {
+        // The column names the Postgres search field; SQLite keeps a
+        // separate FTS5 table in step with this one through triggers
+        const ftsQuery = toFtsQuery(value);
+        const index = quote(`${table}_search`);
+        clauses.push(ftsQuery ? `${quote('id')} IN (SELECT row_id FROM ${index} WHERE ${index} MATCH ?)` : '0');
+        if (ftsQuery) params.push(ftsQuery);
+        continue;
+      }
+
+      if (!types.has(column)) throw new Error(`Unknown column ${table}.${column}`);
+      const type = types.get(column);
+
+      if (comparisons[operator]) {
+        clauses.push(`${quote(column)} ${comparisons[operator]} ?`);
+        params.push(toSqliteValue(type, value));
+      } else if (operator === 'in' || operator === 'notIn') {
+        if (value.length === 0) {
+          clauses.push(operator === 'in' ? '0' : '1');
+          continue;
+        }
+        const not = operator === 'notIn' ? 'NOT ' : '';
+        clauses.push(`${quote(column)} ${not}IN (${value.map(() => '?').join(', ')})`);
+        params.push(...value.map(item => toSqliteValue(type, item)));
+      } else if (operator === 'isNull') {
+        clauses.push(`${quote(column)} IS NULL`);
+      } else if (operator === 'notNull') {
+        clauses.push(`${quote(column)} IS NOT NULL`);
+      } else {
+        throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    }
+
+    return { clauses, params };
+  }
+
+  function buildWhere(table, filters = []) {
+    const { clauses, params } = buildConditions(table, filters);
+    return {
+      sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  function prepareRow(table, row, { generateId = false } = {}) {
+    const types = getColumnTypes(table);
+    const prepared = {};
+
+    if (generateId && types.has('id') && row.id == null) {
+      prepared.id = crypto.randomUUID();
+    }
+    for (const [column, value] of Object.entries(row)) {
+      if (value === undefined) continue;
+      if (!types.has(column)) throw new Error(`Unknown column ${table}.${column}`);
+      if (generatedColumns.get(table).has(column)) throw new Error(`Generated column ${table}.${column} cannot be written`);
+      prepared[column] = toSqliteValue(types.get(column), value);
+    }
+
+    return prepared;
+  }
+
+  // Insert rows one statement at a time inside a transaction; `onConflictSql`
+  // builds the ON CONFLICT clause for the row's columns (upsert)
+  function insertRows(table, rows, onConflictSql = () => '') {
+    const insertAll = sqlite.transaction(() => toRowList(rows).map(row => {
+      const prepared = prepareRow(table, row, { generateId: true });
+      const columns = Object.keys(prepared);
+      const sql = `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')}) ` +
+        `VALUES (${columns.map(() => '?').join(', ')})${onConflictSql(columns)} RETURNING *`;
+
+      const result = sqlite.prepare(sql).get(...Object.values(prepared));
+      return result ? fromSqliteRow(table, result) : null;
+    }));
+
+    return insertAll().filter(Boolean);
+  }
+
+  return {
+    name: 'sqlite',
+
+    async select(table, { filters, order = [], limit, columns } = {}) {
+      const where = buildWhere(table, filters);
+      const orderSql = order.length > 0
+        ? ` ORDER BY ${order.map(({ column, ascending = true, nullsLast = false }) =>
+          `${quote(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsLast ? 'LAST' : 'FIRST'}`
+        ).join(', ')}`
+        : '';
+      const limitSql = limit ? ` LIMIT ${Number(limit)}` : '';
+      const columnSql = columns ? columns.map(quote).join(', ') : '*';
+
+      return sqlite
+        .prepare(`SELECT ${columnSql} FROM ${quote(table)}${where.sql}${orderSql}${limitSql}`)
+        .all(...where.params)
+        .map(row => fromSqliteRow(table, row));
+    },
+
+    async selectOne(table, filters) {
+      const rows = await this.select(table, { filters, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async insert(table, rows) {
+      return insertRows(table, rows);
+    },
+
+    async upsert(table, rows, { onConflict, ignoreDuplicates = false } = {}) {
+      return insertRows(table, rows, (columns) => {
+        const target = `(${onConflict.map(quote).join(', ')})`;
+        const updates = columns.filter(column => column !== 'id' && !onConflict.includes(column));
+
+        if (ignoreDuplicates || updates.length === 0) {
+          return ` ON CONFLICT ${target} DO NOTHING`;
+        }
+        return ` ON CONFLICT ${target} DO UPDATE SET ` +
+          updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ');
+      });
+    },
+
+    async update(table, filters, patch) {
+      const prepared = prepareRow(table, patch);
+      const columns = Object.keys(prepared);
+      const where = buildWhere(table, filters);
+
+      return sqlite
+        .prepare(`UPDATE ${quote(table)} SET ${columns.map(c => `${quote(c)} = ?`).join(', ')}${where.sql} RETURNING *`)
+        .all(...Object.values(prepared), ...where.params)
+        .map(row => fromSqliteRow(table, row));
+    },
+
+    async remove(table, filters) {
+      const where = buildWhere(table, filters);
+      sqlite.prepare(`DELETE FROM ${quote(table)}${where.sql}`).run(...where.params);
+    },
+
+    async aggregate(table, { filters, sum = [] } = {}) {
+      const types = getColumnTypes(table);
+      for (const column of sum) {
+        if (!types.has(column)) throw new Error(`Unknown column ${table}.${column}`);
+      }
+
+      const where = buildWhere(table, filters);
+      const sums = sum.map((column, i) => `, COALESCE(SUM(${quote(column)}), 0) AS sum${i}`).join('');
+      const row = sqlite
+        .prepare(`SELECT COUNT(*) AS count${sums} FROM ${quote(table)}${where.sql}`)
+        .get(...where.params);
+
+      return {
+        count: row.count,
+        sum: Object.fromEntries(sum.map((column, i) => [column, Number(row[`sum${i}`])]))
+      };
+    },
+
+    async distinct(table, column, filters) {
+      if (!getColumnTypes(table).has(column)) throw new Error(`Unknown column ${table}.${column}`);
+
+      const where = buildWhere(table, filters);
+      return sqlite
+        .prepare(`SELECT DISTINCT ${quote(column)} AS value FROM ${quote(table)}${where.sql}`)
+        .all(...where.params)
+        .map(row => row.value)
+        .filter(value => value != null)
+        .sort();
+    },
+
+    // Apply pending migrations, each in its own transaction
+    async migrate(migrations) {
+      sqlite.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT DEFAULT ${SQLITE_NOW}
+      )`);
+
+      const applied = new Set(
+        sqlite.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+      );
+
+      for (const migration of migrations) {
+        if (applied.has(migration.version)) continue;
+
+        sqlite.transaction(() => {
+          sqlite.exec(migration.sqlite);
+          sqlite
+            .prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+            .run(migration.version, migration.name);
+        })();
+        console.log(`Applied migration ${migration.version}: ${migration.name}`);
+      }
+
+      columnTypes.clear();
+    }
+  };
+}
+
+// Set by initStorage() before the server starts
+let db = null;
+
+async function initStorage() {
+  db = STORAGE_CONFIG.backend === 'sqlite'
+    ? createSqliteStorage(STORAGE_CONFIG.sqlitePath)
+    : createSupabaseStorage();
+
+  await db.migrate(MIGRATIONS);
+  console.log(`💾 Storage backend: ${db.name}`);
+  return db;
+}
+
+// Store user tokens
+async function storeUserTokens(email, tokens) {
+  const [user] = await db.upsert('users', {
+    email,
+    gmail_tokens: tokens
+  }, {
+    onConflict: ['email']
+  });
+
+  return user;
+}
+
+// Remember how far the user's mailbox has been synced
+async function updateUserGmailHistoryId(userId, historyId) {
+  await db.update('users', [['id', 'eq', userId]], {
+    gmail_history_id: String(historyId),
+    gmail_synced_at: new Date().toISOString()
+  });
+}
+
+// Get user by email
+async function getUserByEmail(email) {
+  return db.selectOne('users', [['email', 'eq', email]]);
+}
+
+async function getUserById(userId) {
+  return db.selectOne('users', [['id', 'eq', userId]]);
+}
+
+// Deal de-duplication. Chains resend the same offer (reminders, "last
+// chance", resends), so a deal is identified by what it offers rather than by
+// the email it came from. The fingerprint catches exact repeats; near
+// duplicates are matched on deal code or description overlap.
+
+const DEAL_MERGE_CONFIG = {
+  minSimilarity: 0.8,
+  maxExpiryGapDays: 14
+};
+
+// Urgency and filler words that change between resends of one offer
+const DEAL_NOISE_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'your', 'you', 'for', 'with', 'on', 'at', 'of', 'to', 'in', 'our',
+  'now', 'get', 'today', 'only', 'just', 'still', 'again', 'back', 'last', 'chance', 'reminder',
+  'final', 'hours', 'hurry', 'dont', 'miss', 'ends', 'ending', 'soon', 'offer', 'deal'
+]);
+
+function getDealDescriptionTokens(description) {
+  const words = String(description || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !DEAL_NOISE_WORDS.has(word));
+
+  return [...new Set(words)].sort();
+}
+
+function buildDealFingerprint({ restaurant, dealDescription, dealCode, expiryDate }) {
+  const key = [
+    normalizeRestaurantName(getCanonicalRestaurantName(restaurant)),
+    getDealDescriptionTokens(dealDescription).join(' '),
+    String(dealCode || '').toUpperCase(),
+    expiryDate || ''
+  ].join('|');
+
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+// Jaccard similarity of two sorted token lists
+function getTokenSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const other = new Set(b);
+  const shared = a.filter(token => other.has(token)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+function isNearDuplicateDeal(existing, dealData) {
+  const existingCode = String(existing.deal_code || '').toUpperCase();
+  const newCode = String(dealData.dealCode || '').toUpperCase();
+  if (existingCode && newCode && existingCode !== newCode) return false;
+
+  if (existing.expires_at && dealData.expiresAt) {
+    const gapDays = Math.abs(Date.parse(existing.expires_at) - Date.parse(dealData.expiresAt)) / DAY_MS;
+    if (gapDays > DEAL_MERGE_CONFIG.maxExpiryGapDays) return false;
+  }
+
+  // The same promo code is the same offer, however it is worded
+  if (existingCode && newCode) return true;
+
+  return getTokenSimilarity(
+    getDealDescriptionTokens(existing.deal_description),
+    getDealDescriptionTokens(dealData.dealDescription)
+  ) >= DEAL_MERGE_CONFIG.minSimilarity;
+}
+
+// Find the saved deal that dealData repeats. Sibling offers from the same
+// email are never merged.
+function findDuplicateDeal(candidates, dealData, fingerprint) {
+  const others = candidates.filter(deal => deal.email_id !== dealData.emailId);
+  return others.find(deal => deal.fingerprint === fingerprint)
+    || others.find(deal => isNearDuplicateDeal(deal, dealData))
+    || null;
+}
+
+// Fold a repeat of an offer into the saved deal: remember the email, keep the
+// latest expiry and fill in anything the earlier email was missing
+async function mergeDealSource(existing, dealData) {
+  const knownSources = existing.source_email_ids?.length ? existing.source_email_ids : [existing.email_id];
+  const sourceEmailIds = [...new Set([...knownSources, dealData.emailId])];
+
+  const patch = {
+    source_email_ids: sourceEmailIds,
+    seen_count: sourceEmailIds.length,
+    updated_at: new Date().toISOString()
+  };
+
+  const hasLaterExpiry = dealData.expiresAt
+    && (!existing.expires_at || Date.parse(dealData.expiresAt) > Date.parse(existing.expires_at));
+  if (hasLaterExpiry) {
+    patch.expiry_date = dealData.expiryDate;
+    patch.expires_at = dealData.expiresAt;
+    patch.expiry_confidence = dealData.expiryConfidence;
+    patch.expiry_text = dealData.expiryText;
+  }
+
+  // A cached image also replaces a remote link saved before the image cache
+  if (dealData.imageUrl && !existing.image_url?.startsWith('/api/images/')) patch.image_url = dealData.imageUrl;
+  if (!existing.deal_code && dealData.dealCode) patch.deal_code = dealData.dealCode;
+  if (!existing.terms_and_conditions && dealData.termsAndConditions) {
+    patch.terms_and_conditions = dealData.termsAndConditions;
+  }
+  if (Number(dealData.savings || 0) > Number(existing.savings || 0)) {
+    patch.savings = Number(dealData.savings);
+    patch.savings_estimated = Boolean(dealData.savingsEstimated);
+  }
+
+  patch.fingerprint = buildDealFingerprint({
+    restaurant: existing.restaurant,
+    dealDescription: existing.deal_description,
+    dealCode: patch.deal_code || existing.deal_code,
+    expiryDate: patch.expiry_date || existing.expiry_date
+  });
+
+  const [merged] = await db.update('deals', [['id', 'eq', existing.id]], patch);
+  return merged;
+}
+
+// Save a deal, or merge it into the saved deal it repeats.
+// Resolves to { deal, merged }.
+async function saveOrMergeDeal(userId, dealData) {
+  const fingerprint = buildDealFingerprint(dealData);
+  const candidates = await db.select('deals', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['restaurant', 'eq', dealData.restaurant]
+    ],
+    order: [{ column: 'created_at', ascending: true }]
+  });
+
+  // Re-processing an email updates its own row and keeps the merged sources
+  const dealIndex = dealData.dealIndex ?? 0;
+  const own = candidates.find(deal => deal.email_id === dealData.emailId && deal.deal_index === dealIndex);
+  if (own) {
+    const sourceEmailIds = own.source_email_ids?.length ? own.source_email_ids : [own.email_id];
+    return { deal: await saveDeal(userId, { ...dealData, fingerprint, sourceEmailIds }), merged: false };
+  }
+
+  const duplicate = findDuplicateDeal(candidates, dealData, fingerprint);
+  if (duplicate) {
+    return { deal: await mergeDealSource(duplicate, dealData), merged: true };
+  }
+
+  return { deal: await saveDeal(userId, { ...dealData, fingerprint }), merged: false, created: true };
+}
+
+// Save deal to database
+async function saveDeal(userId, dealData) {
+  const [deal] = await db.upsert('deals', {
+    user_id: userId,
+    email_id: dealData.emailId,
+    deal_index: dealData.dealIndex ?? 0,
+    fingerprint: dealData.fingerprint || buildDealFingerprint(dealData),
+    source_email_ids: dealData.sourceEmailIds || [dealData.emailId],
+    seen_count: dealData.sourceEmailIds?.length || 1,
+    restaurant: dealData.restaurant,
+    deal_description: dealData.dealDescription,
+    original_price: dealData.originalPrice,
+    discounted_price: dealData.discountedPrice,
+    savings: Number(dealData.savings ?? 0),
+    savings_estimated: Boolean(dealData.savingsEstimated),
+    expiry_date: dealData.expiryDate,
+    expires_at: dealData.expiresAt,
+    expiry_confidence: dealData.expiryConfidence,
+    expiry_text: dealData.expiryText,
+    deal_code: dealData.dealCode,
+    terms_and_conditions: dealData.termsAndConditions,
+    deal_type: dealData.dealType,
+    deal_params: dealData.dealParams || {},
+    raw_restaurant: dealData.rawRestaurant,
+    field_confidence: dealData.fieldConfidence || {},
+    extraction_confidence: dealData.extractionConfidence,
+    review_status: getReviewStatus(dealData.extractionConfidence),
+    extractor: dealData.extractor,
+    prompt_version: dealData.promptVersion ?? 0,
+    extracted_at: new Date().toISOString(),
+    image_url: dealData.imageUrl,
+    logo_url: dealData.logoUrl,
+    source: dealData.source,
+    source_ref: dealData.sourceRef,
+    is_active: dealData.isActive ?? true
+  }, {
+    onConflict: ['user_id', 'email_id', 'deal_index']
+  });
+
+  return deal;
+}
+
+// Conditions for the deals in a user's feed: active, past review, not
+// expired, not snoozed and from a selected restaurant
+async function getVisibleDealConditions(userId, now = new Date()) {
+  const conditions = [
+    ['user_id', 'eq', userId],
+    ['is_active', 'eq', true],
+    // Low-confidence deals wait in the review queue
+    ['review_status', 'notIn', ['pending', 'rejected']],
+    // The expiry sweep deactivates these later (or never, when it is off)
+    [null, 'or', [[['expires_at', 'isNull']], [['expires_at', 'gte', now.toISOString()]]]]
+  ];
+
+  // Snoozed deals stay hidden until their snooze ends
+  conditions.push(getNotSnoozedCondition(now));
+
+  const excludedRestaurants = await getExcludedRestaurants(userId);
+  if (excludedRestaurants.size > 0) {
+    conditions.push(['restaurant', 'notIn', [...excludedRestaurants]]);
+  }
+
+  return conditions;
+}
+
+// Get all active deals for user (deselected restaurants are left out)
+async function getUserDeals(userId) {
+  return db.select('deals', {
+    filters: await getVisibleDealConditions(userId),
+    order: [{ column: 'expires_at', ascending: true, nullsLast: true }]
+  });
+}
+
+// One page of a user's deals for a parsed deal query (see parseDealQuery).
+// The first page also carries a summary of everything that matches.
+async function queryUserDeals(userId, query, now = new Date()) {
+  const visible = await getVisibleDealConditions(userId, now);
+  const conditions = [...visible, ...buildDealQueryFilters(query, now)];
+  const sort = DEAL_SORTS[query.sort];
+
+  const rows = await db.select('deals', {
+    filters: query.cursor ? [...conditions, buildDealCursorFilter(sort, query.cursor)] : conditions,
+    order: [
+      { column: sort.column, ascending: sort.ascending, nullsLast: true },
+      { column: 'id', ascending: true }
+    ],
+    limit: query.limit + 1
+  });
+
+  const deals = rows.slice(0, query.limit);
+  const result = {
+    deals,
+    nextCursor: rows.length > query.limit ? encodeDealCursor(query.sort, sort, deals[deals.length - 1]) : null
+  };
+
+  if (!query.cursor) {
+    const [matching, restaurants] = await Promise.all([
+      db.aggregate('deals', { filters: conditions, sum: ['savings'] }),
+      db.distinct('deals', 'restaurant', visible)
+    ]);
+    result.summary = {
+      total: matching.count,
+      savings: Number(matching.sum.savings.toFixed(2)),
+      restaurants
+    };
+  }
+
+  return result;
+}
+
+// Emails scans do not download or extract again: every email a deal came
+// from (several deals can share one email_id, and a merged deal remembers
+// every email it was seen in), and stored emails whose extraction finished.
+// Re-running extraction on purpose goes through /api/reextract.
+async function getProcessedEmailIds(userId) {
+  const [deals, emails] = await Promise.all([
+    db.select('deals', {
+      columns: ['email_id', 'source_email_ids'],
+      filters: [['user_id', 'eq', userId]]
+    }),
+    db.select('emails', {
+      columns: ['email_id'],
+      filters: [['user_id', 'eq', userId], ['extracted_at', 'notNull']]
+    })
+  ]);
+
+  return new Set([
+    ...deals.flatMap(row => [row.email_id, ...(row.source_email_ids || [])]),
+    ...emails.map(row => row.email_id)
+  ]);
+}
+
+// Deal actions from the dashboard. Each resolves to the updated deal, or
+// null when the deal does not exist or belongs to someone else.
+
+// Mark deal as inactive (used)
+async function markDealAsUsed(dealId, userId) {
+  return updateUserDeal(dealId, userId, { is_active: false, used_at: new Date().toISOString() });
+}
+
+// Hide a deal the user is not interested in
+async function dismissDeal(dealId, userId) {
+  return updateUserDeal(dealId, userId, { is_active: false, dismissed_at: new Date().toISOString() });
+}
+
+// Hide a deal from the feed and from expiry alerts until `until`
+async function snoozeDeal(dealId, userId, until) {
+  return updateUserDeal(dealId, userId, { snoozed_until: until.toISOString() });
+}
+
+// Undo used, dismissed and snoozed. A deal that expired meanwhile stays
+// inactive; undoing "used" also takes the deal out of the redemption ledger.
+async function restoreDeal(dealId, userId) {
+  const deal = await getUserDeal(dealId, userId);
+  if (!deal) return null;
+
+  if (deal.used_at) await removeDealRedemptions(userId, dealId);
+
+  return updateUserDeal(dealId, userId, {
+    is_active: !deal.expired_at,
+    used_at: null,
+    dismissed_at: null,
+    snoozed_until: null
+  });
+}
+
+// Deals with no snooze or one that has ended. Reads never clear ended
+// snoozes themselves; the expiry sweep does (clearEndedSnoozes).
+function getNotSnoozedCondition(now = new Date()) {
+  return [null, 'or', [[['snoozed_until', 'isNull']], [['snoozed_until', 'lte', now.toISOString()]]]];
+}
+
+async function clearEndedSnoozes(now = new Date()) {
+  return db.update('deals', [['snoozed_until', 'lte', now.toISOString()]], { snoozed_until: null });
+}
+
+// Redemption ledger: one row per deal the user used, with what it actually
+// saved. Deal fields are copied so the history survives the deal being removed.
+async function recordRedemption(userId, deal, amountSaved, usedAt) {
+  const [redemption] = await db.insert('redemptions', {
+    user_id: userId,
+    deal_id: deal.id,
+    restaurant: deal.restaurant,
+    deal_type: deal.deal_type || null,
+    deal_description: deal.deal_description,
+    amount_saved: amountSaved,
+    expected_savings: deal.savings ?? null,
+    used_at: usedAt
+  });
+
+  return redemption;
+}
+
+// Redemptions used in [from, to), newest first
+async function getRedemptions(userId, { from, to, limit } = {}) {
+  const filters = [['user_id', 'eq', userId]];
+  if (from) filters.push(['used_at', 'gte', from.toISOString()]);
+  if (to) filters.push(['used_at', 'lt', to.toISOString()]);
+
+  return db.select('redemptions', {
+    filters,
+    order: [{ column: 'used_at', ascending: false }],
+    limit
+  });
+}
+
+async function updateRedemption(userId, redemptionId, patch) {
+  const [redemption] = await db.update('redemptions', [
+    ['id', 'eq', redemptionId],
+    ['user_id', 'eq', userId]
+  ], { ...patch, updated_at: new Date().toISOString() });
+
+  return redemption || null;
+}
+
+async function removeDealRedemptions(userId, dealId) {
+  await db.remove('redemptions', [
+    ['user_id', 'eq', userId],
+    ['deal_id', 'eq', dealId]
+  ]);
+}
+
+// Deals that expired in [from, to) without being used or dismissed
+async function getMissedDeals(userId, from, to) {
+  return db.select('deals', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['expired_at', 'gte', from.toISOString()],
+      ['expired_at', 'lt', to.toISOString()],
+      ['used_at', 'isNull'],
+      ['dismissed_at', 'isNull'],
+      ['review_status', 'notIn', ['pending', 'rejected']]
+    ]
+  });
+}
+
+// Get restaurant preferences
+async function getRestaurantPreferences(userId) {
+  return db.select('user_restaurant_preferences', {
+    filters: [['user_id', 'eq', userId]]
+  });
+}
+
+// Canonical names of the restaurants a user has turned off
+async function getExcludedRestaurants(userId) {
+  const preferences = await getRestaurantPreferences(userId);
+
+  return new Set(
+    (preferences || [])
+      .filter(preference => preference.is_selected === false)
+      .map(preference => getCanonicalRestaurantName(preference.restaurant))
+  );
+}
+
+// Cleaned email content kept for re-extraction
+async function saveStoredEmail(userId, storedEmail) {
+  const [saved] = await db.upsert('emails', {
+    ...storedEmail,
+    user_id: userId,
+    updated_at: new Date().toISOString()
+  }, {
+    onConflict: ['user_id', 'email_id']
+  });
+
+  return saved;
+}
+
+async function getStoredEmail(userId, emailId) {
+  return db.selectOne('emails', [
+    ['user_id', 'eq', userId],
+    ['email_id', 'eq', emailId]
+  ]);
+}
+
+async function markStoredEmailExtracted(userId, emailId) {
+  await db.update('emails', [
+    ['user_id', 'eq', userId],
+    ['email_id', 'eq', emailId]
+  ], { extracted_at: new Date().toISOString() });
+}
+
+async function getStoredEmails(userId, emailIds) {
+  if (emailIds.length === 0) return [];
+  return db.select('emails', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['email_id', 'in', emailIds]
+    ]
+  });
+}
+
+// Every deal row extracted from one email
+async function getEmailDeals(userId, emailId) {
+  return db.select('deals', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['email_id', 'eq', emailId]
+    ],
+    order: [{ column: 'deal_index', ascending: true }]
+  });
+}
+
+// Ids of the emails whose deals came from a prompt version before
+// `olderThan` (every email with deals when olderThan is null)
+async function getEmailIdsForReextraction(userId, olderThan = null) {
+  const filters = [['user_id', 'eq', userId]];
+  if (olderThan != null) filters.push(['prompt_version', 'lt', olderThan]);
+
+  const rows = await db.select('deals', {
+    columns: ['email_id'],
+    filters,
+    order: [{ column: 'created_at', ascending: true }]
+  });
+
+  return [...new Set(rows.map(row => row.email_id))];
+}
+
+// Users with deals from a prompt version before `olderThan`
+async function getUsersWithOutdatedDeals(olderThan) {
+  const rows = await db.select('deals', {
+    columns: ['user_id'],
+    filters: [['prompt_version', 'lt', olderThan]]
+  });
+
+  const userIds = [...new Set(rows.map(row => row.user_id))];
+  if (userIds.length === 0) return [];
+  return db.select('users', { filters: [['id', 'in', userIds]] });
+}
+
+async function removeUserDeals(userId, dealIds) {
+  if (dealIds.length === 0) return;
+  await db.remove('deals', [
+    ['user_id', 'eq', userId],
+    ['id', 'in', dealIds]
+  ]);
+}
+
+// Deals waiting for the user to review, least confident first
+async function getPendingReviewDeals(userId) {
+  return db.select('deals', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['is_active', 'eq', true],
+      ['review_status', 'eq', 'pending']
+    ],
+    order: [{ column: 'extraction_confidence', ascending: true, nullsLast: true }]
+  });
+}
+
+// One deal, only if it belongs to the user
+async function getUserDeal(dealId, userId) {
+  return db.selectOne('deals', [
+    ['id', 'eq', dealId],
+    ['user_id', 'eq', userId]
+  ]);
+}
+
+async function updateUserDeal(dealId, userId, patch) {
+  const [deal] = await db.update('deals', [
+    ['id', 'eq', dealId],
+    ['user_id', 'eq', userId]
+  ], { ...patch, updated_at: new Date().toISOString() });
+
+  return deal || null;
+}
+
+async function saveDealCorrections(corrections) {
+  if (corrections.length === 0) return [];
+  return db.insert('deal_corrections', corrections);
+}
+
+async function getDealCorrections(userId) {
+  return db.select('deal_corrections', {
+    filters: [['user_id', 'eq', userId]],
+    order: [{ column: 'created_at', ascending: true }]
+  });
+}
+
+// Save the user's IANA time zone (e.g. "America/Chicago")
+async function updateUserTimeZone(userId, timeZone) {
+  const [user] = await db.update('users', [['id', 'eq', userId]], { timezone: timeZone });
+  return user || null;
+}
+
+// Update restaurant preference
+async function updateRestaurantPreference(userId, restaurant, isSelected) {
+  await updateRestaurantPreferences(userId, [{ restaurant, isSelected }]);
+}
+
+// Save several restaurant preferences at once
+async function updateRestaurantPreferences(userId, preferences) {
+  const rows = preferences.map(preference => ({
+    user_id: userId,
+    restaurant: getCanonicalRestaurantName(preference.restaurant),
+    is_selected: preference.isSelected !== false
+  }));
+  if (rows.length === 0) return;
+
+  await db.upsert('user_restaurant_preferences', rows, {
+    onConflict: ['user_id', 'restaurant']
+  });
+}
+
+// Users with their notification settings
+async function getNotificationUsers() {
+  return db.select('users', {
+    columns: ['id', 'email', 'notification_preferences', 'timezone', 'last_digest_at', 'last_new_deals_digest_at']
+  });
+}
+
+// Active deals expiring between now and `before` (snoozed ones are left out)
+async function getExpiringDeals(userId, before, now = new Date()) {
+  return db.select('deals', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['is_active', 'eq', true],
+      ['review_status', 'notIn', ['pending', 'rejected']],
+      getNotSnoozedCondition(now),
+      ['expires_at', 'gte', now.toISOString()],
+      ['expires_at', 'lte', before.toISOString()]
+    ],
+    order: [{ column: 'expires_at', ascending: true }]
+  });
+}
+
+// Which of these deals already had an expiry alert delivered on the channel
+async function getNotifiedDealIds(userId, dealIds, channel = 'email') {
+  if (dealIds.length === 0) return new Set();
+
+  const rows = await db.select('deal_notifications', {
+    columns: ['deal_id'],
+    filters: [
+      ['user_id', 'eq', userId],
+      ['deal_id', 'in', dealIds],
+      ['kind', 'eq', 'expiring'],
+      ['channel', 'eq', channel],
+      ['status', 'eq', 'sent']
+    ]
+  });
+  return new Set(rows.map(row => row.deal_id));
+}
+
+// Record one notification attempt per deal. is_notified is kept in step
+// for deals that were alerted by email.
+async function recordDealNotifications(userId, deals, { mode, status, error = null, channel = 'email' }) {
+  if (deals.length === 0) return;
+
+  const sentAt = new Date().toISOString();
+  await db.insert('deal_notifications', deals.map(deal => ({
+    user_id: userId,
+    deal_id: deal.id,
+    kind: 'expiring',
+    channel,
+    mode,
+    status,
+    error,
+    sent_at: sentAt
+  })));
+
+  if (status === 'sent' && channel === 'email') {
+    await db.update('deals', [['id', 'in', deals.map(deal => deal.id)]], { is_notified: true });
+  }
+}
+
+// Most recent notifications first, with the deal each one was about
+async function getNotificationHistory(userId, limit = 50) {
+  const notifications = await db.select('deal_notifications', {
+    filters: [['user_id', 'eq', userId]],
+    order: [{ column: 'sent_at', ascending: false }],
+    limit
+  });
+
+  const dealIds = [...new Set(notifications.map(notification => notification.deal_id).filter(Boolean))];
+  const deals = dealIds.length > 0
+    ? await db.select('deals', {
+      columns: ['id', 'restaurant', 'deal_description', 'expires_at', 'savings'],
+      filters: [['id', 'in', dealIds]]
+    })
+    : [];
+  const dealsById = new Map(deals.map(deal => [deal.id, deal]));
+
+  return notifications.map(notification => ({
+    ...notification,
+    deal: dealsById.get(notification.deal_id) || null
+  }));
+}
+
+async function updateNotificationPreferences(userId, preferences) {
+  const [user] = await db.update('users', [['id', 'eq', userId]], { notification_preferences: preferences });
+  return user || null;
+}
+
+async function updateUserLastDigestAt(userId, at) {
+  await db.update('users', [['id', 'eq', userId]], { last_digest_at: at.toISOString() });
+}
+
+async function updateUserLastNewDealsDigestAt(userId, at) {
+  await db.update('users', [['id', 'eq', userId]], { last_new_deals_digest_at: at.toISOString() });
+}
+
+// Active deals first seen after `since`, newest first
+async function getNewDeals(userId, since) {
+  return db.select('deals', {
+    filters: [
+      ['user_id', 'eq', userId],
+      ['is_active', 'eq', true],
+      ['review_status', 'notIn', ['pending', 'rejected']],
+      ['created_at', 'gt', since.toISOString()]
+    ],
+    order: [{ column: 'created_at', ascending: false }]
+  });
+}
+
+// Deactivate every active deal whose expiry passed before `now`
+async function expirePastDeals(now = new Date()) {
+  const timestamp = now.toISOString();
+  return db.update('deals', [
+    ['is_active', 'eq', true],
+    ['expires_at', 'lt', timestamp]
+  ], { is_active: false, expired_at: timestamp, updated_at: timestamp });
+}
+
+// Users with a Gmail connection, for scheduled scans
+async function getScannableUsers() {
+  return db.select('users', {
+    filters: [['gmail_tokens', 'notNull']],
+    order: [{ column: 'created_at', ascending: true }]
+  });
+}
+
+// Job locks. A job may run where its row can be claimed: the claim is one
+// conditional UPDATE, so only one instance wins it.
+const UNLOCKED_AT = '1970-01-01T00:00:00.000Z';
+
+async function ensureJobLock(name) {
+  await db.upsert('job_locks', {
+    name,
+    locked_until: UNLOCKED_AT,
+    next_run_at: new Date().toISOString()
+  }, {
+    onConflict: ['name'],
+    ignoreDuplicates: true
+  });
+}
+
+// Resolves true when `owner` now holds the lock. Unless forced, the job
+// must also be due.
+async function claimJobLock(name, owner, ttlMs, { force = false } = {}) {
+  const now = new Date();
+  const filters = [
+    ['name', 'eq', name],
+    ['locked_until', 'lt', now.toISOString()]
+  ];
+  if (!force) filters.push(['next_run_at', 'lte', now.toISOString()]);
+
+  const claimed = await db.update('job_locks', filters, {
+    owner,
+    locked_until: new Date(now.getTime() + ttlMs).toISOString()
+  });
+  return claimed.length > 0;
+}
+
+async function renewJobLock(name, owner, ttlMs) {
+  await db.update('job_locks', [
+    ['name', 'eq', name],
+    ['owner', 'eq', owner]
+  ], { locked_until: new Date(Date.now() + ttlMs).toISOString() });
+}
+
+// Release the lock and schedule the next run (kept as is when nextRunAt is undefined)
+async function releaseJobLock(name, owner, nextRunAt) {
+  await db.update('job_locks', [
+    ['name', 'eq', name],
+    ['owner', 'eq', owner]
+  ], { locked_until: UNLOCKED_AT, next_run_at: nextRunAt });
+}
+
+async function getJobLocks() {
+  return db.select('job_locks', { order: [{ column: 'name', ascending: true }] });
+}
+
+async function createJobRun(run) {
+  const [created] = await db.insert('job_runs', run);
+  return created;
+}
+
+async function finishJobRun(runId, patch) {
+  const [finished] = await db.update('job_runs', [['id', 'eq', runId]], patch);
+  return finished;
+}
+
+// Most recent runs first, optionally for one job
+async function getJobRuns({ jobName = null, limit = 50 } = {}) {
+  return db.select('job_runs', {
+    filters: jobName ? [['job_name', 'eq', jobName]] : [],
+    order: [{ column: 'started_at', ascending: false }],
+    limit
+  });
+}
+
+async function removeJobRunsBefore(cutoff) {
+  await db.remove('job_runs', [['started_at', 'lt', cutoff.toISOString()]]);
+}
+
+// A browser's subscription moves to whoever subscribed with it last
+async function savePushSubscription(userId, { endpoint, p256dh, auth, userAgent = null }) {
+  const [subscription] = await db.upsert('push_subscriptions', {
+    user_id: userId,
+    endpoint,
+    p256dh,
+    auth,
+    user_agent: userAgent
+  }, { onConflict: ['endpoint'] });
+  return subscription;
+}
+
+async function getPushSubscriptions(userId) {
+  return db.select('push_subscriptions', { filters: [['user_id', 'eq', userId]] });
+}
+
+async function removePushSubscription(userId, endpoint) {
+  const filters = [['user_id', 'eq', userId], ['endpoint', 'eq', endpoint]];
+  if (!await db.selectOne('push_subscriptions', filters)) return false;
+
+  await db.remove('push_subscriptions', filters);
+  return true;
+}
+
+async function removePushSubscriptionById(subscriptionId) {
+  await db.remove('push_subscriptions', [['id', 'eq', subscriptionId]]);
+}
+
+async function markPushSubscriptionUsed(subscriptionId) {
+  await db.update('push_subscriptions', [['id', 'eq', subscriptionId]], { last_used_at: new Date().toISOString() });
+}
+
+async function getUserWebhooks(userId) {
+  return db.select('webhooks', {
+    filters: [['user_id', 'eq', userId]],
+    order: [{ column: 'created_at', ascending: true }]
+  });
+}
+
+async function getUserWebhook(webhookId, userId) {
+  return db.selectOne('webhooks', [['id', 'eq', webhookId], ['user_id', 'eq', userId]]);
+}
+
+async function createWebhook(webhook) {
+  const [created] = await db.insert('webhooks', webhook);
+  return created;
+}
+
+async function updateWebhook(webhookId, userId, patch) {
+  const [webhook] = await db.update('webhooks', [
+    ['id', 'eq', webhookId],
+    ['user_id', 'eq', userId]
+  ], { ...patch, updated_at: new Date().toISOString() });
+  return webhook || null;
+}
+
+async function removeWebhook(webhookId, userId) {
+  if (!await getUserWebhook(webhookId, userId)) return false;
+
+  await db.remove('webhooks', [['id', 'eq', webhookId], ['user_id', 'eq', userId]]);
+  return true;
+}
+
+async function createWebhookDeliveries(deliveries) {
+  if (deliveries.length === 0) return [];
+  return db.insert('webhook_deliveries', deliveries);
+}
+
+async function getWebhookDelivery(deliveryId) {
+  return db.selectOne('webhook_deliveries', [['id', 'eq', deliveryId]]);
+}
+
+async function updateWebhookDelivery(deliveryId, patch) {
+  const [delivery] = await db.update('webhook_deliveries', [['id', 'eq', deliveryId]], patch);
+  return delivery || null;
+}
+
+// Most recent deliveries first, optionally for one webhook or status
+async function getWebhookDeliveries(userId, { webhookId = null, status = null, limit = 50 } = {}) {
+  const filters = [['user_id', 'eq', userId]];
+  if (webhookId) filters.push(['webhook_id', 'eq', webhookId]);
+  if (status) filters.push(['status', 'eq', status]);
+
+  return db.select('webhook_deliveries', {
+    filters,
+    order: [{ column: 'created_at', ascending: false }],
+    limit
+  });
+}
+
+// Deliveries waiting for another attempt whose backoff has elapsed
+async function getDueWebhookDeliveries(now = new Date(), limit = 100) {
+  return db.select('webhook_deliveries', {
+    filters: [
+      ['status', 'eq', 'retrying'],
+      ['next_attempt_at', 'lte', now.toISOString()]
+    ],
+    order: [{ column: 'next_attempt_at', ascending: true }],
+    limit
+  });
+}
+
+async function removeWebhookDeliveriesBefore(cutoff) {
+  await db.remove('webhook_deliveries', [
+    ['created_at', 'lt', cutoff.toISOString()],
+    ['status', 'in', ['succeeded', 'failed']]
+  ]);
+}
+
+async function getUserImapAccounts(userId) {
+  return db.select('imap_accounts', {
+    filters: [['user_id', 'eq', userId]],
+    order: [{ column: 'created_at', ascending: true }]
+  });
+}
+
+async function getUserImapAccount(accountId, userId) {
+  return db.selectOne('imap_accounts', [['id', 'eq', accountId], ['user_id', 'eq', userId]]);
+}
+
+// Accounts the scheduler syncs
+async function getActiveImapAccounts() {
+  return db.select('imap_accounts', { filters: [['is_active', 'eq', true]] });
+}
+
+async function createImapAccount(account) {
+  const [created] = await db.insert('imap_accounts', account);
+  return created;
+}
+
+async function updateImapAccount(accountId, userId, patch) {
+  const [account] = await db.update('imap_accounts', [
+    ['id', 'eq', accountId],
+    ['user_id', 'eq', userId]
+  ], { ...patch, updated_at: new Date().toISOString() });
+  return account || null;
+}
+
+async function removeImapAccount(accountId, userId) {
+  if (!await getUserImapAccount(accountId, userId)) return false;
+
+  await db.remove('imap_accounts', [['id', 'eq', accountId], ['user_id', 'eq', userId]]);
+  return true;
+}
+
+// ============================================
+// 5. NOTIFICATIONS
+// ============================================
+
+// Email transporter setup
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.NOTIFICATION_EMAIL,
+    pass: process.env.NOTIFICATION_EMAIL_PASSWORD
+  }
+});
+
+// Per-user settings live in users.notification_preferences. Missing keys
+// fall back to these defaults, so rows saved before a setting existed keep
+// their old behaviour.
+const NOTIFICATION_DEFAULTS = {
+  email: true,
+  expiringSoon: true,
+  newDealsDigest: false,
+  push: true,
+  pushNewDeals: true,
+  leadTimeDays: EXPIRING_SOON_DAYS,
+  mode: 'instant',
+  digestHour: 9,
+  digestDay: 1,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  minSavings: 0,
+  mutedRestaurants: []
+};
+
+const NOTIFICATION_MODES = ['instant', 'daily', 'weekly'];
+const MAX_LEAD_TIME_DAYS = 14;
+
+// A digest also covers deals that would expire before the next digest goes out
+const DIGEST_WINDOW_DAYS = { instant: 0, daily: 1, weekly: 7 };
+
+// "HH:MM" (24-hour) -> minutes after midnight, or null
+function parseClockTime(value) {
+  const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function normalizeNotificationPreferences(stored) {
+  const preferences = stored && typeof stored === 'object' ? stored : {};
+  return {
+    ...NOTIFICATION_DEFAULTS,
+    ...preferences,
+    quietHours: { ...NOTIFICATION_DEFAULTS.quietHours, ...(preferences.quietHours || {}) },
+    mutedRestaurants: Array.isArray(preferences.mutedRestaurants) ? preferences.mutedRestaurants : []
+  };
+}
+
+// Validate a (partial) settings update from the API against the current
+// settings. Resolves to { preferences } or { error }.
+function parseNotificationPreferencesInput(body, current) {
+  const input = body && typeof body === 'object' ? body : {};
+  const preferences = normalizeNotificationPreferences(current);
+
+  for (const key of ['email', 'expiringSoon', 'newDealsDigest', 'push', 'pushNewDeals']) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== 'boolean') return { error: `${key} must be true or false` };
+    preferences[key] = input[key];
+  }
+
+  if (input.leadTimeDays !== undefined) {
+    const days = Number(input.leadTimeDays);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_LEAD_TIME_DAYS) {
+      return { error: `leadTimeDays must be a whole number from 0 to ${MAX_LEAD_TIME_DAYS}` };
+    }
+    preferences.leadTimeDays = days;
+  }
+
+  if (input.mode !== undefined) {
+    if (!NOTIFICATION_MODES.includes(input.mode)) {
+      return { error: `mode must be one of: ${NOTIFICATION_MODES.join(', ')}` };
+    }
+    preferences.mode = input.mode;
+  }
+
+  if (input.digestHour !== undefined) {
+    const hour = Number(input.digestHour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return { error: 'digestHour must be a whole number from 0 to 23' };
+    }
+    preferences.digestHour = hour;
+  }
+
+  if (input.digestDay !== undefined) {
+    const day = Number(input.digestDay);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      return { error: 'digestDay must be a whole number from 0 (Sunday) to 6 (Saturday)' };
+    }
+    preferences.digestDay = day;
+  }
+
+  if (input.quietHours !== undefined) {
+    const quietHours = input.quietHours && typeof input.quietHours === 'object' ? input.quietHours : null;
+    if (!quietHours) return { error: 'quietHours must be an object' };
+
+    const merged = { ...preferences.quietHours, ...quietHours };
+    if (typeof merged.enabled !== 'boolean') return { error: 'quietHours.enabled must be true or false' };
+    if (parseClockTime(merged.start) === null || parseClockTime(merged.end) === null) {
+      return { error: 'quietHours.start and quietHours.end must be times such as "22:00"' };
+    }
+    preferences.quietHours = { enabled: merged.enabled, start: merged.start.trim(), end: merged.end.trim() };
+  }
+
+  if (input.minSavings !== undefined) {
+    const minSavings = Number(input.minSavings);
+    if (!Number.isFinite(minSavings) || minSavings < 0) {
+      return { error: 'minSavings must be a number of dollars, 0 or more' };
+    }
+    preferences.minSavings = Math.round(minSavings * 100) / 100;
+  }
+
+  if (input.mutedRestaurants !== undefined) {
+    if (!Array.isArray(input.mutedRestaurants)) return { error: 'mutedRestaurants must be an array of names' };
+
+    const names = input.mutedRestaurants
+      .map(name => cleanText(name, 100))
+      .filter(Boolean)
+      .map(getCanonicalRestaurantName);
+    preferences.mutedRestaurants = [...new Set(names)];
+  }
+
+  return { preferences };
+}
+
+// Quiet hours are local wall-clock times and may wrap past midnight
+function isInQuietHours(preferences, timeZone, now = new Date()) {
+  const { enabled, start, end } = preferences.quietHours;
+  if (!enabled) return false;
+
+  const from = parseClockTime(start);
+  const to = parseClockTime(end);
+  if (from === null || to === null || from === to) return false;
+
+  const local = getZonedParts(now, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+// When the most recent daily/weekly digest was due: digestHour local time,
+// on digestDay for weekly digests
+function getLatestDigestSlot(preferences, timeZone, now = new Date()) {
+  const today = getZonedCivilDate(now, timeZone);
+
+  for (let daysBack = 0; daysBack <= 7; daysBack++) {
+    const day = addCivilDays(today, -daysBack);
+    if (preferences.mode === 'weekly' && day.getUTCDay() !== preferences.digestDay) continue;
+
+    const slot = getZonedInstant(day, preferences.digestHour * 60, timeZone);
+    if (slot <= now) return slot;
+  }
+  return null;
+}
+
+// Send one rendered template to a user
+async function sendTemplatedEmail(user, templateName, data) {
+  const email = renderEmail(templateName, { ...data, user });
+
+  await transporter.sendMail({
+    from: `"DealDine" <${process.env.NOTIFICATION_EMAIL}>`,
+    to: user.email,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    headers: email.headers
+  });
+}
+
+// Send expiring deals notification
+async function sendExpiringDealsNotification(user, expiringDeals, {
+  timeZone = DEFAULT_TIME_ZONE,
+  mode = 'instant',
+  leadTimeDays = EXPIRING_SOON_DAYS
+} = {}) {
+  await sendTemplatedEmail(user, 'expiring-deals', { deals: expiringDeals, timeZone, mode, leadTimeDays });
+}
+
+// Deals inside the user's notification window that pass their savings
+// threshold and restaurant opt-outs
+async function getNotifiableExpiringDeals(user, preferences, now = new Date()) {
+  const timeZone = getUserTimeZone(user);
+  const windowDays = preferences.leadTimeDays + DIGEST_WINDOW_DAYS[preferences.mode];
+  const muted = new Set(preferences.mutedRestaurants);
+
+  return (await getExpiringDeals(user.id, getExpiringSoonCutoff(timeZone, now, windowDays), now))
+    .filter(deal => !muted.has(deal.restaurant) && Number(deal.savings || 0) >= preferences.minSavings);
+}
+
+// Deals found since `since` that are still usable, with the same filters
+async function getNotifiableNewDeals(user, preferences, since, now = new Date()) {
+  const muted = new Set(preferences.mutedRestaurants);
+
+  return (await getNewDeals(user.id, since))
+    .filter(deal => !deal.expires_at || Date.parse(deal.expires_at) >= now.getTime())
+    .filter(deal => !muted.has(deal.restaurant) && Number(deal.savings || 0) >= preferences.minSavings);
+}
+
+// Check one user's expiring deals against their settings and send an alert
+// or digest when one is due. Resolves to { status, deals } where status is
+// 'disabled', 'quiet_hours', 'not_due', 'nothing_new' or 'sent'.
+async function notifyUserOfExpiringDeals(user, now = new Date()) {
+  const preferences = normalizeNotificationPreferences(user.notification_preferences);
+  if (!preferences.email || !preferences.expiringSoon) return { status: 'disabled', deals: 0 };
+
+  const timeZone = getUserTimeZone(user);
+  if (isInQuietHours(preferences, timeZone, now)) return { status: 'quiet_hours', deals: 0 };
+
+  const isDigest = preferences.mode !== 'instant';
+  if (isDigest) {
+    const slot = getLatestDigestSlot(preferences, timeZone, now);
+    const lastDigestAt = user.last_digest_at ? Date.parse(user.last_digest_at) : 0;
+    if (!slot || slot.getTime() <= lastDigestAt) return { status: 'not_due', deals: 0 };
+  }
+
+  const expiringDeals = await getNotifiableExpiringDeals(user, preferences, now);
+
+  // Each deal is alerted once, whichever mode it went out in
+  const notifiedIds = await getNotifiedDealIds(user.id, expiringDeals.map(deal => deal.id));
+  const deals = expiringDeals.filter(deal => !notifiedIds.has(deal.id));
+
+  if (deals.length > 0) {
+    try {
+      await sendExpiringDealsNotification(user, deals, { timeZone, mode: preferences.mode, leadTimeDays: preferences.leadTimeDays });
+    } catch (error) {
+      await recordDealNotifications(user.id, deals, { mode: preferences.mode, status: 'failed', error: error.message });
+      throw error;
+    }
+    await recordDealNotifications(user.id, deals, { mode: preferences.mode, status: 'sent' });
+  }
+
+  // An empty digest still counts, so the next one waits for the next slot
+  if (isDigest) await updateUserLastDigestAt(user.id, now);
+
+  return { status: deals.length > 0 ? 'sent' : 'nothing_new', deals: deals.length };
+}
+
+// Send the opt-in weekly "new deals" email, on the user's digest day and
+// hour. Resolves to { status, deals } like notifyUserOfExpiringDeals.
+async function notifyUserOfNewDeals(user, now = new Date()) {
+  const preferences = normalizeNotificationPreferences(user.notification_preferences);
+  if (!preferences.email || !preferences.newDealsDigest) return { status: 'disabled', deals: 0 };
+
+  const timeZone = getUserTimeZone(user);
+  if (isInQuietHours(preferences, timeZone, now)) return { status: 'quiet_hours', deals: 0 };
+
+  const slot = getLatestDigestSlot({ ...preferences, mode: 'weekly' }, timeZone, now);
+  const lastSentAt = user.last_new_deals_digest_at ? Date.parse(user.last_new_deals_digest_at) : 0;
+  if (!slot || slot.getTime() <= lastSentAt) return { status: 'not_due', deals: 0 };
+
+  const since = new Date(Math.max(lastSentAt, now.getTime() - 7 * DAY_MS));
+  const deals = await getNotifiableNewDeals(user, preferences, since, now);
+
+  if (deals.length > 0) {
+    await sendTemplatedEmail(user, 'new-deals-digest', { deals, timeZone, since });
+  }
+  await updateUserLastNewDealsDigestAt(user.id, now);
+
+  return { status: deals.length > 0 ? 'sent' : 'nothing_new', deals: deals.length };
+}
+
+// Send expiry alerts, expiry digests, new-deals digests, push notifications
+// and deal.expiring webhooks (the "notifications" scheduled job). One user's
+// failure does not stop the others. Resolves to { usersChecked, emailsSent,
+// dealsNotified, newDealsDigests, pushDeals, webhookDeals, failed, skipped }.
+async function checkAndNotifyExpiringDeals() {
+  const summary = { usersChecked: 0, emailsSent: 0, dealsNotified: 0, newDealsDigests: 0, pushDeals: 0, webhookDeals: 0, failed: 0, skipped: {} };
+  const users = await getNotificationUsers();
+  const now = new Date();
+  const skip = status => {
+    if (status !== 'nothing_new') summary.skipped[status] = (summary.skipped[status] || 0) + 1;
+  };
+  
+  for (const user of users) {
+    summary.usersChecked++;
+
+    try {
+      const expiring = await notifyUserOfExpiringDeals(user, now);
+      if (expiring.status === 'sent') {
+        summary.emailsSent++;
+        summary.dealsNotified += expiring.deals;
+        console.log(`Sent notification to ${user.email} for ${expiring.deals} deals`);
+      } else {
+        skip(expiring.status);
+      }
+
+      const newDeals = await notifyUserOfNewDeals(user, now);
+      if (newDeals.status === 'sent') {
+        summary.emailsSent++;
+        summary.newDealsDigests++;
+        console.log(`Sent new deals digest to ${user.email} with ${newDeals.deals} deals`);
+      }
+
+      const push = await notifyPushOfExpiringDeals(user, now);
+      if (push.status === 'sent') summary.pushDeals += push.deals;
+
+      const webhooks = await notifyWebhooksOfExpiringDeals(user, now);
+      summary.webhookDeals += webhooks.deals;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Notification check failed for ${user.email}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+
+// Outgoing emails are rendered from the templates below into an HTML part
+// and a plain-text part. Deal fields come from the extraction model, so
+// every value interpolated into html`` is escaped; only nested html``
+// fragments pass through unchanged.
+
+// Where mail clients reach this server (unsubscribe links). Defaults to the
+// origin of the OAuth callback, which is served by this backend.
+const API_PUBLIC_URL = (process.env.API_PUBLIC_URL || new URL(GMAIL_CONFIG.redirectUri).origin).replace(/\/$/, '');
+
+const SAFE_HTML = Symbol('safeHtml');
+
+// What each unsubscribe scope turns off in notification_preferences
+const UNSUBSCRIBE_SCOPES = {
+  expiring: { expiringSoon: false },
+  'new-deals': { newDealsDigest: false },
+  all: { email: false }
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Tagged template: escapes interpolated values, joins arrays and drops
+// null/undefined/false
+function html(strings, ...values) {
+  const render = value => {
+    if (value == null || value === false) return '';
+    if (Array.isArray(value)) return value.map(render).join('');
+    if (value[SAFE_HTML] !== undefined) return value[SAFE_HTML];
+    return escapeHtml(value);
+  };
+
+  return { [SAFE_HTML]: strings.reduce((out, part, i) => out + part + (i < values.length ? render(values[i]) : ''), '') };
+}
+
+// Only http(s) links and images make it into an email
+function getSafeUrl(value) {
+  try {
+    const url = new URL(String(value || ''));
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Savings may arrive as a number or (from Postgres NUMERIC) a string
+function formatMoney(value) {
+  const amount = Number(value);
+  return `$${(Number.isFinite(amount) ? amount : 0).toFixed(2)}`;
+}
+
+function formatEmailDate(value, timeZone) {
+  if (!value) return 'No expiry date';
+  return new Date(value).toLocaleDateString('en-US', { timeZone, month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Plain text is not markup, but keep it to one line per field
+function plainLine(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function signUnsubscribePayload(encodedPayload) {
+  return crypto
+    .createHmac('sha256', SESSION_CONFIG.secret)
+    .update(`unsubscribe:${encodedPayload}`)
+    .digest('base64url');
+}
+
+// Unsubscribe links do not expire; the signature ties them to one user and scope
+function createUnsubscribeToken(userId, scope) {
+  const encodedPayload = Buffer.from(JSON.stringify({ uid: userId, scope })).toString('base64url');
+  return `${encodedPayload}.${signUnsubscribePayload(encodedPayload)}`;
+}
+
+// Returns { uid, scope }, or null when the token is missing or forged
+function verifyUnsubscribeToken(token) {
+  const [encodedPayload, signature] = String(token || '').split('.');
+  if (!encodedPayload || !signature) return null;
+
+  const expected = Buffer.from(signUnsubscribePayload(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+    return payload.uid && UNSUBSCRIBE_SCOPES[payload.scope] ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getUnsubscribeUrl(userId, scope) {
+  return `${API_PUBLIC_URL}/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId, scope))}`;
+}
+
+function renderDealCardHtml(deal, timeZone) {
+  const imageUrl = getSafeUrl(getPublicImageUrl(deal.image_url)) || getSafeUrl(getPublicImageUrl(deal.logo_url));
+  const savings = Number(deal.savings) > 0 ? html`💰 Save ${formatMoney(deal.savings)} | ` : '';
+
+  return html`
+      <div style="margin: 20px 0; padding: 15px; background: #f9f9f9; border-left: 4px solid #FF6B35; overflow: hidden;">
+        ${imageUrl && html`<img src="${imageUrl}" alt="${deal.restaurant}" width="64" height="64" style="float: right; margin-left: 12px; object-fit: contain;">`}
+        <h3 style="margin: 0 0 10px 0; color: #FF6B35;">${deal.restaurant}</h3>
+        <p style="margin: 0 0 5px 0;"><strong>${deal.deal_description}</strong></p>
+        ${deal.deal_code && html`<p style="margin: 0 0 5px 0;">🏷️ Code: <code style="padding: 2px 6px; background: #fff3e0; border-radius: 4px; font-size: 1.05em;">${deal.deal_code}</code></p>`}
+        <p style="margin: 0; color: #666;">
+          ${savings}⏰ Expires: ${formatEmailDate(deal.expires_at, timeZone)}
+        </p>
+      </div>`;
+}
+
+function renderDealCardText(deal, timeZone) {
+  const details = [
+    deal.deal_code && `Code: ${plainLine(deal.deal_code)}`,
+    Number(deal.savings) > 0 && `Save ${formatMoney(deal.savings)}`,
+    `Expires: ${formatEmailDate(deal.expires_at, timeZone)}`
+  ].filter(Boolean);
+
+  return `* ${plainLine(deal.restaurant)}: ${plainLine(deal.deal_description)}\n  ${details.join(' | ')}`;
+}
+
+// Shared header, call to action and footer
+function renderEmailLayout({ heading, content, unsubscribeUrl, unsubscribeAllUrl }) {
+  return html`<!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <style>
+        body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { text-align: center; padding: 30px 0; background: linear-gradient(135deg, #FF6B35 0%, #F7931E 100%); color: white; border-radius: 10px 10px 0 0; }
+        .logo { font-size: 2.5rem; font-weight: bold; margin: 0; }
+        .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; }
+        .footer { margin-top: 20px; font-size: 0.85rem; color: #999; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1 class="logo">🍔 DealDine</h1>
+          <p style="margin: 10px 0 0 0;">${heading}</p>
+        </div>
+        <div class="content">
+          ${content}
+          <p style="text-align: center; margin-top: 30px;">
+            <a href="${FRONTEND_URL}" style="display: inline-block; padding: 12px 30px; background: #FF6B35; color: white; text-decoration: none; border-radius: 25px; font-weight: bold;">
+              View All Deals
+            </a>
+          </p>
+        </div>
+        <p class="footer">
+          Change how and when DealDine emails you under Notifications on your <a href="${FRONTEND_URL}">dashboard</a>.<br>
+          <a href="${unsubscribeUrl}">Unsubscribe from these emails</a> · <a href="${unsubscribeAllUrl}">Stop all DealDine emails</a>
+        </p>
+      </div>
+    </body>
+    </html>
+  `[SAFE_HTML];
+}
+
+function renderTextLayout({ heading, content, unsubscribeUrl, unsubscribeAllUrl }) {
+  return [
+    `DealDine - ${heading}`,
+    '',
+    content,
+    '',
+    `View all deals: ${FRONTEND_URL}`,
+    '',
+    `Unsubscribe from these emails: ${unsubscribeUrl}`,
+    `Stop all DealDine emails: ${unsubscribeAllUrl}`
+  ].join('\n');
+}
+
+function getSampleDeals(now = new Date()) {
+  return [
+    {
+      restaurant: "McDonald's",
+      deal_description: 'Buy one Big Mac, get one free',
+      deal_code: 'BOGOMAC',
+      savings: '5.69',
+      expires_at: new Date(now.getTime() + DAY_MS).toISOString(),
+      logo_url: restaurantCatalog.entries.find(entry => entry.name === "McDonald's")?.logo_url || null
+    },
+    {
+      restaurant: 'Taco Bell',
+      deal_description: '<b>20% off</b> your next order & free delivery',
+      deal_code: null,
+      savings: 3,
+      expires_at: new Date(now.getTime() + 3 * DAY_MS).toISOString(),
+      logo_url: null
+    }
+  ];
+}
+
+// Each template turns its data into a subject, HTML content and text
+// content; sample() supplies data for previews
+const EMAIL_TEMPLATES = {
+  'expiring-deals': {
+    unsubscribeScope: 'expiring',
+    render({ deals, timeZone, mode = 'instant', leadTimeDays = EXPIRING_SOON_DAYS }) {
+      const count = deals.length;
+      const plural = count > 1 ? 's' : '';
+      const windowDays = leadTimeDays + DIGEST_WINDOW_DAYS[mode];
+      const window = windowDays === 0 ? 'today' : `in the next ${windowDays} day${windowDays > 1 ? 's' : ''}`;
+
+      return {
+        subject: mode === 'instant'
+          ? `⏰ ${count} Deal${plural} Expiring Soon!`
+          : `📬 Your ${mode} DealDine digest: ${count} deal${plural} expiring soon`,
+        heading: mode === 'instant' ? 'Deals Expiring Soon!' : `Your ${mode === 'daily' ? 'Daily' : 'Weekly'} Deal Digest`,
+        html: html`
+          <p>Hey there! 👋</p>
+          <p>You have <strong>${count}</strong> restaurant deal${plural} expiring ${window}:</p>
+          ${deals.map(deal => renderDealCardHtml(deal, timeZone))}
+          <p style="margin-top: 30px;">Don't miss out on these savings! 🎉</p>`,
+        text: [
+          `You have ${count} restaurant deal${plural} expiring ${window}:`,
+          '',
+          ...deals.map(deal => renderDealCardText(deal, timeZone)),
+          '',
+          "Don't miss out on these savings!"
+        ].join('\n')
+      };
+    },
+    sample: now => ({ deals: getSampleDeals(now), mode: 'instant', leadTimeDays: EXPIRING_SOON_DAYS })
+  },
+
+  'new-deals-digest': {
+    unsubscribeScope: 'new-deals',
+    render({ deals, timeZone }) {
+      const count = deals.length;
+      const plural = count > 1 ? 's' : '';
+      const savings = deals.reduce((sum, deal) => sum + (Number(deal.savings) || 0), 0);
+
+      return {
+        subject: `🍔 ${count} new deal${plural} this week`,
+        heading: 'New Deals This Week',
+        html: html`
+          <p>Hey there! 👋</p>
+          <p>We found <strong>${count}</strong> new restaurant deal${plural} in your inbox this week${savings > 0 ? html`, worth about <strong>${formatMoney(savings)}</strong>` : ''}:</p>
+          ${deals.map(deal => renderDealCardHtml(deal, timeZone))}`,
+        text: [
+          `We found ${count} new restaurant deal${plural} in your inbox this week${savings > 0 ? `, worth about ${formatMoney(savings)}` : ''}:`,
+          '',
+          ...deals.map(deal => renderDealCardText(deal, timeZone))
+        ].join('\n')
+      };
+    },
+    sample: now => ({ deals: getSampleDeals(now), since: new Date(now.getTime() - 7 * DAY_MS) })
+  }
+};
+
+// Render a template for a user into { subject, html, text, headers }
+function renderEmail(templateName, { user, timeZone = getUserTimeZone(user), ...data }) {
+  const template = EMAIL_TEMPLATES[templateName];
+  if (!template) throw new Error(`Unknown email template: ${templateName}`);
+
+  const { subject, heading, html: content, text } = template.render({ ...data, timeZone });
+  const links = {
+    unsubscribeUrl: getUnsubscribeUrl(user.id, template.unsubscribeScope),
+    unsubscribeAllUrl: getUnsubscribeUrl(user.id, 'all')
+  };
+
+  return {
+    subject,
+    html: renderEmailLayout({ heading, content, ...links }),
+    text: renderTextLayout({ heading, content: text, ...links }),
+    // One-click unsubscribe (RFC 8058) from the mail client's own button
+    headers: {
+      'List-Unsubscribe': `<${links.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+// Turn off what an unsubscribe token covers. Resolves to the scope, or null
+// when the token is invalid or the user no longer exists.
+async function applyUnsubscribe(token) {
+  const payload = verifyUnsubscribeToken(token);
+  if (!payload) return null;
+
+  const user = await getUserById(payload.uid);
+  if (!user) return null;
+
+  const preferences = {
+    ...normalizeNotificationPreferences(user.notification_preferences),
+    ...UNSUBSCRIBE_SCOPES[payload.scope]
+  };
+  await updateNotificationPreferences(user.id, preferences);
+  return payload.scope;
+}
+
+// Minimal standalone page for the unsubscribe link (outside the dashboard)
+function renderUnsubscribePage({ title, message, token = null }) {
+  return html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>DealDine</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; text-align: center; color: #333;">
+  <h1 style="color: #FF6B35;">🍔 DealDine</h1>
+  <h2>${title}</h2>
+  <p>${message}</p>
+  ${token && html`<form method="POST" action="/unsubscribe?token=${token}">
+    <button type="submit" style="padding: 12px 30px; background: #FF6B35; color: white; border: 0; border-radius: 25px; font-weight: bold; cursor: pointer;">Unsubscribe</button>
+  </form>`}
+  <p><a href="${FRONTEND_URL}">Manage notification settings</a></p>
+</body>
+</html>`[SAFE_HTML];
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+// Users register URLs that receive deal events as signed POSTs. Every
+// delivery is logged in webhook_deliveries; failed ones are retried with
+// backoff by the "webhook-retries" scheduled job and can be replayed.
+
+const WEBHOOK_EVENTS = ['deal.created', 'deal.expiring', 'deal.used'];
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+const WEBHOOK_CONFIG = {
+  timeoutMs: 10000,
+  // Wait before each retry; the delivery fails once these run out
+  retryDelaysMs: [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000],
+  retentionDays: 30
+};
+
+const WEBHOOK_EVENT_LABELS = {
+  'deal.created': '🆕 New deal',
+  'deal.expiring': '⏰ Expiring soon',
+  'deal.used': '✅ Deal used'
+};
+
+function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Signed over "<timestamp>.<body>" so receivers can also reject stale replays
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The secret is only shown when the webhook is created
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// Deliveries as returned by the API. Only the status code of a reply is
+// kept: echoing reply bodies would let users read whatever a URL returns.
+function toPublicWebhookDelivery(delivery) {
+  const { response_body: responseBody, ...rest } = delivery;
+  return rest;
+}
+
+// Webhook URLs must resolve to public addresses. Resolves to an error
+// message, or null when the URL is fine.
+async function checkWebhookHost(url) {
+  const { hostname } = new URL(url);
+  try {
+    assertPublicHost(hostname);
+    if (!net.isIP(hostname.replace(/^\[|\]$/g, ''))) await lookupPublicAddress(hostname);
+    return null;
+  } catch (error) {
+    return error.code ? `url host ${hostname} could not be found` : 'url must point to a public address, not a private or loopback one';
+  }
+}
+
+// Validate a webhook body from the API. Resolves to { webhook } (columns to
+// write) or { error }. With `partial`, missing fields are left alone.
+async function parseWebhookInput(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const webhook = {};
+
+  if (input.url !== undefined || !partial) {
+    const url = getSafeUrl(input.url);
+    if (!url) return { error: 'url must be an http(s) URL' };
+
+    const hostError = await checkWebhookHost(url);
+    if (hostError) return { error: hostError };
+    webhook.url = url;
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = Array.isArray(input.events) ? [...new Set(input.events)] : [];
+    if (events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    webhook.events = events;
+  }
+
+  if (input.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(input.format)) {
+      return { error: `format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    webhook.format = input.format;
+  }
+
+  if (input.description !== undefined) {
+    webhook.description = cleanText(input.description, 200);
+  }
+
+  if (input.isActive !== undefined) {
+    if (typeof input.isActive !== 'boolean') return { error: 'isActive must be true or false' };
+    webhook.is_active = input.isActive;
+  }
+
+  return { webhook };
+}
+
+// The deal fields sent to webhooks, in API (camelCase) form
+function serializeWebhookDeal(deal) {
+  return {
+    id: deal.id,
+    restaurant: deal.restaurant,
+    description: deal.deal_description,
+    dealType: deal.deal_type || null,
+    code: deal.deal_code || null,
+    savings: Number(deal.savings) || 0,
+    expiresAt: deal.expires_at || null,
+    imageUrl: getPublicImageUrl(deal.image_url),
+    logoUrl: getPublicImageUrl(deal.logo_url),
+    isActive: deal.is_active !== false,
+    url: getDealUrl(deal.id)
+  };
+}
+
+// One-line summary used by the chat formatters
+function describeWebhookEvent({ event, data }) {
+  if (event === 'ping') return 'DealDine webhook test ✅';
+
+  const { deal } = data;
+  const details = [
+    deal.code && `code ${deal.code}`,
+    deal.savings > 0 && `save ${formatMoney(deal.savings)}`,
+    deal.expiresAt && `expires ${formatEmailDate(deal.expiresAt, DEFAULT_TIME_ZONE)}`
+  ].filter(Boolean);
+
+  return `${WEBHOOK_EVENT_LABELS[event] || event}: ${deal.restaurant} - ${deal.description}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+// Slack mrkdwn treats &, < and > as control characters
+function escapeSlackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Request bodies per webhook format. Chat formats carry extracted text, so
+// Discord mentions are disabled and Slack control characters escaped.
+const WEBHOOK_FORMATTERS = {
+  json: payload => payload,
+
+  slack: payload => {
+    const text = escapeSlackText(describeWebhookEvent(payload));
+    const imageUrl = payload.data.deal?.imageUrl || payload.data.deal?.logoUrl;
+
+    return {
+      text,
+      blocks: [{
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${text}\n<${payload.data.deal?.url || FRONTEND_URL}|View in DealDine>` },
+        ...(imageUrl ? { accessory: { type: 'image', image_url: imageUrl, alt_text: payload.data.deal.restaurant } } : {})
+      }]
+    };
+  },
+
+  discord: payload => {
+    const { deal } = payload.data;
+    if (!deal) return { content: describeWebhookEvent(payload), allowed_mentions: { parse: [] } };
+
+    const fields = [
+      deal.code && { name: 'Code', value: deal.code, inline: true },
+      deal.savings > 0 && { name: 'Savings', value: formatMoney(deal.savings), inline: true },
+      deal.expiresAt && { name: 'Expires', value: formatEmailDate(deal.expiresAt, DEFAULT_TIME_ZONE), inline: true }
+    ].filter(Boolean);
+    const imageUrl = deal.imageUrl || deal.logoUrl;
+
+    return {
+      allowed_mentions: { parse: [] },
+      embeds: [{
+        title: `${WEBHOOK_EVENT_LABELS[payload.event] || payload.event}: ${deal.restaurant}`.slice(0, 256),
+        description: deal.description.slice(0, 2000),
+        url: deal.url,
+        color: 0xFF6B35,
+        fields,
+        ...(imageUrl ? { thumbnail: { url: imageUrl } } : {}),
+        timestamp: payload.createdAt
+      }]
+    };
+  }
+};
+
+// POST one delivery and record the outcome. Failures are scheduled for a
+// retry until WEBHOOK_CONFIG.retryDelaysMs runs out. Resolves to the
+// updated delivery row.
+async function attemptWebhookDelivery(delivery, webhook) {
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(WEBHOOK_FORMATTERS[webhook.format](delivery.payload));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let outcome;
+
+  try {
+    // Checked on every attempt: the host may resolve elsewhere by now
+    assertPublicHost(new URL(webhook.url).hostname);
+
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DealDine-Webhooks/1.0',
+        'X-DealDine-Event': delivery.event,
+        'X-DealDine-Delivery': delivery.id,
+        'X-DealDine-Timestamp': timestamp,
+        'X-DealDine-Signature': `sha256=${signWebhookBody(webhook.secret, timestamp, body)}`
+      },
+      timeout: WEBHOOK_CONFIG.timeoutMs,
+      maxRedirects: 0,
+      lookup: lookupPublicAddress,
+      // The reply body is never read
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+    response.data.destroy();
+
+    const ok = response.status >= 200 && response.status < 300;
+    outcome = { response_status: response.status, error: ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    outcome = { response_status: null, error: error.message };
+  }
+
+  if (!outcome.error) {
+    return updateWebhookDelivery(delivery.id, {
+      ...outcome,
+      attempts,
+      status: 'succeeded',
+      next_attempt_at: null,
+      delivered_at: new Date().toISOString()
+    });
+  }
+
+  const retryDelay = WEBHOOK_CONFIG.retryDelaysMs[attempts - 1];
+  const willRetry = retryDelay !== undefined && webhook.is_active !== false;
+  return updateWebhookDelivery(delivery.id, {
+    ...outcome,
+    attempts,
+    status: willRetry ? 'retrying' : 'failed',
+    next_attempt_at: willRetry ? new Date(Date.now() + retryDelay).toISOString() : null
+  });
+}
+
+// Log deliveries for the given webhooks and send them in the background
+async function queueWebhookDeliveries(webhooks, userId, event, data, { replayOf = null } = {}) {
+  const payload = { event, createdAt: new Date().toISOString(), data };
+  const deliveries = await createWebhookDeliveries(webhooks.map(webhook => ({
+    webhook_id: webhook.id,
+    user_id: userId,
+    event,
+    payload,
+    status: 'pending',
+    replay_of: replayOf
+  })));
+
+  const webhooksById = new Map(webhooks.map(webhook => [webhook.id, webhook]));
+  for (const delivery of deliveries) {
+    attemptWebhookDelivery(delivery, webhooksById.get(delivery.webhook_id))
+      .catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error.message));
+  }
+
+  return deliveries;
+}
+
+async function getSubscribedWebhooks(userId, event) {
+  return (await getUserWebhooks(userId)).filter(webhook =>
+    webhook.is_active !== false && webhook.events.includes(event)
+  );
+}
+
+// Send a deal event to every active webhook of the user subscribed to it.
+// Never throws: a broken webhook must not fail a scan or a request.
+async function emitDealEvent(userId, event, deal) {
+  try {
+    const webhooks = await getSubscribedWebhooks(userId, event);
+    if (webhooks.length === 0) return [];
+
+    return await queueWebhookDeliveries(webhooks, userId, event, { deal: serializeWebhookDeal(deal) });
+  } catch (error) {
+    console.error(`Could not queue ${event} webhooks:`, error.message);
+    return [];
+  }
+}
+
+// Post expiring deals to the user's deal.expiring webhooks. Uses the same
+// lead time, savings threshold and opt-outs as email alerts, without quiet
+// hours or digests. Resolves to { status, deals } like the email checks.
+async function notifyWebhooksOfExpiringDeals(user, now = new Date()) {
+  if ((await getSubscribedWebhooks(user.id, 'deal.expiring')).length === 0) {
+    return { status: 'disabled', deals: 0 };
+  }
+
+  const preferences = { ...normalizeNotificationPreferences(user.notification_preferences), mode: 'instant' };
+  const expiringDeals = await getNotifiableExpiringDeals(user, preferences, now);
+  const notifiedIds = await getNotifiedDealIds(user.id, expiringDeals.map(deal => deal.id), 'webhook');
+  const deals = expiringDeals.filter(deal => !notifiedIds.has(deal.id));
+
+  for (const deal of deals) {
+    await emitDealEvent(user.id, 'deal.expiring', deal);
+  }
+  await recordDealNotifications(user.id, deals, { mode: 'instant', status: 'sent', channel: 'webhook' });
+
+  return { status: deals.length > 0 ? 'sent' : 'nothing_new', deals: deals.length };
+}
+
+// Send a "ping" event to one webhook and wait for the result
+async function testWebhook(webhook) {
+  const [delivery] = await createWebhookDeliveries([{
+    webhook_id: webhook.id,
+    user_id: webhook.user_id,
+    event: 'ping',
+    payload: { event: 'ping', createdAt: new Date().toISOString(), data: { webhookId: webhook.id } },
+    status: 'pending'
+  }]);
+  return attemptWebhookDelivery(delivery, webhook);
+}
+
+// Send a logged delivery again as a new delivery and wait for the result.
+// Resolves to null when the delivery or its webhook no longer exists.
+async function replayWebhookDelivery(userId, deliveryId) {
+  const original = await getWebhookDelivery(deliveryId);
+  if (!original || original.user_id !== userId) return null;
+
+  const webhook = await getUserWebhook(original.webhook_id, userId);
+  if (!webhook) return null;
+
+  const [delivery] = await createWebhookDeliveries([{
+    webhook_id: webhook.id,
+    user_id: userId,
+    event: original.event,
+    payload: original.payload,
+    status: 'pending',
+    replay_of: original.replay_of || original.id
+  }]);
+  return attemptWebhookDelivery(delivery, webhook);
+}
+
+// Retry deliveries whose backoff has elapsed (the "webhook-retries"
+// scheduled job) and prune old log entries.
+// Resolves to { attempted, succeeded, failed }.
+async function retryWebhookDeliveries() {
+  const summary = { attempted: 0, succeeded: 0, failed: 0 };
+  const webhooks = new Map();
+
+  for (const delivery of await getDueWebhookDeliveries()) {
+    if (!webhooks.has(delivery.webhook_id)) {
+      webhooks.set(delivery.webhook_id, await getUserWebhook(delivery.webhook_id, delivery.user_id));
+    }
+    const webhook = webhooks.get(delivery.webhook_id);
+
+    if (!webhook || webhook.is_active === false) {
+      await updateWebhookDelivery(delivery.id, { status: 'failed', next_attempt_at: null, error: 'Webhook is disabled' });
+      summary.failed++;
+      continue;
+    }
+
+    summary.attempted++;
+    const result = await attemptWebhookDelivery(delivery, webhook);
+    if (result.status === 'succeeded') summary.succeeded++;
+    if (result.status === 'failed') summary.failed++;
+  }
+
+  await removeWebhookDeliveriesBefore(new Date(Date.now() - WEBHOOK_CONFIG.retentionDays * DAY_MS));
+  return summary;
+}
+
+// ============================================
+// PUSH NOTIFICATIONS
+// ============================================
+
+// Web Push to the installed dashboard (service-worker.js). Needs a VAPID key
+// pair (`npm run vapid:keys`); without one push stays off and the push
+// endpoints report it as unavailable. Subscriptions are stored per browser.
+
+const PUSH_CONFIG = {
+  publicKey: process.env.VAPID_PUBLIC_KEY || null,
+  privateKey: process.env.VAPID_PRIVATE_KEY || null,
+  subject: process.env.VAPID_SUBJECT || `mailto:${process.env.NOTIFICATION_EMAIL || 'notifications@dealdine.app'}`,
+  ttlSeconds: 12 * 60 * 60,
+  maxBodyChars: 180,
+  enabled: false
+};
+
+if (PUSH_CONFIG.publicKey && PUSH_CONFIG.privateKey) {
+  try {
+    webpush.setVapidDetails(PUSH_CONFIG.subject, PUSH_CONFIG.publicKey, PUSH_CONFIG.privateKey);
+    PUSH_CONFIG.enabled = true;
+  } catch (error) {
+    console.warn(`Push notifications disabled: ${error.message}`);
+  }
+}
+
+// Validate a PushSubscription (as JSON) from the browser.
+// Resolves to { subscription } or { error }.
+function parsePushSubscription(body) {
+  const input = body?.subscription || body || {};
+  const endpoint = getSafeUrl(input.endpoint);
+  const { p256dh, auth } = input.keys || {};
+  const isKey = value => typeof value === 'string' && /^[A-Za-z0-9_-]+={0,2}$/.test(value);
+
+  if (!endpoint || !endpoint.startsWith('https:')) return { error: 'subscription.endpoint must be an https URL' };
+  if (!isKey(p256dh) || !isKey(auth)) return { error: 'subscription.keys must include p256dh and auth' };
+
+  return { subscription: { endpoint, p256dh, auth } };
+}
+
+// Truncated to what notification banners show
+function pushText(text) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return value.length > PUSH_CONFIG.maxBodyChars ? `${value.slice(0, PUSH_CONFIG.maxBodyChars - 1)}…` : value;
+}
+
+function buildExpiringDealsPush(deals, timeZone) {
+  const [first] = deals;
+  return deals.length === 1
+    ? {
+      title: `⏰ ${first.restaurant} deal expiring`,
+      body: pushText(`${first.deal_description} (expires ${formatEmailDate(first.expires_at, timeZone)})`),
+      url: getDealUrl(first.id),
+      tag: 'dealdine-expiring'
+    }
+    : {
+      title: `⏰ ${deals.length} deals expiring soon`,
+      body: pushText(deals.map(deal => deal.restaurant).join(', ')),
+      url: FRONTEND_URL,
+      tag: 'dealdine-expiring'
+    };
+}
+
+function buildNewDealsPush(deals) {
+  const [first] = deals;
+  return {
+    title: deals.length === 1 ? `🆕 New ${first.restaurant} deal` : `🆕 ${deals.length} new deals`,
+    body: pushText(deals.length === 1 ? first.deal_description : deals.map(deal => `${deal.restaurant}: ${deal.deal_description}`).join(' · ')),
+    url: deals.length === 1 ? getDealUrl(first.id) : FRONTEND_URL,
+    tag: 'dealdine-new'
+  };
+}
+
+// Send one notification to every browser the user subscribed. Subscriptions
+// the push service reports as gone (404/410) are removed.
+// Resolves to { sent, failed, removed }.
+async function sendPushToUser(userId, notification) {
+  const result = { sent: 0, failed: 0, removed: 0 };
+  if (!PUSH_CONFIG.enabled) return result;
+
+  const payload = JSON.stringify({ icon: 'icon.svg', ...notification });
+  for (const subscription of await getPushSubscriptions(userId)) {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        payload,
+        { TTL: PUSH_CONFIG.ttlSeconds }
+      );
+      await markPushSubscriptionUsed(subscription.id);
+      result.sent++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await removePushSubscriptionById(subscription.id);
+        result.removed++;
+      } else {
+        console.warn(`Push to ${new URL(subscription.endpoint).host} failed:`, error.statusCode || error.message);
+        result.failed++;
+      }
+    }
+  }
+
+  return result;
+}
+
+// Push expiring deals to the user's browsers. Same lead time, filters and
+// quiet hours as email, but always sent right away (no digests), and
+// independent of the email switch. Resolves to { status, deals }.
+async function notifyPushOfExpiringDeals(user, now = new Date()) {
+  const preferences = { ...normalizeNotificationPreferences(user.notification_preferences), mode: 'instant' };
+  if (!PUSH_CONFIG.enabled || !preferences.push || !preferences.expiringSoon) return { status: 'disabled', deals: 0 };
+
+  const timeZone = getUserTimeZone(user);
+  if (isInQuietHours(preferences, timeZone, now)) return { status: 'quiet_hours', deals: 0 };
+  if ((await getPushSubscriptions(user.id)).length === 0) return { status: 'disabled', deals: 0 };
+
+  const expiringDeals = await getNotifiableExpiringDeals(user, preferences, now);
+  const notifiedIds = await getNotifiedDealIds(user.id, expiringDeals.map(deal => deal.id), 'push');
+  const deals = expiringDeals.filter(deal => !notifiedIds.has(deal.id));
+  if (deals.length === 0) return { status: 'nothing_new', deals: 0 };
+
+  const { sent } = await sendPushToUser(user.id, buildExpiringDealsPush(deals, timeZone));
+  await recordDealNotifications(user.id, deals, {
+    mode: 'instant',
+    channel: 'push',
+    status: sent > 0 ? 'sent' : 'failed',
+    error: sent > 0 ? null : 'No subscription accepted the notification'
+  });
+
+  return { status: sent > 0 ? 'sent' : 'failed', deals: deals.length };
+}
+
+// Push newly found deals after a scan, with the user's filters and quiet
+// hours. Never throws: push problems must not fail a scan.
+async function notifyPushOfNewDeals(user, deals, now = new Date()) {
+  try {
+    const preferences = normalizeNotificationPreferences(user.notification_preferences);
+    if (!PUSH_CONFIG.enabled || !preferences.push || !preferences.pushNewDeals || deals.length === 0) return;
+    if (isInQuietHours(preferences, getUserTimeZone(user), now)) return;
+
+    const muted = new Set(preferences.mutedRestaurants);
+    const wanted = deals.filter(deal => !muted.has(deal.restaurant) && Number(deal.savings || 0) >= preferences.minSavings);
+    if (wanted.length > 0) await sendPushToUser(user.id, buildNewDealsPush(wanted));
+  } catch (error) {
+    console.error('New deal push failed:', error.message);
+  }
+}
+
+// ============================================
+// 6. SCAN JOBS - BACKGROUND SCANS WITH PROGRESS
+// ============================================
+
+// Scans run in the background so the HTTP request returns immediately.
+// Progress is kept on the job and streamed to clients as Server-Sent Events.
+
+const SCAN_CONFIG = {
+  maxEmails: 6,
+  batchSize: 2,
+  requestDelayMs: 15000,
+  batchPauseMs: 60000,
+  maxRateLimitRetries: 3,
+  heartbeatMs: 15000,
+  jobRetentionMs: 60 * 60 * 1000
+};
+
+const FINISHED_SCAN_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// In-memory job registry: jobId -> job
+const scanJobs = new Map();
+
+// kind: 'scan' (new Gmail messages) or 'reextract' (stored emails)
+function createScanJob(user, kind = 'scan') {
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    user,
+    status: 'queued',
+    progress: {
+      emailsFound: 0,
+      skipped: 0,
+      parsed: 0,
+      failed: 0,
+      dealsSaved: 0,
+      dealsMerged: 0
+    },
+    pause: null,
+    error: null,
+    events: [],
+    listeners: new Set(),
+    cancelRequested: false,
+    wake: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null
+  };
+
+  scanJobs.set(job.id, job);
+  return job;
+}
+
+function getActiveScanJob(userId) {
+  for (const job of scanJobs.values()) {
+    if (job.user.id === userId && !FINISHED_SCAN_STATUSES.includes(job.status)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+function getScanJobSnapshot(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    progress: { ...job.progress },
+    pause: job.pause,
+    error: job.error,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+function writeSseEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Record an event on the job and push it to every connected client
+function emitScanEvent(job, type, data = {}) {
+  const event = {
+    id: job.events.length + 1,
+    type,
+    data: { ...data, job: getScanJobSnapshot(job) }
+  };
+
+  job.events.push(event);
+  for (const res of job.listeners) {
+    writeSseEvent(res, event);
+  }
+}
+
+function finishScanJob(job, status, data = {}) {
+  job.status = status;
+  job.pause = null;
+  job.finishedAt = new Date().toISOString();
+  emitScanEvent(job, status === 'completed' ? 'complete' : status, data);
+
+  for (const res of job.listeners) {
+    res.end();
+  }
+  job.listeners.clear();
+
+  setTimeout(() => scanJobs.delete(job.id), SCAN_CONFIG.jobRetentionMs).unref();
+}
+
+// Pause the job (rate limit, pacing) unless it is cancelled first.
+// Resolves false when the pause was cut short by a cancel.
+async function pauseScanJob(job, ms, reason) {
+  if (job.cancelRequested) return false;
+
+  job.status = 'paused';
+  job.pause = { reason, durationMs: ms, resumeAt: new Date(Date.now() + ms).toISOString() };
+  emitScanEvent(job, 'paused', { reason, durationMs: ms });
+
+  await new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    job.wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  job.wake = null;
+  job.pause = null;
+  if (job.cancelRequested) return false;
+
+  job.status = 'running';
+  emitScanEvent(job, 'resumed', { reason });
+  return true;
+}
+
+function cancelScanJob(job) {
+  job.cancelRequested = true;
+  if (job.wake) job.wake();
+}
+
+// Pace AI requests between emails and between batches.
+// pacing is { throttled, callsInBatch }, shared across a job's emails.
+async function paceExtraction(job, pacing, hasMore) {
+  if (!pacing.throttled || !hasMore || pacing.callsInBatch === 0) return;
+
+  if (pacing.callsInBatch >= SCAN_CONFIG.batchSize) {
+    pacing.callsInBatch = 0;
+    await pauseScanJob(job, SCAN_CONFIG.batchPauseMs, 'batch_pause');
+  } else {
+    await pauseScanJob(job, SCAN_CONFIG.requestDelayMs, 'request_delay');
+  }
+}
+
+// The parts of a Gmail message (or a raw message parsed into the same shape,
+// see MAIL IMPORTS) that extraction reads, in `emails` row shape.
+// Stored so deals can be re-extracted later without going back to Gmail.
+// Images are added by cacheEmailImages() once the email is known to have text.
+function buildStoredEmail(email) {
+  const { text, source, truncated } = extractEmailBody(email.payload);
+  const headers = email.payload.headers || [];
+
+  return {
+    email_id: email.id,
+    subject: headers.find(h => h.name === 'Subject')?.value || '',
+    sender: headers.find(h => h.name === 'From')?.value || '',
+    sent_at: getEmailSentDate(email).toISOString(),
+    body_text: text,
+    body_source: source,
+    body_truncated: truncated,
+    // Messages parsed by parseRawEmail() say where they came from
+    source: email.source?.type || 'gmail',
+    source_ref: email.source?.ref || null
+  };
+}
+
+// Run extraction on a stored email. Resolves to saveDeal-ready deal data,
+// one entry per offer; dealIndex keeps each offer's row distinct.
+async function extractStoredEmailDeals(user, storedEmail) {
+  const restaurantAliases = await getUserRestaurantAliases(user.id);
+  const dealInfos = await extractDealsFromEmail(storedEmail.body_text, storedEmail.subject, storedEmail.sender, {
+    referenceDate: storedEmail.sent_at ? new Date(storedEmail.sent_at) : new Date(),
+    timeZone: getUserTimeZone(user),
+    restaurantAliases
+  });
+
+  const images = {
+    dealImages: storedEmail.images?.dealImages || [],
+    logoImages: storedEmail.images?.logoImages || []
+  };
+  const imageUrl = selectBestDealImage(images);
+
+  return dealInfos.map((dealInfo, dealIndex) => {
+    const canonicalRestaurant = getCanonicalRestaurantName(dealInfo.restaurant, restaurantAliases);
+
+    return {
+      emailId: storedEmail.email_id,
+      dealIndex,
+      restaurant: canonicalRestaurant,
+      dealDescription: dealInfo.dealDescription,
+      originalPrice: dealInfo.originalPrice,
+      discountedPrice: dealInfo.discountedPrice,
+      savings: dealInfo.savings ?? 0,
+      savingsEstimated: dealInfo.savingsEstimated,
+      expiryDate: dealInfo.expiryDate,
+      expiresAt: dealInfo.expiresAt,
+      expiryConfidence: dealInfo.expiryConfidence,
+      expiryText: dealInfo.expiryText,
+      dealCode: dealInfo.dealCode,
+      termsAndConditions: dealInfo.termsAndConditions,
+      dealType: dealInfo.dealType,
+      dealParams: dealInfo.dealParams,
+      rawRestaurant: dealInfo.rawRestaurant,
+      fieldConfidence: dealInfo.fieldConfidence,
+      extractionConfidence: dealInfo.extractionConfidence,
+      extractor: dealInfo.extractor,
+      promptVersion: dealInfo.promptVersion,
+      imageUrl,
+      logoUrl: selectBestLogoImage(images, canonicalRestaurant),
+      source: storedEmail.source,
+      sourceRef: storedEmail.source_ref
+    };
+  });
+}
+
+// Store an email, run extraction on it and save every deal it contains.
+// auth is the Gmail client used to download inline image attachments.
+// Resolves to [{ deal, merged }] (merged: the offer was already saved from
+// another email), or null when the email has no text.
+async function processEmailForDeals(user, email, auth = null) {
+  const storedEmail = buildStoredEmail(email);
+  if (!storedEmail.body_text) return null;
+
+  storedEmail.images = await cacheEmailImages(auth, email);
+  await saveStoredEmail(user.id, storedEmail);
+
+  const results = [];
+  const newDeals = [];
+  for (const dealData of await extractStoredEmailDeals(user, storedEmail)) {
+    const result = await saveOrMergeDeal(user.id, dealData);
+    results.push(result);
+
+    // Deals waiting for review are announced once they are accepted
+    if (result.created && result.deal.review_status !== 'pending') {
+      newDeals.push(result.deal);
+      await emitDealEvent(user.id, 'deal.created', result.deal);
+    }
+  }
+  await notifyPushOfNewDeals(user, newDeals);
+  await markStoredEmailExtracted(user.id, storedEmail.email_id);
+
+  return results;
+}
+
+// Extract and save the deals in fetched emails, pacing AI calls and pausing
+// on rate limits. Emails in processedEmailIds are skipped; handled ones are
+// added to it. Progress goes out as job events; Gmail auth errors are rethrown
+// so the caller can fail the job.
+async function processJobEmails(job, emails, { auth = null, processedEmailIds }) {
+  const { user, progress } = job;
+
+  // The local provider makes no API calls, so there is nothing to pace
+  const pacing = { throttled: getExtractionProviderChain()[0].throttled, callsInBatch: 0 };
+
+  for (let i = 0; i < emails.length && !job.cancelRequested; i++) {
+    const email = emails[i];
+
+    if (processedEmailIds.has(email.id)) {
+      progress.skipped++;
+      emitScanEvent(job, 'email_skipped', { emailId: email.id, reason: 'already_processed' });
+      continue;
+    }
+
+    let rateLimitRetries = 0;
+    while (!job.cancelRequested) {
+      try {
+        const results = await processEmailForDeals(user, email, auth);
+        if (results === null) {
+          progress.skipped++;
+          emitScanEvent(job, 'email_skipped', { emailId: email.id, reason: 'no_text_content' });
+          break;
+        }
+
+        pacing.callsInBatch++;
+        processedEmailIds.add(email.id);
+        progress.parsed++;
+        for (const { merged } of results) {
+          if (merged) progress.dealsMerged++;
+          else progress.dealsSaved++;
+        }
+        emitScanEvent(job, 'email_parsed', { emailId: email.id, dealsFound: results.length });
+        for (const { deal, merged } of results) {
+          emitScanEvent(job, 'deal_saved', { deal, merged });
+        }
+        break;
+      } catch (error) {
+        if (error?.status === 429 && rateLimitRetries < SCAN_CONFIG.maxRateLimitRetries) {
+          rateLimitRetries++;
+          const retryAfterMs = getGeminiRetryDelayMs(error);
+          console.warn(
+            `Extraction rate limit hit (${error.provider || 'gemini'}). Pausing for ${Math.ceil(retryAfterMs / 1000)}s.`
+          );
+          await pauseScanJob(job, retryAfterMs, 'rate_limit');
+          continue;
+        }
+        if (isGmailAuthError(error)) throw error;
+
+        console.error('Error processing email:', error);
+        progress.failed++;
+        emitScanEvent(job, 'email_failed', { emailId: email.id, error: error.message });
+        break;
+      }
+    }
+
+    await paceExtraction(job, pacing, i < emails.length - 1);
+  }
+}
+
+// Scan a user's mailbox. Never throws: failures end the job with status 'failed'.
+async function runScanJob(job) {
+  const { user, progress } = job;
+
+  try {
+    job.status = 'running';
+    emitScanEvent(job, 'started');
+
+    await refreshRestaurantCatalog();
+
+    const processedEmailIds = await getProcessedEmailIds(user.id);
+    console.log(`Already processed ${processedEmailIds.size} emails for this user`);
+
+    const excludedRestaurants = await getExcludedRestaurants(user.id);
+
+    const oauth2Client = getUserOAuthClient(user);
+    const { emails, skippedIds, historyId, mode } = await fetchPromotionalEmails(oauth2Client, {
+      startHistoryId: user.gmail_history_id,
+      maxResults: SCAN_CONFIG.maxEmails,
+      skipIds: processedEmailIds,
+      excludedRestaurants
+    });
+    progress.emailsFound = emails.length + skippedIds.length;
+    emitScanEvent(job, 'emails_found', { count: progress.emailsFound, syncMode: mode });
+    console.log(`Found ${progress.emailsFound} promotional emails (${mode} sync)`);
+
+    for (const emailId of skippedIds) {
+      progress.skipped++;
+      emitScanEvent(job, 'email_skipped', { emailId, reason: 'already_processed' });
+    }
+
+    await processJobEmails(job, emails, { auth: oauth2Client, processedEmailIds });
+
+    if (job.cancelRequested) {
+      finishScanJob(job, 'cancelled');
+    } else {
+      // Only move the sync point forward once every new email was handled
+      if (historyId && progress.failed === 0) {
+        await updateUserGmailHistoryId(user.id, historyId);
+      }
+      finishScanJob(job, 'completed');
+    }
+  } catch (error) {
+    if (isGmailAuthError(error)) {
+      console.warn('Gmail authorization failed, reconnect required:', error.message);
+      job.error = {
+        code: GMAIL_RECONNECT_CODE,
+        message: 'Your Gmail connection has expired or was revoked. Please reconnect Gmail.'
+      };
+    } else {
+      console.error('Scan job error:', error);
+      job.error = { message: error.message };
+    }
+    finishScanJob(job, 'failed');
+  }
+}
+
+// ============================================
+// RE-EXTRACTION
+// ============================================
+
+// After a prompt or normalization fix, deals can be extracted again from the
+// stored email. Rows are updated in place: a used deal stays used, and deals
+// the user reviewed or rejected keep the values they confirmed.
+
+const USER_REVIEWED_STATUSES = ['reviewed', 'rejected'];
+
+// Stored content for an email, fetching it from Gmail for emails processed
+// before content was stored (and caching images stored before the image
+// cache). Resolves to null when it cannot be recovered.
+async function loadStoredEmail(user, emailId) {
+  const auth = user.gmail_tokens ? getUserOAuthClient(user) : null;
+  const stored = await getStoredEmail(user.id, emailId);
+  if (stored) {
+    const images = await upgradeStoredEmailImages(auth, stored);
+    return images ? saveStoredEmail(user.id, { ...stored, images }) : stored;
+  }
+  if (!auth) return null;
+
+  let email;
+  try {
+    email = await fetchEmailById(auth, emailId);
+  } catch (error) {
+    // Deleted from the mailbox since it was processed
+    if (isGmailNotFound(error)) return null;
+    throw error;
+  }
+
+  const storedEmail = buildStoredEmail(email);
+  if (!storedEmail.body_text) return null;
+
+  storedEmail.images = await cacheEmailImages(auth, email);
+  return saveStoredEmail(user.id, storedEmail);
+}
+
+// Re-run extraction on one email. Resolves to
+// { emailId, updated, created, kept, removed, deals } or null when the email
+// content is gone.
+async function reextractEmail(user, emailId) {
+  const storedEmail = await loadStoredEmail(user, emailId);
+  if (!storedEmail) return null;
+
+  const dealDatas = await extractStoredEmailDeals(user, storedEmail);
+  const existingDeals = await getEmailDeals(user.id, emailId);
+  const result = { emailId, updated: 0, created: 0, kept: 0, removed: 0, deals: [] };
+
+  for (const dealData of dealDatas) {
+    const existing = existingDeals.find(deal => deal.deal_index === dealData.dealIndex);
+
+    if (existing && USER_REVIEWED_STATUSES.includes(existing.review_status)) {
+      result.kept++;
+      result.deals.push(existing);
+    } else if (existing) {
+      result.updated++;
+      result.deals.push(await saveDeal(user.id, {
+        ...dealData,
+        sourceEmailIds: existing.source_email_ids,
+        isActive: existing.is_active
+      }));
+    } else {
+      const { deal, merged } = await saveOrMergeDeal(user.id, dealData);
+      if (!merged) result.created++;
+      result.deals.push(deal);
+    }
+  }
+
+  // Offers the new extraction no longer finds; rows the user acted on stay
+  const stale = existingDeals.filter(deal =>
+    deal.deal_index >= dealDatas.length
+    && deal.is_active
+    && !USER_REVIEWED_STATUSES.includes(deal.review_status)
+  );
+  await removeUserDeals(user.id, stale.map(deal => deal.id));
+  result.removed = stale.length;
+  await markStoredEmailExtracted(user.id, emailId);
+
+  return result;
+}
+
+// Re-extract a list of emails as a background job, paced like a scan.
+// Never throws: failures end the job with status 'failed'.
+async function runReextractJob(job, emailIds) {
+  const { user, progress } = job;
+
+  try {
+    job.status = 'running';
+    emitScanEvent(job, 'started');
+
+    await refreshRestaurantCatalog();
+
+    progress.emailsFound = emailIds.length;
+    emitScanEvent(job, 'emails_found', { count: emailIds.length });
+
+    const pacing = { throttled: getExtractionProviderChain()[0].throttled, callsInBatch: 0 };
+
+    for (let i = 0; i < emailIds.length && !job.cancelRequested; i++) {
+      const emailId = emailIds[i];
+
+      let rateLimitRetries = 0;
+      while (!job.cancelRequested) {
+        try {
+          const result = await reextractEmail(user, emailId);
+          if (!result) {
+            progress.skipped++;
+            emitScanEvent(job, 'email_skipped', { emailId, reason: 'content_unavailable' });
+            break;
+          }
+
+          pacing.callsInBatch++;
+          progress.parsed++;
+          progress.dealsSaved += result.updated + result.created;
+          emitScanEvent(job, 'email_parsed', {
+            emailId,
+            dealsFound: result.deals.length,
+            updated: result.updated,
+            created: result.created,
+            kept: result.kept,
+            removed: result.removed
+          });
+          for (const deal of result.deals) {
+            emitScanEvent(job, 'deal_saved', { deal, merged: false });
+          }
+          break;
+        } catch (error) {
+          if (error?.status === 429 && rateLimitRetries < SCAN_CONFIG.maxRateLimitRetries) {
+            rateLimitRetries++;
+            await pauseScanJob(job, getGeminiRetryDelayMs(error), 'rate_limit');
+            continue;
+          }
+          if (isGmailAuthError(error)) throw error;
+
+          console.error('Error re-extracting email:', error);
+          progress.failed++;
+          emitScanEvent(job, 'email_failed', { emailId, error: error.message });
+          break;
+        }
+      }
+
+      await paceExtraction(job, pacing, i < emailIds.length - 1);
+    }
+
+    finishScanJob(job, job.cancelRequested ? 'cancelled' : 'completed');
+  } catch (error) {
+    console.error('Re-extraction job error:', error);
+    job.error = isGmailAuthError(error)
+      ? { code: GMAIL_RECONNECT_CODE, message: 'Your Gmail connection has expired or was revoked. Please reconnect Gmail.' }
+      : { message: error.message };
+    finishScanJob(job, 'failed');
+  }
+}
+
+// Prompt version from a request or the command line: a positive integer, or null
+function parsePromptVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+// Re-extract every user's deals from prompt versions before `olderThan`
+// (`npm run reextract`). Runs one user at a time and resolves to the jobs.
+async function reextractOutdatedDeals(olderThan = EXTRACTION_PROMPT_VERSION) {
+  const jobs = [];
+
+  for (const user of await getUsersWithOutdatedDeals(olderThan)) {
+    const job = createScanJob(user, 'reextract');
+    await runReextractJob(job, await getEmailIdsForReextraction(user.id, olderThan));
+
+    const { parsed, skipped, failed } = job.progress;
+    console.log(`${user.email}: ${job.status} (${parsed} re-extracted, ${skipped} unavailable, ${failed} failed)`);
+    jobs.push(job);
+  }
+
+  return jobs;
+}
+
+// ============================================
+// MAIL IMPORTS - UPLOADS, PASTED EMAILS & IMAP
+// ============================================
+
+// Deals can come from outside Gmail: uploaded .eml files and .mbox archives,
+// raw email text pasted into the dashboard, and IMAP mailboxes (Outlook,
+// Fastmail, ...). Raw messages are parsed into the shape of a Gmail API
+// message, so processEmailForDeals() and the image cache read them unchanged,
+// and they run as scan jobs with the same progress events. Stored emails and
+// deals record their source ('gmail', 'upload', 'paste' or 'imap') and a
+// source_ref: the file name, or "<account> / <folder>" for IMAP.
+
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+
+const IMPORT_CONFIG = {
+  maxEmails: Number(process.env.IMPORT_MAX_EMAILS) || 200,
+  maxFiles: 50,
+  maxPasteChars: 1024 * 1024
+};
+
+const IMAP_CONFIG = {
+  // Saved passwords are encrypted (AES-256-GCM) with a key derived from this
+  credentialsKey: crypto.createHash('sha256')
+    .update(process.env.IMAP_CREDENTIALS_KEY || SESSION_CONFIG.secret)
+    .digest(),
+  // Mail bridges (such as Proton Mail Bridge) listen on localhost
+  allowPrivateHosts: process.env.IMAP_ALLOW_PRIVATE_HOSTS === 'true',
+  // The first sync of a folder looks this far back
+  firstSyncDays: 30,
+  // Per sync: emails handed to extraction, and messages downloaded in total
+  maxEmailsPerSync: 25,
+  maxMessagesPerSync: 200,
+  fetchBatchSize: 10,
+  maxFolders: 10,
+  timeoutMs: 20000
+};
+
+// An address ("deals@culvers.com") or a domain ("culvers.com")
+const SENDER_RULE_PATTERN = /^(?:[^\s@]+@)?[a-z0-9-]+(?:\.[a-z0-9-]+)+$/;
+
+// ----- Raw messages -----
+
+// mailparser does the MIME work (nested multiparts, transfer encodings,
+// charsets, encoded headers); the helpers below turn its result into a Gmail
+// API message so imported mail goes through the same extraction as Gmail's.
+const MAIL_PARSER_OPTIONS = {
+  // extractEmailBody converts HTML to text itself
+  skipHtmlToText: true,
+  skipTextToHtml: true,
+  skipTextLinks: true,
+  // Keep <img src="cid:..."> for extractImagesFromEmail
+  skipImageLinks: true,
+  keepCidLinks: true
+};
+
+// "content-type" -> "Content-Type", the casing Gmail reports headers in
+function canonicalHeaderName(name) {
+  return name.toLowerCase().replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+}
+
+// A header value as mailparser decodes it (text, address list, date or
+// structured value with params) back to header text
+function formatParsedHeader(value) {
+  if (Array.isArray(value)) return value.map(formatParsedHeader).join(', ');
+  if (value instanceof Date) return value.toUTCString();
+  if (value && typeof value === 'object') {
+    if (typeof value.text === 'string') return value.text;
+    if (value.value !== undefined) {
+      const params = Object.entries(value.params || {}).map(([name, param]) => `; ${name}="${param}"`);
+      return `${value.value}${params.join('')}`;
+    }
+  }
+  return String(value ?? '');
+}
+
+function toMessageHeaders(parsed) {
+  return [...parsed.headers].map(([name, value]) => ({
+    name: canonicalHeaderName(name),
+    value: formatParsedHeader(value)
+  }));
+}
+
+// A leaf part with its content inline, base64 encoded as Gmail returns it.
+// Text arrives decoded, so it is stored as UTF-8.
+function toMessagePart(partId, mimeType, content, { filename = '', headers = [] } = {}) {
+  const isText = typeof content === 'string';
+  const bytes = isText ? Buffer.from(content, 'utf8') : content;
+
+  return {
+    partId,
+    mimeType,
+    filename,
+    headers: [{ name: 'Content-Type', value: isText ? `${mimeType}; charset=utf-8` : mimeType }, ...headers],
+    body: { size: bytes.length, data: bytes.toString('base64') }
+  };
+}
+
+// The text, HTML and attachments of a parsed message as Gmail message parts.
+// Forwarded messages (message/rfc822) are parsed as well, so their text and
+// images are read too.
+async function toMessageParts(parsed, prefix = '') {
+  const parts = [];
+  const nextId = () => `${prefix}${parts.length}`;
+
+  if (parsed.text) parts.push(toMessagePart(nextId(), 'text/plain', parsed.text));
+  if (parsed.html) parts.push(toMessagePart(nextId(), 'text/html', parsed.html));
+
+  for (const attachment of parsed.attachments) {
+    const partId = nextId();
+
+    if (attachment.contentType === 'message/rfc822') {
+      const forwarded = await simpleParser(attachment.content, MAIL_PARSER_OPTIONS);
+      parts.push({
+        partId,
+        mimeType: 'message/rfc822',
+        filename: attachment.filename || '',
+        headers: toMessageHeaders(forwarded),
+        body: { size: 0 },
+        parts: await toMessageParts(forwarded, `${partId}.`)
+      });
+      continue;
+    }
+
+    parts.push(toMessagePart(partId, attachment.contentType, attachment.content, {
+      filename: attachment.filename || '',
+      headers: attachment.cid ? [{ name: 'Content-ID', value: `<${attachment.cid}>` }] : []
+    }));
+  }
+
+  return parts;
+}
+
+// Raw email text starts with a header line ("From: ...", "Received: ...")
+function looksLikeRawEmail(text) {
+  return /^[\w-]+[ \t]*:/.test(text.trimStart());
+}
+
+// A raw RFC 822 message (Buffer, or text as pasted) as a Gmail API message:
+// { id, internalDate, payload, source: { type, ref } }. The id comes from the
+// Message-ID, so an email imported twice, or from two sources, is only
+// processed once. Pasted text without headers is taken as a plain-text body.
+async function parseRawEmail(raw, { source, sourceRef = null, receivedAt = null }) {
+  let buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+  if (!looksLikeRawEmail(buffer.subarray(0, 1024).toString('latin1'))) {
+    buffer = Buffer.concat([Buffer.from('Content-Type: text/plain; charset=utf-8\r\n\r\n'), buffer]);
+  }
+
+  const parsed = await simpleParser(buffer, MAIL_PARSER_OPTIONS);
+  const messageId = (parsed.messageId || '').trim().replace(/^<|>$/g, '').toLowerCase();
+  const hash = crypto.createHash('sha256').update(messageId || buffer.toString('latin1')).digest('hex');
+  const received = receivedAt ? new Date(receivedAt).getTime() : NaN;
+
+  return {
+    id: `rfc822-${hash.slice(0, 32)}`,
+    internalDate: Number.isFinite(received) ? String(received) : undefined,
+    payload: {
+      partId: '',
+      mimeType: 'multipart/mixed',
+      filename: '',
+      headers: toMessageHeaders(parsed),
+      body: { size: 0 },
+      parts: await toMessageParts(parsed)
+    },
+    source: { type: source, ref: sourceRef }
+  };
+}
+
+// The "From " line that opens each message of an mbox archive: a sender (or
+// "-") and an asctime date, e.g. "From MAILER-DAEMON Fri Jul  8 12:08:34 2011"
+const MBOX_SEPARATOR_PATTERN = /^From \S+ +[A-Z][a-z]{2} +[A-Z][a-z]{2} +\d{1,2} +\d{1,2}:\d{2}/;
+
+// Messages of an mbox archive, as Buffers. A message starts at a separator
+// line at the start of the file or after a blank line, so body lines that
+// merely begin with "From " stay put; ">From " quoting (mboxrd) is undone.
+function splitMbox(buffer) {
+  const messages = [];
+  let current = null;
+  let previousBlank = true;
+
+  for (const line of buffer.toString('latin1').split('\n')) {
+    if (previousBlank && MBOX_SEPARATOR_PATTERN.test(line)) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+    } else if (current) {
+      current.push(line.replace(/^>(>*From )/, '$1'));
+    }
+    previousBlank = line.trim() === '';
+  }
+
+  if (current) messages.push(current.join('\n'));
+  return messages
+    .map(message => message.trimEnd())
+    .filter(Boolean)
+    .map(message => Buffer.from(message, 'latin1'));
+}
+
+// ----- Sender rules -----
+
+// Validate { include, exclude } lists of addresses or domains.
+// Returns { rules } or { error }.
+function parseSenderRules(input) {
+  const value = input && typeof input === 'object' ? input : {};
+  const rules = {};
+
+  for (const key of ['include', 'exclude']) {
+    const list = toStringList(value[key] ?? [], item => item.toLowerCase().replace(/^@/, ''));
+    const invalid = list.find(item => !SENDER_RULE_PATTERN.test(item));
+    if (invalid) return { error: `senderRules.${key}: "${invalid}" is not an email address or domain` };
+    rules[key] = list;
+  }
+
+  return { rules };
+}
+
+function getSenderAddress(email) {
+  const from = getPartHeader(email.payload, 'From').toLowerCase();
+  return (from.match(/<([^>]+)>/)?.[1] || from).trim();
+}
+
+// Mailboxes and archives hold more than promotions. Excluded senders are
+// skipped, included ones always read, and anything else only when it comes
+// from a catalog restaurant (like the Gmail scan).
+function matchesSenderRules(email, { include = [], exclude = [] } = {}, excludedRestaurants = new Set()) {
+  const address = getSenderAddress(email);
+  const matches = pattern => (pattern.includes('@')
+    ? address === pattern
+    : address.endsWith(`@${pattern}`) || address.endsWith(`.${pattern}`));
+
+  if (exclude.some(matches)) return false;
+  if (include.some(matches)) return true;
+  return isFromPromoSender(email, excludedRestaurants);
+}
+
+// ----- Uploads & pasted text -----
+
+// Parse uploaded files ({ files: [{ name, content }] }, content in base64).
+// Every email, whether a single .eml or one message of an .mbox archive, goes
+// through the sender rules. Resolves to { emails, filtered } or { error }.
+async function parseImportFiles(body, excludedRestaurants = new Set()) {
+  const files = Array.isArray(body?.files) ? body.files : [];
+  if (files.length === 0 || files.length > IMPORT_CONFIG.maxFiles) {
+    return { error: `files must be a list of 1 to ${IMPORT_CONFIG.maxFiles} { name, content } entries` };
+  }
+
+  const { rules, error } = parseSenderRules(body.senderRules);
+  if (error) return { error };
+
+  const emails = [];
+  let filtered = 0;
+
+  for (const file of files) {
+    if (typeof file?.name !== 'string' || typeof file.content !== 'string') {
+      return { error: 'Each file needs a name and base64 content' };
+    }
+
+    const name = cleanText(path.basename(file.name), 200) || 'upload';
+    const buffer = Buffer.from(file.content, 'base64');
+    if (buffer.length === 0) return { error: `${name} is empty` };
+
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    if (/\.mbox?$/i.test(name) || head.startsWith('From ')) {
+      const messages = splitMbox(buffer);
+      if (messages.length === 0) return { error: `${name} has no messages` };
+
+      for (const raw of messages) {
+        const email = await parseRawEmail(raw, { source: 'upload', sourceRef: name });
+        if (matchesSenderRules(email, rules, excludedRestaurants)) emails.push(email);
+        else filtered++;
+      }
+    } else if (/\.eml$/i.test(name) || looksLikeRawEmail(head)) {
+      const email = await parseRawEmail(buffer, { source: 'upload', sourceRef: name });
+      if (matchesSenderRules(email, rules, excludedRestaurants)) emails.push(email);
+      else filtered++;
+    } else {
+      return { error: `${name} is not an .eml file or .mbox archive` };
+    }
+  }
+
+  if (emails.length > IMPORT_CONFIG.maxEmails) {
+    return { error: `An import can hold at most ${IMPORT_CONFIG.maxEmails} emails; split the archive or narrow the sender rules` };
+  }
+
+  // The same email can be in several files
+  const unique = [...new Map(emails.map(email => [email.id, email])).values()];
+  return { emails: unique, filtered };
+}
+
+// Parse pasted raw email text ({ text, senderRules? }), filtered like an
+// upload. Resolves to { email } or { error }.
+async function parsePastedEmail(body, excludedRestaurants = new Set()) {
+  const text = typeof body?.text === 'string' ? body.text.trim() : '';
+  if (!text) return { error: 'text must be the raw email (headers and body)' };
+  if (text.length > IMPORT_CONFIG.maxPasteChars) {
+    return { error: `Pasted emails can be at most ${IMPORT_CONFIG.maxPasteChars} characters` };
+  }
+
+  const { rules, error } = parseSenderRules(body.senderRules);
+  if (error) return { error };
+
+  const email = await parseRawEmail(text, { source: 'paste' });
+  if (!matchesSenderRules(email, rules, excludedRestaurants)) {
+    return { error: 'This email is not from a restaurant you follow; paste it with its From header, or add the sender to senderRules.include' };
+  }
+
+  return { email };
+}
+
+// ----- IMAP accounts -----
+
+function encryptCredential(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', IMAP_CONFIG.credentialsKey, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptCredential(value) {
+  try {
+    const [iv, tag, encrypted] = String(value).split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', IMAP_CONFIG.credentialsKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('The saved IMAP password can no longer be read (the credentials key changed); enter it again');
+  }
+}
+
+// Account as returned by the API (no password or sync bookkeeping)
+function toPublicImapAccount(account) {
+  const { password_encrypted: password, sync_state: syncState, ...rest } = account;
+  return rest;
+}
+
+// Validate an IMAP account body from the API. Resolves to { account }
+// (columns to write) or { error }. With `partial`, missing fields are left alone.
+function parseImapAccountInput(body, { partial = false } = {}) {
+  const input = body && typeof body === 'object' ? body : {};
+  const account = {};
+
+  if (input.host !== undefined || !partial) {
+    const host = typeof input.host === 'string' ? input.host.trim().toLowerCase() : '';
+    if (!/^[a-z0-9.-]+$/.test(host) && !net.isIP(host)) return { error: 'host must be a hostname such as imap.fastmail.com' };
+    account.host = host;
+  }
+
+  if (input.port !== undefined) {
+    const port = Number(input.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'port must be a whole number between 1 and 65535' };
+    account.port = port;
+  }
+
+  if (input.secure !== undefined) {
+    if (typeof input.secure !== 'boolean') return { error: 'secure must be true or false' };
+    account.secure = input.secure;
+  }
+
+  for (const field of ['username', 'password']) {
+    if (input[field] === undefined && partial) continue;
+    if (typeof input[field] !== 'string' || !input[field]) return { error: `${field} is required` };
+  }
+  if (input.username !== undefined) account.username = input.username.trim();
+  if (input.password !== undefined) account.password_encrypted = encryptCredential(input.password);
+
+  if (input.label !== undefined || !partial) {
+    account.label = cleanText(input.label, 100) || account.host;
+  }
+
+  if (input.folders !== undefined) {
+    const folders = toStringList(input.folders);
+    if (folders.length === 0 || folders.length > IMAP_CONFIG.maxFolders) {
+      return { error: `folders must list 1 to ${IMAP_CONFIG.maxFolders} folder names` };
+    }
+    account.folders = folders;
+  }
+
+  if (input.senderRules !== undefined) {
+    const { rules, error } = parseSenderRules(input.senderRules);
+    if (error) return { error };
+    account.sender_rules = rules;
+  }
+
+  if (input.isActive !== undefined) {
+    if (typeof input.isActive !== 'boolean') return { error: 'isActive must be true or false' };
+    account.is_active = input.isActive;
+  }
+
+  return { account };
+}
+
+// Address to connect to; user-supplied hosts may not point inside our network
+async function resolveImapHost(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (!IMAP_CONFIG.allowPrivateHosts && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`Refusing to connect to ${hostname}: it is a private or loopback address`);
+  }
+  return addresses[0].address;
+}
+
+async function connectImapAccount(account) {
+  const client = new ImapFlow({
+    host: await resolveImapHost(account.host),
+    // Certificates are checked against the name, not the resolved address
+    servername: net.isIP(account.host) ? undefined : account.host,
+    port: account.port ?? 993,
+    secure: account.secure ?? true,
+    auth: { user: account.username, pass: decryptCredential(account.password_encrypted) },
+    logger: false,
+    connectionTimeout: IMAP_CONFIG.timeoutMs,
+    greetingTimeout: IMAP_CONFIG.timeoutMs,
+    socketTimeout: IMAP_CONFIG.timeoutMs * 3
+  });
+  client.on('error', error => console.warn(`IMAP connection error (${account.host}):`, error.message));
+
+  try {
+    await client.connect();
+  } catch (error) {
+    throw new Error(`Could not sign in to ${account.host}: ${error.responseText || error.message}`);
+  }
+  return client;
+}
+
+async function closeImapClient(client) {
+  try {
+    await client.logout();
+  } catch (error) {
+    client.close();
+  }
+}
+
+// Folder paths of the mailbox (also proves the credentials work)
+async function listImapFolders(account) {
+  const client = await connectImapAccount(account);
+  try {
+    return (await client.list()).map(folder => folder.path);
+  } finally {
+    await closeImapClient(client);
+  }
+}
+
+// New messages in the account's folders. sync_state remembers, per folder,
+// the UIDVALIDITY and the last UID looked at; the first sync (or one after
+// the server renumbered the folder) reads the last IMAP_CONFIG.firstSyncDays.
+// Resolves to { emails, filtered, syncState } where syncState is saved once
+// every email was handled.
+async function fetchImapEmails(account, excludedRestaurants = new Set()) {
+  const client = await connectImapAccount(account);
+  const syncState = { ...(account.sync_state || {}) };
+  const emails = [];
+  let filtered = 0;
+  let downloaded = 0;
+
+  try {
+    for (const folder of account.folders) {
+      const lock = await client.getMailboxLock(folder, { readOnly: true });
+      try {
+        const uidValidity = String(client.mailbox.uidValidity);
+        const uidNext = Number(client.mailbox.uidNext) || 0;
+        const previous = syncState[folder];
+        const resume = previous?.uidValidity === uidValidity;
+
+        const query = resume
+          ? { uid: `${previous.lastUid + 1}:*` }
+          : { since: new Date(Date.now() - IMAP_CONFIG.firstSyncDays * DAY_MS) };
+        // "N:*" always matches the newest message, even below N
+        const uids = ((await client.search(query, { uid: true })) || [])
+          .filter(uid => !resume || uid > previous.lastUid)
+          .sort((a, b) => a - b);
+
+        let lastUid = resume ? previous.lastUid : 0;
+        let index = 0;
+        while (index < uids.length
+          && emails.length < IMAP_CONFIG.maxEmailsPerSync
+          && downloaded < IMAP_CONFIG.maxMessagesPerSync) {
+          const batch = uids.slice(index, index + IMAP_CONFIG.fetchBatchSize);
+          index += batch.length;
+
+          for await (const message of client.fetch(batch, { uid: true, source: true, internalDate: true }, { uid: true })) {
+            downloaded++;
+            const email = await parseRawEmail(message.source, {
+              source: 'imap',
+              sourceRef: `${account.label} / ${folder}`,
+              receivedAt: message.internalDate
+            });
+            if (matchesSenderRules(email, account.sender_rules, excludedRestaurants)) emails.push(email);
+            else filtered++;
+          }
+          lastUid = batch[batch.length - 1];
+        }
+
+        // Everything below UIDNEXT was looked at unless a limit cut the folder short
+        if (index >= uids.length) lastUid = Math.max(lastUid, uidNext - 1);
+        syncState[folder] = { uidValidity, lastUid };
+      } finally {
+        lock.release();
+      }
+    }
+  } finally {
+    await closeImapClient(client);
+  }
+
+  return { emails, filtered, syncState };
+}
+
+// ----- Import jobs -----
+
+// Run an upload, paste or IMAP sync as a scan job. fetchEmails resolves to
+// { emails, filtered }; onFinished(job) runs when the job completes and
+// onFailed(error) when it fails. Never throws.
+async function runMailImportJob(job, fetchEmails, { onFinished = null, onFailed = null } = {}) {
+  const { user, progress } = job;
+
+  try {
+    job.status = 'running';
+    emitScanEvent(job, 'started');
+
+    await refreshRestaurantCatalog();
+    const processedEmailIds = await getProcessedEmailIds(user.id);
+
+    const { emails, filtered = 0 } = await fetchEmails();
+    progress.emailsFound = emails.length;
+    emitScanEvent(job, 'emails_found', { count: emails.length, filtered, syncMode: job.kind });
+
+    await processJobEmails(job, emails, { processedEmailIds });
+
+    if (job.cancelRequested) {
+      finishScanJob(job, 'cancelled');
+    } else {
+      if (onFinished) await onFinished(job);
+      finishScanJob(job, 'completed');
+    }
+  } catch (error) {
+    console.error(`Mail import (${job.kind}) error:`, error);
+    job.error = { message: error.message };
+    if (onFailed) {
+      await onFailed(error).catch(saveError => console.error('Could not record import failure:', saveError));
+    }
+    finishScanJob(job, 'failed');
+  }
+}
+
+// Sync one IMAP account. The sync point only moves forward when every email
+// was handled, so failed ones are read again next time.
+async function runImapSyncJob(job, account) {
+  let syncState = null;
+
+  return runMailImportJob(job, async () => {
+    const result = await fetchImapEmails(account, await getExcludedRestaurants(account.user_id));
+    syncState = result.syncState;
+    return result;
+  }, {
+    onFinished: ({ progress }) => updateImapAccount(account.id, account.user_id, {
+      ...(progress.failed === 0 ? { sync_state: syncState } : {}),
+      last_synced_at: new Date().toISOString(),
+      last_error: progress.failed === 0 ? null : `${progress.failed} emails could not be processed`
+    }),
+    onFailed: error => updateImapAccount(account.id, account.user_id, { last_error: error.message })
+  });
+}
+
+// Sync every active IMAP account, one at a time
+async function runScheduledImapSyncs() {
+  const summary = { accounts: 0, completed: 0, failed: 0, skipped: 0, dealsSaved: 0, dealsMerged: 0 };
+
+  for (const account of await getActiveImapAccounts()) {
+    summary.accounts++;
+
+    // The user has a scan or import running
+    const user = await getUserById(account.user_id);
+    if (!user || getActiveScanJob(user.id)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const job = createScanJob(user, 'imap');
+    await runImapSyncJob(job, account);
+
+    if (job.status === 'completed') summary.completed++;
+    else summary.failed++;
+    summary.dealsSaved += job.progress.dealsSaved;
+    summary.dealsMerged += job.progress.dealsMerged;
+  }
+
+  return summary;
+}
+
+// ============================================
+// 7. RESTAURANT CATALOG
+// ============================================
+
+// The catalog is the single source of truth for restaurant names, aliases,
+// sender domains, Gmail query fragments and logos. It lives in the
+// `restaurants` table; the built-in chains below seed an empty table and
+// serve as the catalog until the database has been read.
+
+const DEFAULT_RESTAURANTS = [
+  {
+    slug: 'mcdonalds',
+    name: "McDonald's",
+    aliases: ['mcdonalds', 'mcd'],
+    sender_domains: ['mcdonalds.com', 'em.mcdonalds.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/4b/McDonald%27s_logo.svg/512px-McDonald%27s_logo.svg.png'
+  },
+  {
+    slug: 'subway',
+    name: 'Subway',
+    sender_domains: ['subway.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/5/5c/Subway_2016_logo.svg/512px-Subway_2016_logo.svg.png'
+  },
+  {
+    slug: 'dominos',
+    name: "Domino's",
+    aliases: ["domino's pizza", 'dominos pizza'],
+    sender_domains: ['dominos.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/7/74/Dominos_pizza_logo.svg/512px-Dominos_pizza_logo.svg.png'
+  },
+  {
+    slug: 'pizzahut',
+    name: 'Pizza Hut',
+    sender_domains: ['pizzahut.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/d/d2/Pizza_Hut_logo.svg/512px-Pizza_Hut_logo.svg.png'
+  },
+  {
+    slug: 'tacobell',
+    name: 'Taco Bell',
+    sender_domains: ['tacobell.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/b/b3/Taco_Bell_2016.svg/512px-Taco_Bell_2016.svg.png'
+  },
+  {
+    slug: 'chipotle',
+    name: 'Chipotle',
+    aliases: ['chipotle mexican grill'],
+    sender_domains: ['chipotle.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/3/3b/Chipotle_Mexican_Grill_logo.svg/512px-Chipotle_Mexican_Grill_logo.svg.png'
+  },
+  {
+    slug: 'kfc',
+    name: 'KFC',
+    aliases: ['kentucky fried chicken'],
+    sender_domains: ['kfc.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/b/bf/KFC_logo.svg/512px-KFC_logo.svg.png'
+  },
+  {
+    slug: 'wendys',
+    name: "Wendy's",
+    sender_domains: ['wendys.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/3/32/Wendy%27s_logo_2012.svg/512px-Wendy%27s_logo_2012.svg.png'
+  },
+  {
+    slug: 'burgerking',
+    name: 'Burger King',
+    aliases: ['bk'],
+    sender_domains: ['bk.com', 'burgerking.com']
+  },
+  {
+    slug: 'starbucks',
+    name: 'Starbucks',
+    aliases: ['starbucks coffee'],
+    sender_domains: ['starbucks.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/7/7c/Starbucks_Coffee_Logo.svg/512px-Starbucks_Coffee_Logo.svg.png'
+  },
+  {
+    slug: 'chickfila',
+    name: 'Chick-fil-A',
+    sender_domains: ['chick-fil-a.com', 'chickfila.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/0c/Chick-fil-A_Logo.svg/512px-Chick-fil-A_Logo.svg.png'
+  },
+  {
+    slug: 'arbys',
+    name: "Arby's",
+    sender_domains: ['arbys.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/6/60/Arby%27s_logo.svg/512px-Arby%27s_logo.svg.png'
+  },
+  {
+    slug: 'panerabread',
+    name: 'Panera Bread',
+    aliases: ['panera'],
+    sender_domains: ['panerabread.com']
+  },
+  {
+    slug: 'fiveguys',
+    name: 'Five Guys',
+    sender_domains: ['fiveguys.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/8/8f/Five_Guys_logo.svg/512px-Five_Guys_logo.svg.png'
+  },
+  {
+    slug: 'shakeshack',
+    name: 'Shake Shack',
+    sender_domains: ['shakeshack.com']
+  },
+  {
+    slug: 'innout',
+    name: 'In-N-Out',
+    aliases: ['in-n-out burger'],
+    sender_domains: ['in-n-out.com']
+  },
+  {
+    slug: 'sonic',
+    name: 'Sonic',
+    aliases: ['sonic drive-in'],
+    sender_domains: ['sonicdrivein.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/0f/Sonic_Drive-In_logo.svg/512px-Sonic_Drive-In_logo.svg.png'
+  },
+  {
+    slug: 'dairyqueen',
+    name: 'Dairy Queen',
+    aliases: ['dq'],
+    sender_domains: ['dairyqueen.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/08/Dairy_Queen_logo.svg/512px-Dairy_Queen_logo.svg.png'
+  },
+  {
+    slug: 'popeyes',
+    name: 'Popeyes',
+    aliases: ['popeyes louisiana kitchen'],
+    sender_domains: ['popeyes.com'],
+    logo_url: 'https://upload.wikimedia.org/wikipedia/en/thumb/6/6b/Popeyes_logo.svg/512px-Popeyes_logo.svg.png'
+  },
+  {
+    slug: 'jimmyjohns',
+    name: "Jimmy John's",
+    sender_domains: ['jimmyjohns.com']
+  }
+];
+
+const RESTAURANT_CATALOG_TTL_MS = 5 * 60 * 1000;
+
+function normalizeRestaurantName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Fill in the list fields every catalog entry is expected to have
+function withCatalogDefaults(restaurant) {
+  const slug = restaurant.slug || normalizeRestaurantName(restaurant.name);
+  return {
+    ...restaurant,
+    slug,
+    aliases: restaurant.aliases || [],
+    sender_domains: restaurant.sender_domains || [],
+    query_terms: restaurant.query_terms?.length
+      ? restaurant.query_terms
+      : [`from:${slug}`],
+    logo_url: restaurant.logo_url || null,
+    reference_prices: restaurant.reference_prices || {}
+  };
+}
+
+// Index catalog entries by every normalized name they can appear under
+function buildRestaurantCatalog(restaurants) {
+  const entries = restaurants.map(withCatalogDefaults);
+  const byKey = new Map();
+
+  for (const entry of entries) {
+    const keys = [entry.slug, entry.name, ...entry.aliases].map(normalizeRestaurantName);
+    for (const key of keys) {
+      if (key && !byKey.has(key)) byKey.set(key, entry);
+    }
+  }
+
+  return { entries, byKey, loadedAt: 0 };
+}
+
+let restaurantCatalog = buildRestaurantCatalog(DEFAULT_RESTAURANTS);
+
+// Reload the catalog from the database (seeding it on first use). Keeps the
+// previous catalog if the table cannot be read.
+async function refreshRestaurantCatalog({ force = false } = {}) {
+  if (!force && Date.now() - restaurantCatalog.loadedAt < RESTAURANT_CATALOG_TTL_MS) {
+    return restaurantCatalog;
+  }
+
+  try {
+    let restaurants = await getRestaurants();
+    if (restaurants.length === 0) {
+      restaurants = await seedRestaurantCatalog();
+    }
+
+    restaurantCatalog = buildRestaurantCatalog(restaurants);
+    restaurantCatalog.loadedAt = Date.now();
+  } catch (error) {
+    console.warn('Could not load restaurant catalog, using cached catalog:', error.message);
+  }
+
+  return restaurantCatalog;
+}
+
+async function seedRestaurantCatalog() {
+  await db.upsert('restaurants', DEFAULT_RESTAURANTS.map(withCatalogDefaults), {
+    onConflict: ['slug'],
+    ignoreDuplicates: true
+  });
+
+  return getRestaurants();
+}
+
+// userAliases (from getUserRestaurantAliases) adds the names one user taught
+function findRestaurant(name, userAliases = null) {
+  const key = normalizeRestaurantName(name);
+  const learned = userAliases?.get(key);
+  return restaurantCatalog.byKey.get(key)
+    || (learned && restaurantCatalog.byKey.get(normalizeRestaurantName(learned)))
+    || null;
+}
+
+// A learned alias may point at a restaurant that is not in the catalog
+function isKnownRestaurant(name, userAliases = null) {
+  return Boolean(findRestaurant(name, userAliases) || userAliases?.has(normalizeRestaurantName(name)));
+}
+
+// Match a From header against catalog sender domains, then the display name
+function findRestaurantForSender(from) {
+  const address = String(from || '').toLowerCase();
+  const domain = (address.match(/@([a-z0-9.-]+)/) || [])[1] || '';
+
+  if (domain) {
+    const byDomain = restaurantCatalog.entries.find(entry =>
+      entry.sender_domains.some(senderDomain =>
+        domain === senderDomain || domain.endsWith(`.${senderDomain}`)
+      )
+    );
+    if (byDomain) return byDomain;
+  }
+
+  return findRestaurant(getSenderName(from));
+}
+
+function getCanonicalRestaurantName(name, userAliases = null) {
+  return findRestaurant(name, userAliases)?.name
+    || userAliases?.get(normalizeRestaurantName(name))
+    || name;
+}
+
+function getDefaultLogoUrl(restaurantName) {
+  const restaurant = findRestaurant(restaurantName);
+  if (restaurant?.logo_url) return restaurant.logo_url;
+
+  const domain = restaurant?.sender_domains[0] || `${normalizeRestaurantName(restaurantName)}.com`;
+  return `https://www.google.com/s2/favicons?domain=${domain}&sz=128`;
+}
+
+// Catalog restaurants minus the ones a user has deselected
+function getScannedRestaurants(excludedRestaurants = new Set()) {
+  return restaurantCatalog.entries.filter(entry => !excludedRestaurants.has(entry.name));
+}
+
+// Gmail search fragments for every scanned restaurant, OR-ed together
+// (empty string when the user has deselected everything). Multi-word terms
+// are quoted so OR still joins whole terms.
+function getPromoSenderQuery(excludedRestaurants) {
+  const terms = getScannedRestaurants(excludedRestaurants)
+    .flatMap(entry => entry.query_terms)
+    .map(term => (/\s/.test(term) ? `"${term}"` : term));
+  if (terms.length === 0) return '';
+  return `(${[...new Set(terms)].join(' OR ')})`;
+}
+
+// A restaurant's own sending domain: shared mailbox providers would pull in
+// everyone's personal mail
+const RESTAURANT_DOMAIN_PATTERN = /^(?=.{4,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.[a-z]{2,63}$/;
+const SHARED_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'google.com', 'yahoo.com', 'ymail.com', 'outlook.com',
+  'hotmail.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com',
+  'proton.me', 'protonmail.com', 'gmx.com', 'gmx.net', 'mail.com', 'yandex.com',
+  'zoho.com', 'fastmail.com', 'hey.com'
+];
+
+// Plain words only: no Gmail operators (from:, OR, -word) or grouping
+const QUERY_TERM_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} '&.-]{0,49}$/u;
+const QUERY_OPERATOR_WORDS = ['or', 'and', 'not', 'around'];
+
+function checkSenderDomain(domain) {
+  if (!RESTAURANT_DOMAIN_PATTERN.test(domain)) {
+    return `"${domain}" is not a domain name`;
+  }
+  if (SHARED_MAIL_DOMAINS.some(shared => domain === shared || domain.endsWith(`.${shared}`))) {
+    return `${domain} is a shared mail provider, not a restaurant's domain`;
+  }
+  return null;
+}
+
+function checkQueryTerm(term) {
+  const words = term.toLowerCase().split(/\s+/);
+  if (!QUERY_TERM_PATTERN.test(term) || words.some(word => QUERY_OPERATOR_WORDS.includes(word))) {
+    return `"${term}" must be plain words (no search operators, quotes or parentheses)`;
+  }
+  return null;
+}
+
+function toStringList(value, normalize = item => item) {
+  const items = Array.isArray(value)
+    ? value
+    : String(value || '').split(',');
+
+  return [...new Set(
+    items
+      .map(item => normalize(String(item).trim()))
+      .filter(Boolean)
+  )];
+}
+
+// Validate and normalize a restaurant from an API request body
+function parseRestaurantInput(body, existing = null) {
+  const name = cleanText(body.name ?? existing?.name, 100);
+  if (!name) {
+    return { error: 'Restaurant name is required' };
+  }
+
+  const slug = existing?.slug || normalizeRestaurantName(name);
+  if (!slug) {
+    return { error: 'Restaurant name must contain letters or numbers' };
+  }
+
+  const senderDomains = body.senderDomains !== undefined
+    ? toStringList(body.senderDomains, domain => domain.toLowerCase().replace(/^.*@/, ''))
+    : existing?.sender_domains || [];
+  if (body.senderDomains !== undefined) {
+    const invalid = senderDomains.map(checkSenderDomain).find(Boolean);
+    if (invalid) return { error: `senderDomains: ${invalid}` };
+  }
+
+  const queryTerms = body.queryTerms !== undefined
+    ? toStringList(body.queryTerms, term => term.replace(/\s+/g, ' '))
+    : existing?.query_terms || [];
+  if (body.queryTerms !== undefined) {
+    const invalid = queryTerms.map(checkQueryTerm).find(Boolean);
+    if (invalid) return { error: `queryTerms: ${invalid}` };
+  }
+
+  const logoUrl = body.logoUrl !== undefined ? cleanText(body.logoUrl, 2000) : existing?.logo_url;
+  if (logoUrl && !/^https?:\/\//i.test(logoUrl)) {
+    return { error: 'Logo URL must start with http:// or https://' };
+  }
+
+  // { order: 18, item: 7, fries: 3.5 }: typical prices used to estimate savings
+  let referencePrices = existing?.reference_prices || {};
+  if (body.referencePrices !== undefined) {
+    if (!body.referencePrices || typeof body.referencePrices !== 'object' || Array.isArray(body.referencePrices)) {
+      return { error: 'referencePrices must be an object of item names to prices' };
+    }
+    referencePrices = {};
+    for (const [item, price] of Object.entries(body.referencePrices)) {
+      const key = cleanText(item, 50)?.toLowerCase();
+      const value = parsePrice(price);
+      if (!key || value == null) {
+        return { error: `Invalid reference price for "${item}"` };
+      }
+      referencePrices[key] = value;
+    }
+  }
+
+  return {
+    restaurant: {
+      slug,
+      name,
+      aliases: body.aliases !== undefined ? toStringList(body.aliases) : existing?.aliases || [],
+      sender_domains: senderDomains,
+      query_terms: queryTerms.length > 0
+        ? queryTerms
+        : senderDomains.length > 0
+          ? senderDomains.map(domain => `from:${domain}`)
+          : [`from:${slug}`],
+      logo_url: logoUrl || null,
+      reference_prices: referencePrices
+    }
+  };
+}
+
+async function getRestaurants() {
+  return db.select('restaurants', {
+    order: [{ column: 'name', ascending: true }]
+  });
+}
+
+async function getRestaurantById(id) {
+  return db.selectOne('restaurants', [['id', 'eq', id]]);
+}
+
+// A user's learned names: Map of normalized alias -> restaurant name
+async function getUserRestaurantAliases(userId) {
+  const rows = await db.select('user_restaurant_aliases', { filters: [['user_id', 'eq', userId]] });
+  return new Map(rows.map(row => [row.alias_key, row.restaurant]));
+}
+
+async function saveUserRestaurantAlias(userId, alias, restaurant) {
+  await db.upsert('user_restaurant_aliases', {
+    user_id: userId,
+    alias_key: normalizeRestaurantName(alias),
+    alias,
+    restaurant
+  }, { onConflict: ['user_id', 'alias_key'] });
+}
+
+async function createRestaurant(restaurant, createdBy = null) {
+  const [created] = await db.insert('restaurants', { ...restaurant, created_by: createdBy });
+
+  await refreshRestaurantCatalog({ force: true });
+  return created;
+}
+
+async function updateRestaurant(id, restaurant) {
+  const [updated] = await db.update('restaurants', [['id', 'eq', id]], {
+    ...restaurant,
+    updated_at: new Date().toISOString()
+  });
+
+  await refreshRestaurantCatalog({ force: true });
+  return updated || null;
+}
+
+async function deleteRestaurant(id) {
+  await db.remove('restaurants', [['id', 'eq', id]]);
+  await refreshRestaurantCatalog({ force: true });
+}
+
+// ============================================
+// 8. DEAL REVIEW & CORRECTIONS
+// ============================================
+
+// Deals whose weakest field scores below the threshold wait in a review
+// queue instead of the feed. Each review decision is stored as a labeled
+// correction, and restaurant corrections teach the catalog new aliases.
+
+const REVIEW_CONFIG = {
+  threshold: Number(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.6
+};
+
+const REVIEW_ACTIONS = ['accept', 'edit', 'reject'];
+
+// Fields a deal cannot exist without; reject the whole deal instead
+const REQUIRED_REVIEW_FIELDS = ['restaurant', 'dealDescription'];
+
+function getReviewStatus(extractionConfidence) {
+  return extractionConfidence != null && extractionConfidence < REVIEW_CONFIG.threshold
+    ? 'pending'
+    : 'auto';
+}
+
+// Validate a value typed by the user. Returns { value } or { error }.
+function parseReviewValue(field, value) {
+  const isEmpty = value == null || String(value).trim() === '';
+
+  switch (field) {
+    case 'restaurant':
+    case 'dealDescription': {
+      const text = cleanText(value, field === 'restaurant' ? 100 : 500);
+      return text ? { value: text } : { error: `${field} cannot be empty` };
+    }
+    case 'originalPrice':
+    case 'discountedPrice':
+    case 'savings': {
+      const price = parsePrice(value);
+      return price != null || isEmpty ? { value: price } : { error: `${field} must be a price` };
+    }
+    case 'expiryDate':
+      if (isEmpty) return { value: null };
+      return /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())
+        ? { value: String(value).trim() }
+        : { error: 'expiryDate must be YYYY-MM-DD' };
+    case 'dealCode':
+      return { value: cleanText(value, 50) };
+    case 'dealType':
+      return DEAL_TYPES.includes(value)
+        ? { value }
+        : { error: `dealType must be one of: ${DEAL_TYPES.join(', ')}` };
+    default:
+      return { error: `Unknown field: ${field}` };
+  }
+}
+
+// Column changes for a field's final value
+function buildReviewPatch(field, value, timeZone) {
+  switch (field) {
+    case 'restaurant':
+      return { restaurant: getCanonicalRestaurantName(value) };
+    case 'expiryDate': {
+      const expiry = resolveExpiry({ expiryDate: value }, { timeZone });
+      return {
+        expiry_date: expiry.expiryDate,
+        expires_at: expiry.expiresAt,
+        expiry_confidence: expiry.expiryDate ? 'high' : null
+      };
+    }
+    case 'savings':
+      return { savings: value ?? 0, savings_estimated: false };
+    default:
+      return { [REVIEW_FIELDS[field]]: value };
+  }
+}
+
+// Remember, for this user only, that the name the extractor saw refers to
+// `restaurantName`. The shared catalog is not changed: built-in entries are
+// read-only and custom ones are managed by admins (isBuiltInRestaurant).
+// Names that already belong to a catalog restaurant are left alone.
+async function learnRestaurantAlias(rawName, restaurantName, userId) {
+  const alias = cleanText(rawName, 100);
+  if (!alias || !normalizeRestaurantName(alias) || findRestaurant(alias)) return;
+
+  await saveUserRestaurantAlias(userId, alias, getCanonicalRestaurantName(restaurantName));
+}
+
+// Apply a review: { fields: { field: { action, value } }, rejectDeal }.
+// Returns { deal } or { error }.
+async function applyDealReview(user, deal, { fields = {}, rejectDeal = false } = {}) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: 'fields must be an object' };
+  }
+
+  // Validate every decision before changing anything
+  const decisions = [];
+  for (const [field, decision] of Object.entries(fields)) {
+    if (!REVIEW_FIELDS[field]) {
+      return { error: `Unknown field: ${field}` };
+    }
+    if (!REVIEW_ACTIONS.includes(decision?.action)) {
+      return { error: `action for ${field} must be one of: ${REVIEW_ACTIONS.join(', ')}` };
+    }
+    if (decision.action === 'reject' && REQUIRED_REVIEW_FIELDS.includes(field)) {
+      return { error: `${field} cannot be rejected; reject the deal instead` };
+    }
+
+    const original = deal[REVIEW_FIELDS[field]] ?? null;
+    let value = original;
+    if (decision.action === 'edit') {
+      const parsed = parseReviewValue(field, decision.value);
+      if (parsed.error) return parsed;
+      value = parsed.value;
+    } else if (decision.action === 'reject') {
+      value = null;
+    }
+
+    decisions.push({ field, action: decision.action, original, value });
+  }
+
+  const fieldConfidence = { ...(deal.field_confidence || {}) };
+  const corrections = [];
+  const patch = {};
+  const timeZone = getUserTimeZone(user);
+
+  const toCorrection = (field, action, original, value) => ({
+    user_id: user.id,
+    deal_id: deal.id,
+    email_id: deal.email_id,
+    field,
+    action,
+    original_value: original,
+    corrected_value: value,
+    confidence: deal.field_confidence?.[field] ?? null
+  });
+
+  for (const { field, action, original, value } of decisions) {
+    if (action !== 'accept') {
+      // Recognize the name in this user's future emails
+      if (field === 'restaurant') {
+        await learnRestaurantAlias(deal.raw_restaurant || original, value, user.id);
+      }
+      Object.assign(patch, buildReviewPatch(field, value, timeZone));
+    }
+
+    if (action === 'reject') {
+      delete fieldConfidence[field];
+    } else {
+      fieldConfidence[field] = 1;
+    }
+    corrections.push(toCorrection(field, action, original, value));
+  }
+
+  if (rejectDeal) {
+    corrections.push(toCorrection('deal', 'reject', deal.deal_description, null));
+  }
+
+  const scores = Object.values(fieldConfidence);
+  const updated = await updateUserDeal(deal.id, user.id, {
+    ...patch,
+    field_confidence: fieldConfidence,
+    extraction_confidence: scores.length > 0 ? Math.min(...scores) : null,
+    review_status: rejectDeal ? 'rejected' : 'reviewed'
+  });
+
+  await saveDealCorrections(corrections);
+  if (!rejectDeal && deal.review_status === 'pending') {
+    await emitDealEvent(user.id, 'deal.created', updated);
+  }
+  return { deal: updated };
+}
+
+// Group corrections into one labeled example per deal:
+// { emailId, isDeal, extracted, corrected, actions, confidence, reviewedAt }
+function buildCorrectionExamples(corrections) {
+  const examples = new Map();
+
+  for (const correction of corrections) {
+    const key = correction.deal_id || correction.id;
+    if (!examples.has(key)) {
+      examples.set(key, {
+        dealId: correction.deal_id,
+        emailId: correction.email_id,
+        isDeal: true,
+        extracted: {},
+        corrected: {},
+        actions: {},
+        confidence: {},
+        reviewedAt: correction.created_at
+      });
+    }
+
+    const example = examples.get(key);
+    example.reviewedAt = correction.created_at;
+
+    if (correction.field === 'deal') {
+      example.isDeal = correction.action !== 'reject';
+      continue;
+    }
+
+    example.extracted[correction.field] = correction.original_value;
+    example.corrected[correction.field] = correction.corrected_value;
+    example.actions[correction.field] = correction.action;
+    example.confidence[correction.field] = correction.confidence;
+  }
+
+  return [...examples.values()];
+}
+
+// ============================================
+// DEAL ACTIONS
+// ============================================
+
+// The deal detail panel marks deals used, dismisses or snoozes them; each
+// action can be undone with restoreDeal().
+
+const SNOOZE_CONFIG = {
+  maxDays: 30
+};
+
+// Snooze end from { until } (ISO date-time) or { hours }.
+// Returns { until } or { error }.
+function parseSnoozeInput(body, now = new Date()) {
+  let until;
+
+  if (body.until !== undefined) {
+    until = new Date(typeof body.until === 'string' ? body.until : NaN);
+    if (Number.isNaN(until.getTime())) return { error: 'until must be an ISO date-time' };
+  } else if (body.hours !== undefined) {
+    const hours = Number(body.hours);
+    if (!Number.isFinite(hours) || hours <= 0) return { error: 'hours must be a positive number' };
+    until = new Date(now.getTime() + hours * 60 * 60 * 1000);
+  } else {
+    return { error: 'Provide until or hours' };
+  }
+
+  if (until <= now) return { error: 'until must be in the future' };
+  if (until - now > SNOOZE_CONFIG.maxDays * DAY_MS) {
+    return { error: `Deals can be snoozed for at most ${SNOOZE_CONFIG.maxDays} days` };
+  }
+  return { until };
+}
+
+// 'used' | 'dismissed' | 'expired' | 'snoozed' | 'pending' | 'active'
+function getDealStatus(deal, now = new Date()) {
+  if (deal.used_at) return 'used';
+  if (deal.dismissed_at) return 'dismissed';
+  if (deal.expired_at) return 'expired';
+  if (!deal.is_active) return 'used';
+  if (deal.snoozed_until && new Date(deal.snoozed_until) > now) return 'snoozed';
+  if (deal.review_status === 'pending') return 'pending';
+  return 'active';
+}
+
+// A deal with its status and the links the detail panel shows. Deals from
+// uploads, pasted emails and IMAP have no Gmail message to open.
+function toDealDetail(user, deal) {
+  const fromGmail = (deal.source || 'gmail') === 'gmail';
+
+  return {
+    deal,
+    status: getDealStatus(deal),
+    url: getDealUrl(deal.id),
+    gmailUrl: fromGmail ? getGmailMessageUrl(user.email, deal.email_id) : null
+  };
+}
+
+// ============================================
+// DEAL QUERIES
+// ============================================
+
+// GET /api/deals takes search, filter and sort parameters and returns one
+// page at a time. Every parameter is validated; the cursor is opaque to
+// clients and only valid with the parameters that produced it.
+
+const DEAL_QUERY_CONFIG = {
+  defaultLimit: 24,
+  maxLimit: 100,
+  maxSearchLength: 200
+};
+
+// Sort orders; missing values go last and ties are broken by id
+const DEAL_SORTS = {
+  expiry: { column: 'expires_at', ascending: true },
+  savings: { column: 'savings', ascending: false },
+  recency: { column: 'created_at', ascending: false },
+  discount: { column: 'discount_percent', ascending: false }
+};
+
+const DEAL_QUERY_PARAMS = [
+  'q', 'restaurant', 'dealType', 'minSavings', 'maxSavings', 'expiringSoon', 'hasExpiry',
+  'expiresAfter', 'expiresBefore', 'createdAfter', 'createdBefore', 'sort', 'limit', 'cursor'
+];
+
+// Query strings arrive as a string, an array (repeated parameter) or an
+// object (bracket syntax); list parameters accept the first two
+function parseListParam(name, value) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.some(item => typeof item !== 'string')) return { error: `${name} must be text` };
+  return { values: values.map(item => item.trim()).filter(Boolean) };
+}
+
+function parseBooleanParam(name, value) {
+  if (value === 'true' || value === '1') return { value: true };
+  if (value === 'false' || value === '0') return { value: false };
+  return { error: `${name} must be true or false` };
+}
+
+function parseAmountParam(name, value) {
+  if (typeof value !== 'string' || !/^\d+(\.\d{1,2})?$/.test(value)) {
+    return { error: `${name} must be a dollar amount such as 5 or 7.50` };
+  }
+  return { value: Number(value) };
+}
+
+// A YYYY-MM-DD date covers that whole day in the user's time zone
+// (`edge` 'start' or 'end'); anything else must be an ISO date-time
+function parseDateParam(name, value, edge, timeZone) {
+  if (typeof value !== 'string') return { error: `${name} must be a date` };
+
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) {
+    const civilDate = createCivilDate(Number(day[1]), Number(day[2]), Number(day[3]));
+    if (!civilDate) return { error: `${name} is not a valid date` };
+    return { value: edge === 'start' ? getZonedInstant(civilDate, 0, timeZone) : getZonedEndOfDay(civilDate, timeZone) };
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : new Date(NaN);
+  if (Number.isNaN(date.getTime())) return { error: `${name} must be YYYY-MM-DD or an ISO date-time` };
+  return { value: date };
+}
+
+function encodeDealCursor(sortName, sort, deal) {
+  const cursor = { sort: sortName, value: deal[sort.column] ?? null, id: deal.id };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeDealCursor(value, sortName) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const validValue = cursor.value === null || ['string', 'number'].includes(typeof cursor.value);
+    if (cursor.sort === sortName && typeof cursor.id === 'string' && validValue) {
+      return { id: cursor.id, value: cursor.value };
+    }
+  } catch (error) {
+    // Fall through: not a cursor we issued
+  }
+  return null;
+}
+
+// Rows after the cursor's row in the sort order (keyset pagination)
+function buildDealCursorFilter(sort, cursor) {
+  const sameValue = [['id', 'gt', cursor.id]];
+  if (cursor.value === null) {
+    return [null, 'or', [[[sort.column, 'isNull'], ...sameValue]]];
+  }
+
+  return [null, 'or', [
+    [[sort.column, sort.ascending ? 'gt' : 'lt', cursor.value]],
+    [[sort.column, 'eq', cursor.value], ...sameValue],
+    [[sort.column, 'isNull']]
+  ]];
+}
+
+// Validate GET /api/deals parameters. Returns { query } or { error }.
+function parseDealQuery(params, timeZone) {
+  const unknown = Object.keys(params).filter(name => !DEAL_QUERY_PARAMS.includes(name));
+  if (unknown.length > 0) return { error: `Unknown parameter: ${unknown.join(', ')}` };
+
+  const query = {
+    search: null,
+    restaurants: [],
+    dealTypes: [],
+    minSavings: null,
+    maxSavings: null,
+    expiringSoon: false,
+    hasExpiry: null,
+    expiresAfter: null,
+    expiresBefore: null,
+    createdAfter: null,
+    createdBefore: null,
+    sort: 'expiry',
+    limit: DEAL_QUERY_CONFIG.defaultLimit,
+    cursor: null,
+    timeZone
+  };
+
+  if (params.q !== undefined) {
+    if (typeof params.q !== 'string') return { error: 'q must be text' };
+    if (params.q.length > DEAL_QUERY_CONFIG.maxSearchLength) {
+      return { error: `q must be at most ${DEAL_QUERY_CONFIG.maxSearchLength} characters` };
+    }
+    query.search = params.q.trim() || null;
+  }
+
+  for (const [name, key] of [['restaurant', 'restaurants'], ['dealType', 'dealTypes']]) {
+    if (params[name] === undefined) continue;
+    const { values, error } = parseListParam(name, params[name]);
+    if (error) return { error };
+    query[key] = values;
+  }
+  const unknownType = query.dealTypes.find(type => !DEAL_TYPES.includes(type));
+  if (unknownType) return { error: `dealType must be one of: ${DEAL_TYPES.join(', ')}` };
+
+  for (const name of ['minSavings', 'maxSavings']) {
+    if (params[name] === undefined) continue;
+    const { value, error } = parseAmountParam(name, params[name]);
+    if (error) return { error };
+    query[name] = value;
+  }
+  if (query.minSavings !== null && query.maxSavings !== null && query.minSavings > query.maxSavings) {
+    return { error: 'minSavings must not be more than maxSavings' };
+  }
+
+  for (const name of ['expiringSoon', 'hasExpiry']) {
+    if (params[name] === undefined) continue;
+    const { value, error } = parseBooleanParam(name, params[name]);
+    if (error) return { error };
+    query[name] = value;
+  }
+
+  for (const [after, before] of [['expiresAfter', 'expiresBefore'], ['createdAfter', 'createdBefore']]) {
+    for (const [name, edge] of [[after, 'start'], [before, 'end']]) {
+      if (params[name] === undefined) continue;
+      const { value, error } = parseDateParam(name, params[name], edge, timeZone);
+      if (error) return { error };
+      query[name] = value;
+    }
+    if (query[after] && query[before] && query[after] > query[before]) {
+      return { error: `${after} must be before ${before}` };
+    }
+  }
+
+  if (params.sort !== undefined) {
+    if (!Object.hasOwn(DEAL_SORTS, params.sort)) {
+      return { error: `sort must be one of: ${Object.keys(DEAL_SORTS).join(', ')}` };
+    }
+    query.sort = params.sort;
+  }
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit);
+    if (!/^\d+$/.test(String(params.limit)) || limit < 1 || limit > DEAL_QUERY_CONFIG.maxLimit) {
+      return { error: `limit must be a whole number between 1 and ${DEAL_QUERY_CONFIG.maxLimit}` };
+    }
+    query.limit = limit;
+  }
+
+  if (params.cursor !== undefined) {
+    query.cursor = decodeDealCursor(params.cursor, query.sort);
+    if (!query.cursor) return { error: 'cursor is invalid for this sort' };
+  }
+
+  return { query };
+}
+
+// Storage filters for a parsed deal query
+function buildDealQueryFilters(query, now = new Date()) {
+  const filters = [];
+
+  if (query.search) filters.push(['search_document', 'search', query.search]);
+  if (query.restaurants.length > 0) filters.push(['restaurant', 'in', query.restaurants]);
+  if (query.dealTypes.length > 0) filters.push(['deal_type', 'in', query.dealTypes]);
+  if (query.minSavings !== null) filters.push(['savings', 'gte', query.minSavings]);
+  if (query.maxSavings !== null) filters.push(['savings', 'lte', query.maxSavings]);
+
+  // "Soon" is measured in calendar days in the user's time zone
+  if (query.expiringSoon) {
+    filters.push(['expires_at', 'gte', now.toISOString()]);
+    filters.push(['expires_at', 'lte', getExpiringSoonCutoff(query.timeZone, now).toISOString()]);
+  }
+  if (query.hasExpiry !== null) filters.push(['expires_at', query.hasExpiry ? 'notNull' : 'isNull']);
+
+  if (query.expiresAfter) filters.push(['expires_at', 'gte', query.expiresAfter.toISOString()]);
+  if (query.expiresBefore) filters.push(['expires_at', 'lte', query.expiresBefore.toISOString()]);
+  if (query.createdAfter) filters.push(['created_at', 'gte', query.createdAfter.toISOString()]);
+  if (query.createdBefore) filters.push(['created_at', 'lte', query.createdBefore.toISOString()]);
+
+  return filters;
+}
+
+// ============================================
+// REDEMPTIONS & SAVINGS ANALYTICS
+// ============================================
+
+// Using a deal records what it actually saved (the extracted savings unless
+// the user says otherwise). Analytics compare that realized savings with the
+// savings of deals that expired unused.
+
+const ANALYTICS_CONFIG = {
+  defaultMonths: 12,
+  maxMonths: 36,
+  maxAmountSaved: 10000
+};
+
+// Amount saved from user input; blank means the deal's own savings.
+// Returns { amount } or { error }.
+function parseAmountSaved(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return { amount: Number(fallback) || 0 };
+  }
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0 || amount > ANALYTICS_CONFIG.maxAmountSaved) {
+    return { error: `amountSaved must be a number between 0 and ${ANALYTICS_CONFIG.maxAmountSaved}` };
+  }
+  return { amount: Number(amount.toFixed(2)) };
+}
+
+// Mark a deal used and add it to the ledger.
+// Resolves to { deal, redemption }, { error, status } or null when the deal is not the user's.
+async function redeemDeal(userId, dealId, body = {}) {
+  const deal = await getUserDeal(dealId, userId);
+  if (!deal) return null;
+  if (deal.used_at) return { error: 'Deal is already marked used', status: 409 };
+
+  const { amount, error } = parseAmountSaved(body.amountSaved, deal.savings);
+  if (error) return { error, status: 400 };
+
+  const updated = await markDealAsUsed(dealId, userId);
+  const redemption = await recordRedemption(userId, deal, amount, updated.used_at);
+  return { deal: updated, redemption };
+}
+
+// YYYY-MM of an instant in the time zone
+function getMonthKey(date, timeZone) {
+  const { year, month } = getZonedParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+// The last `months` calendar months in the time zone, oldest first, and the
+// instant the first one starts
+function getAnalyticsMonths(months, timeZone, now = new Date()) {
+  const { year, month } = getZonedParts(now, timeZone);
+  const keys = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const date = new Date(Date.UTC(year, month - 1 - i, 1));
+    keys.push(date.toISOString().slice(0, 7));
+  }
+
+  const [firstYear, firstMonth] = keys[0].split('-').map(Number);
+  return { keys, from: getZonedInstant(createCivilDate(firstYear, firstMonth, 1), 0, timeZone) };
+}
+
+function emptySavingsTotals() {
+  return { realized: 0, missed: 0, redemptions: 0, expired: 0 };
+}
+
+function roundSavingsTotals(totals) {
+  return { ...totals, realized: Number(totals.realized.toFixed(2)), missed: Number(totals.missed.toFixed(2)) };
+}
+
+// Realized vs. missed savings grouped by month, restaurant and deal type
+function buildSavingsAnalytics(redemptions, missedDeals, { keys, timeZone }) {
+  const totals = emptySavingsTotals();
+  const byMonth = new Map(keys.map(key => [key, emptySavingsTotals()]));
+  const byRestaurant = new Map();
+  const byDealType = new Map();
+
+  const groupFor = (groups, key) => {
+    if (!groups.has(key)) groups.set(key, emptySavingsTotals());
+    return groups.get(key);
+  };
+
+  const tally = (group, entry) => {
+    if (entry.redeemed) {
+      group.realized += entry.amount;
+      group.redemptions++;
+    } else {
+      group.missed += entry.amount;
+      group.expired++;
+    }
+  };
+
+  const entries = [
+    ...redemptions.map(row => ({ ...row, redeemed: true, at: row.used_at, amount: Number(row.amount_saved) || 0 })),
+    ...missedDeals.map(deal => ({ ...deal, redeemed: false, at: deal.expired_at, amount: Number(deal.savings) || 0 }))
+  ];
+
+  for (const entry of entries) {
+    tally(totals, entry);
+    const month = byMonth.get(getMonthKey(entry.at, timeZone));
+    if (month) tally(month, entry);
+    tally(groupFor(byRestaurant, entry.restaurant), entry);
+    tally(groupFor(byDealType, entry.deal_type || 'Other'), entry);
+  }
+
+  const list = (groups, keyName) => [...groups.entries()]
+    .map(([key, group]) => ({ [keyName]: key, ...roundSavingsTotals(group) }))
+    .sort((a, b) => (b.realized + b.missed) - (a.realized + a.missed));
+
+  const outcomes = totals.redemptions + totals.expired;
+  return {
+    totals: {
+      ...roundSavingsTotals(totals),
+      // Share of deals that ran their course and were used rather than left to expire
+      redemptionRate: outcomes > 0 ? Number((totals.redemptions / outcomes).toFixed(3)) : null
+    },
+    byMonth: keys.map(month => ({ month, ...roundSavingsTotals(byMonth.get(month)) })),
+    byRestaurant: list(byRestaurant, 'restaurant'),
+    byDealType: list(byDealType, 'dealType')
+  };
+}
+
+// Savings report for the last `months` months (?months=, 1-36)
+async function getSavingsAnalytics(user, query = {}) {
+  const months = query.months === undefined ? ANALYTICS_CONFIG.defaultMonths : Number(query.months);
+  if (!Number.isInteger(months) || months < 1 || months > ANALYTICS_CONFIG.maxMonths) {
+    return { error: `months must be a whole number between 1 and ${ANALYTICS_CONFIG.maxMonths}` };
+  }
+
+  const timeZone = getUserTimeZone(user);
+  const now = new Date();
+  const { keys, from } = getAnalyticsMonths(months, timeZone, now);
+
+  const [redemptions, missedDeals, openDeals] = await Promise.all([
+    getRedemptions(user.id, { from, to: now }),
+    getMissedDeals(user.id, from, now),
+    getUserDeals(user.id)
+  ]);
+
+  return {
+    from: from.toISOString(),
+    to: now.toISOString(),
+    timeZone,
+    ...buildSavingsAnalytics(redemptions, missedDeals, { keys, timeZone }),
+    open: {
+      deals: openDeals.length,
+      savings: Number(openDeals.reduce((sum, deal) => sum + (Number(deal.savings) || 0), 0).toFixed(2))
+    }
+  };
+}
+
+// ============================================
+// 9. SCHEDULED JOBS
+// ============================================
+
+// Scans, expiry sweeps and notification checks run on an in-process
+// schedule. Every instance ticks, but a job only runs on the instance that
+// claims its lock, and every run is recorded in job_runs.
+
+const SCHEDULER_CONFIG = {
+  enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  tickMs: 60 * 1000,
+  // Renewed while the job runs; a crashed instance's lock expires after this
+  lockTtlMs: 10 * 60 * 1000,
+  runRetentionDays: 30
+};
+
+const SCHEDULE_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+
+// Identifies this process as a lock owner and on job runs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// "30m", "6h", "1d" -> milliseconds; "off" or "0" -> null (job disabled)
+function parseSchedule(value, fallback) {
+  const text = String(value || fallback).trim().toLowerCase();
+  if (text === 'off' || text === '0') return null;
+
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+  if (!match) {
+    console.warn(`Invalid schedule "${value}", using ${fallback}`);
+    return parseSchedule(fallback, fallback);
+  }
+  return Number(match[1]) * SCHEDULE_UNITS[match[2]];
+}
+
+// Milliseconds -> "6h", using the largest unit that divides evenly
+function formatSchedule(intervalMs) {
+  const [unit, size] = Object.entries(SCHEDULE_UNITS)
+    .reverse()
+    .find(([, ms]) => intervalMs % ms === 0) || ['ms', 1];
+  return `${intervalMs / size}${unit}`;
+}
+
+const SCHEDULED_JOBS = {
+  scans: {
+    intervalMs: parseSchedule(process.env.SCAN_SCHEDULE, '6h'),
+    run: runScheduledScans
+  },
+  'expiry-sweep': {
+    intervalMs: parseSchedule(process.env.EXPIRY_SWEEP_SCHEDULE, '1h'),
+    run: deactivateExpiredDeals
+  },
+  // Hourly so daily/weekly digests go out close to each user's digest hour
+  notifications: {
+    intervalMs: parseSchedule(process.env.NOTIFICATION_SCHEDULE, '1h'),
+    run: checkAndNotifyExpiringDeals
+  },
+  'webhook-retries': {
+    intervalMs: parseSchedule(process.env.WEBHOOK_RETRY_SCHEDULE, '1m'),
+    run: retryWebhookDeliveries
+  },
+  'imap-syncs': {
+    intervalMs: parseSchedule(process.env.IMAP_SYNC_SCHEDULE, '6h'),
+    run: runScheduledImapSyncs
+  }
+};
+
+// Scan every connected mailbox, one user at a time
+async function runScheduledScans() {
+  const summary = { users: 0, completed: 0, failed: 0, skipped: 0, dealsSaved: 0, dealsMerged: 0 };
+
+  for (const user of await getScannableUsers()) {
+    summary.users++;
+
+    // The user started a scan themselves
+    if (getActiveScanJob(user.id)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const job = createScanJob(user);
+    await runScanJob(job);
+
+    if (job.status === 'completed') summary.completed++;
+    else summary.failed++;
+    summary.dealsSaved += job.progress.dealsSaved;
+    summary.dealsMerged += job.progress.dealsMerged;
+  }
+
+  return summary;
+}
+
+// The expiry sweep: deactivate expired deals and clear snoozes that ended
+async function deactivateExpiredDeals() {
+  const expired = await expirePastDeals();
+  const woken = await clearEndedSnoozes();
+  return { dealsExpired: expired.length, snoozesEnded: woken.length };
+}
+
+// Run a job if this instance can claim it. trigger is 'schedule', 'manual'
+// or 'cli'; force runs it even when it is not due yet.
+// Resolves to the finished job_runs row, or null when another run holds the lock.
+async function runJob(name, { trigger = 'schedule', force = false } = {}) {
+  const job = SCHEDULED_JOBS[name];
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  await ensureJobLock(name);
+  if (!(await claimJobLock(name, INSTANCE_ID, SCHEDULER_CONFIG.lockTtlMs, { force }))) {
+    return null;
+  }
+
+  const run = await createJobRun({
+    job_name: name,
+    trigger,
+    instance_id: INSTANCE_ID,
+    status: 'running',
+    started_at: new Date().toISOString()
+  });
+
+  const renewTimer = setInterval(() => {
+    renewJobLock(name, INSTANCE_ID, SCHEDULER_CONFIG.lockTtlMs)
+      .catch(error => console.warn(`Could not renew ${name} lock:`, error.message));
+  }, SCHEDULER_CONFIG.lockTtlMs / 3);
+  renewTimer.unref();
+
+  let outcome;
+  try {
+    outcome = { status: 'succeeded', result: (await job.run()) ?? null };
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    outcome = { status: 'failed', error: error.message };
+  } finally {
+    clearInterval(renewTimer);
+  }
+
+  const nextRunAt = job.intervalMs ? new Date(Date.now() + job.intervalMs).toISOString() : undefined;
+  await releaseJobLock(name, INSTANCE_ID, nextRunAt);
+
+  return finishJobRun(run.id, { ...outcome, finished_at: new Date().toISOString() });
+}
+
+let schedulerTimer = null;
+const runningJobs = new Set();
+
+// Start every due job that is not already running here
+function runDueJobs() {
+  for (const [name, job] of Object.entries(SCHEDULED_JOBS)) {
+    if (!job.intervalMs || runningJobs.has(name)) continue;
+
+    runningJobs.add(name);
+    runJob(name)
+      .catch(error => console.error(`Scheduler could not run ${name}:`, error.message))
+      .finally(() => runningJobs.delete(name));
+  }
+
+  const cutoff = new Date(Date.now() - SCHEDULER_CONFIG.runRetentionDays * DAY_MS);
+  removeJobRunsBefore(cutoff)
+    .catch(error => console.warn('Could not prune job runs:', error.message));
+}
+
+function startScheduler() {
+  if (!SCHEDULER_CONFIG.enabled || schedulerTimer) return;
+
+  schedulerTimer = setInterval(runDueJobs, SCHEDULER_CONFIG.tickMs);
+  runDueJobs();
+
+  const schedules = Object.entries(SCHEDULED_JOBS)
+    .map(([name, job]) => `${name}: ${job.intervalMs ? `every ${formatSchedule(job.intervalMs)}` : 'off'}`);
+  console.log(`⏱️  Scheduler started (${schedules.join(', ')})`);
+}
+
+// Schedules merged with lock state, for the job runs endpoint
+async function getJobSchedules() {
+  const locks = new Map((await getJobLocks()).map(lock => [lock.name, lock]));
+
+  return Object.entries(SCHEDULED_JOBS).map(([name, job]) => {
+    const lock = locks.get(name);
+    const running = Boolean(lock) && Date.parse(lock.locked_until) > Date.now();
+    return {
+      name,
+      enabled: SCHEDULER_CONFIG.enabled && Boolean(job.intervalMs),
+      schedule: job.intervalMs ? formatSchedule(job.intervalMs) : 'off',
+      intervalMs: job.intervalMs,
+      nextRunAt: lock?.next_run_at || null,
+      running,
+      lockedBy: running ? lock.owner : null
+    };
+  });
+}
+
+// ============================================
+// API ENDPOINTS
+// ============================================
+
+// Cached email images. Public so emails and push notifications can show
+// them: the hash is of the image bytes, so only someone who already has the
+// image can name it.
+app.get('/api/images/:hash', async (req, res) => {
+  try {
+    const image = await findCachedImage(req.params.hash);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    res.sendFile(image.filePath, {
+      maxAge: '365d',
+      immutable: true,
+      headers: {
+        'Content-Type': image.contentType,
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'",
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every API route acts on the signed-in user
+app.use('/api', requireSession);
+
+// Current session
+app.get('/api/session', (req, res) => {
+  res.json({ email: req.user.email, timezone: req.user.timezone || null, isAdmin: isAdmin(req.user) });
+});
+
+// Look up a scan job that belongs to the signed-in user
+function getOwnedScanJob(req, res) {
+  const job = scanJobs.get(req.params.jobId);
+  if (!job || job.user.id !== req.user.id) {
+    res.status(404).json({ error: 'Scan job not found' });
+    return null;
+  }
+  return job;
+}
+
+// Start a background scan job (or return the one already running)
+app.post('/api/scan-deals', async (req, res) => {
+  try {
+    const { user } = req;
+    if (!user.gmail_tokens) {
+      return sendGmailReconnectRequired(res);
+    }
+
+    const activeJob = getActiveScanJob(user.id);
+    if (activeJob) {
+      return res.json({
+        success: true,
+        jobId: activeJob.id,
+        job: getScanJobSnapshot(activeJob),
+        eventsUrl: `/api/scan-jobs/${activeJob.id}/events`
+      });
+    }
+
+    const job = createScanJob(user);
+    runScanJob(job);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: getScanJobSnapshot(job),
+      eventsUrl: `/api/scan-jobs/${job.id}/events`
+    });
+  } catch (error) {
+    console.error('Scan deals error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run extraction on stored emails: { dealId } for one deal, { olderThan }
+// for deals from earlier prompt versions, or {} for all of the user's deals.
+// One deal is handled inline; anything more runs as a background job.
+app.post('/api/reextract', async (req, res) => {
+  try {
+    const { user } = req;
+    const { dealId, olderThan } = req.body || {};
+
+    if (dealId) {
+      const deal = await getUserDeal(dealId, user.id);
+      if (!deal) {
+        return res.status(404).json({ error: 'Deal not found' });
+      }
+
+      const result = await reextractEmail(user, deal.email_id);
+      if (!result) {
+        return res.status(422).json({ error: 'The email for this deal is no longer available' });
+      }
+
+      return res.json({ success: true, promptVersion: EXTRACTION_PROMPT_VERSION, result });
+    }
+
+    const version = olderThan == null ? null : parsePromptVersion(olderThan);
+    if (olderThan != null && version == null) {
+      return res.status(400).json({ error: 'olderThan must be a positive integer prompt version' });
+    }
+
+    if (getActiveScanJob(user.id)) {
+      return res.status(409).json({ error: 'A scan is already running; try again when it finishes' });
+    }
+
+    const emailIds = await getEmailIdsForReextraction(user.id, version);
+    const job = createScanJob(user, 'reextract');
+    runReextractJob(job, emailIds);
+
+    res.status(202).json({
+      success: true,
+      promptVersion: EXTRACTION_PROMPT_VERSION,
+      jobId: job.id,
+      job: getScanJobSnapshot(job),
+      eventsUrl: `/api/scan-jobs/${job.id}/events`
+    });
+  } catch (error) {
+    if (error?.status === 429) {
+      return res.status(429).json({ error: 'Extraction is rate limited; try again shortly' });
+    }
+    if (isGmailAuthError(error)) {
+      return sendGmailReconnectRequired(res);
+    }
+
+    console.error('Re-extract error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start an import job for parsed emails; 409 while a scan is running
+function startImportJob(req, res, kind, run) {
+  const { user } = req;
+  if (getActiveScanJob(user.id)) {
+    return res.status(409).json({ error: 'A scan is already running; try again when it finishes' });
+  }
+
+  const job = createScanJob(user, kind);
+  run(job);
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    job: getScanJobSnapshot(job),
+    eventsUrl: `/api/scan-jobs/${job.id}/events`
+  });
+}
+
+// Import uploaded .eml files and .mbox archives:
+// { files: [{ name, content }], senderRules? } with base64 content
+app.post('/api/imports/files', async (req, res) => {
+  try {
+    await refreshRestaurantCatalog();
+    const excludedRestaurants = await getExcludedRestaurants(req.user.id);
+    const { emails, filtered, error } = await parseImportFiles(req.body, excludedRestaurants);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    startImportJob(req, res, 'import', job => runMailImportJob(job, async () => ({ emails, filtered })));
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import one email pasted as raw text: { text, senderRules? }
+app.post('/api/imports/paste', async (req, res) => {
+  try {
+    await refreshRestaurantCatalog();
+    const excludedRestaurants = await getExcludedRestaurants(req.user.id);
+    const { email, error } = await parsePastedEmail(req.body, excludedRestaurants);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    startImportJob(req, res, 'import', job => runMailImportJob(job, async () => ({ emails: [email] })));
+  } catch (error) {
+    console.error('Paste import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// IMAP accounts of the current user
+app.get('/api/imap-accounts', async (req, res) => {
+  try {
+    const accounts = await getUserImapAccounts(req.user.id);
+    res.json({ accounts: accounts.map(toPublicImapAccount) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check that an account can sign in and that its folders exist.
+// Returns the mailbox's folders, or { error }.
+async function verifyImapAccount(account) {
+  let folders;
+  try {
+    folders = await listImapFolders(account);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const missing = account.folders.find(folder => !folders.includes(folder));
+  if (missing) return { error: `Folder not found: ${missing}` };
+  return { folders };
+}
+
+// Add an IMAP account: { label?, host, port?, secure?, username, password,
+// folders?, senderRules?, isActive? }. The login is checked first.
+app.post('/api/imap-accounts', async (req, res) => {
+  try {
+    const { account, error } = parseImapAccountInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const candidate = { port: 993, secure: true, folders: ['INBOX'], ...account };
+    const verified = await verifyImapAccount(candidate);
+    if (verified.error) {
+      return res.status(400).json({ error: verified.error });
+    }
+
+    const created = await createImapAccount({ ...candidate, user_id: req.user.id });
+    res.status(201).json({ account: toPublicImapAccount(created), folders: verified.folders });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an IMAP account (same fields, all optional). Connection changes
+// are checked before they are saved.
+app.put('/api/imap-accounts/:accountId', async (req, res) => {
+  try {
+    const existing = await getUserImapAccount(req.params.accountId, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'IMAP account not found' });
+    }
+
+    const { account: patch, error } = parseImapAccountInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const connectionFields = ['host', 'port', 'secure', 'username', 'password_encrypted', 'folders'];
+    if (connectionFields.some(field => field in patch)) {
+      const verified = await verifyImapAccount({ ...existing, ...patch });
+      if (verified.error) {
+        return res.status(400).json({ error: verified.error });
+      }
+    }
+
+    // Another server or login is a different mailbox: start over
+    if (['host', 'username'].some(field => field in patch && patch[field] !== existing[field])) {
+      patch.sync_state = {};
+    }
+
+    const updated = await updateImapAccount(existing.id, req.user.id, patch);
+    res.json({ account: toPublicImapAccount(updated) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an IMAP account (deals found through it are kept)
+app.delete('/api/imap-accounts/:accountId', async (req, res) => {
+  try {
+    const removed = await removeImapAccount(req.params.accountId, req.user.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'IMAP account not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Folders of the mailbox, to choose which ones to sync
+app.get('/api/imap-accounts/:accountId/folders', async (req, res) => {
+  try {
+    const account = await getUserImapAccount(req.params.accountId, req.user.id);
+    if (!account) {
+      return res.status(404).json({ error: 'IMAP account not found' });
+    }
+
+    const folders = await listImapFolders(account).catch(error => ({ error: error.message }));
+    if (folders.error) {
+      return res.status(502).json({ error: folders.error });
+    }
+
+    res.json({ folders });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync an IMAP account now
+app.post('/api/imap-accounts/:accountId/sync', async (req, res) => {
+  try {
+    const account = await getUserImapAccount(req.params.accountId, req.user.id);
+    if (!account) {
+      return res.status(404).json({ error: 'IMAP account not found' });
+    }
+
+    startImportJob(req, res, 'imap', job => runImapSyncJob(job, account));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get scan job status
+app.get('/api/scan-jobs/:jobId', (req, res) => {
+  const job = getOwnedScanJob(req, res);
+  if (!job) return;
+
+  res.json({ job: getScanJobSnapshot(job) });
+});
+
+// Stream scan job progress as Server-Sent Events
+app.get('/api/scan-jobs/:jobId/events', (req, res) => {
+  const job = getOwnedScanJob(req, res);
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Replay what the client missed (EventSource sends Last-Event-ID on reconnect)
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  for (const event of job.events) {
+    if (event.id > lastEventId) writeSseEvent(res, event);
+  }
+
+  if (FINISHED_SCAN_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  job.listeners.add(res);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SCAN_CONFIG.heartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(res);
+  });
+});
+
+// Cancel a running scan job
+app.post('/api/scan-jobs/:jobId/cancel', (req, res) => {
+  const job = getOwnedScanJob(req, res);
+  if (!job) return;
+
+  if (!FINISHED_SCAN_STATUSES.includes(job.status)) {
+    cancelScanJob(job);
+  }
+
+  res.json({ success: true, job: getScanJobSnapshot(job) });
+});
+
+// Search, filter and page through the user's deals (see DEAL QUERIES)
+app.get('/api/deals', async (req, res) => {
+  try {
+    const { query, error } = parseDealQuery(req.query, getUserTimeZone(req.user));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await queryUserDeals(req.user.id, query));
+    
+  } catch (error) {
+    console.error('Get deals error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One deal for the detail panel (also used, dismissed and snoozed ones)
+app.get('/api/deals/:dealId', async (req, res) => {
+  try {
+    const deal = await getUserDeal(req.params.dealId, req.user.id);
+    if (!deal) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    res.json(toDealDetail(req.user, deal));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark deal as used, optionally with what it actually saved ({ amountSaved })
+app.post('/api/deals/:dealId/use', async (req, res) => {
+  try {
+    const result = await redeemDeal(req.user.id, req.params.dealId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await emitDealEvent(req.user.id, 'deal.used', result.deal);
+    res.json({ success: true, ...toDealDetail(req.user, result.deal), redemption: result.redemption });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/deals/:dealId/dismiss', async (req, res) => {
+  try {
+    const updated = await dismissDeal(req.params.dealId, req.user.id);
+    if (!updated) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    res.json({ success: true, ...toDealDetail(req.user, updated) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hide a deal until { until } or for { hours }
+app.post('/api/deals/:dealId/snooze', async (req, res) => {
+  try {
+    const { until, error } = parseSnoozeInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await snoozeDeal(req.params.dealId, req.user.id, until);
+    if (!updated) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    res.json({ success: true, ...toDealDetail(req.user, updated) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo use, dismiss or snooze
+app.post('/api/deals/:dealId/restore', async (req, res) => {
+  try {
+    const updated = await restoreDeal(req.params.dealId, req.user.id);
+    if (!updated) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    res.json({ success: true, ...toDealDetail(req.user, updated) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Redemption ledger, newest first (?limit=, default 50)
+app.get('/api/redemptions', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const redemptions = await getRedemptions(req.user.id, { limit });
+    res.json({ redemptions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Correct what a redemption actually saved: { amountSaved }
+app.put('/api/redemptions/:redemptionId', async (req, res) => {
+  try {
+    const { amountSaved } = req.body || {};
+    const { amount, error } = amountSaved === undefined || amountSaved === null || amountSaved === ''
+      ? { error: 'amountSaved is required' }
+      : parseAmountSaved(amountSaved);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const redemption = await updateRedemption(req.user.id, req.params.redemptionId, { amount_saved: amount });
+    if (!redemption) {
+      return res.status(404).json({ error: 'Redemption not found' });
+    }
+
+    res.json({ redemption });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Realized vs. missed savings by month, restaurant and deal type (?months=12)
+app.get('/api/analytics/savings', async (req, res) => {
+  try {
+    const analytics = await getSavingsAnalytics(req.user, req.query);
+    if (analytics.error) {
+      return res.status(400).json({ error: analytics.error });
+    }
+
+    res.json(analytics);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Low-confidence deals waiting for review
+app.get('/api/review', async (req, res) => {
+  try {
+    const deals = await getPendingReviewDeals(req.user.id);
+    res.json({ deals, threshold: REVIEW_CONFIG.threshold });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept, edit or reject a deal's fields, or reject the whole deal
+app.post('/api/review/:dealId', async (req, res) => {
+  try {
+    const deal = await getUserDeal(req.params.dealId, req.user.id);
+    if (!deal) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const result = await applyDealReview(req.user, deal, req.body || {});
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, deal: result.deal });
+  } catch (error) {
+    console.error('Review deal error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download review corrections as labeled examples (JSON Lines, or ?format=json).
+// Each example carries the stored email it was extracted from, when there is one.
+app.get('/api/corrections/export', async (req, res) => {
+  try {
+    const examples = buildCorrectionExamples(await getDealCorrections(req.user.id));
+    const emailIds = [...new Set(examples.map(example => example.emailId).filter(Boolean))];
+    const emails = new Map(
+      (await getStoredEmails(req.user.id, emailIds)).map(email => [email.email_id, email])
+    );
+
+    for (const example of examples) {
+      const email = emails.get(example.emailId);
+      example.email = email
+        ? { subject: email.subject, from: email.sender, sentAt: email.sent_at, body: email.body_text }
+        : null;
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({ examples });
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', 'attachment; filename="dealdine-corrections.jsonl"');
+    res.send(examples.map(example => JSON.stringify(example)).join('\n'));
+  } catch (error) {
+    console.error('Export corrections error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update restaurant preferences
+app.post('/api/preferences/restaurants', async (req, res) => {
+  try {
+    const { restaurant, isSelected } = req.body;
+    if (!restaurant) {
+      return res.status(400).json({ error: 'restaurant is required' });
+    }
+    
+    await updateRestaurantPreference(req.user.id, restaurant, isSelected);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace restaurant preferences in bulk (dashboard settings panel)
+app.put('/api/preferences/restaurants', async (req, res) => {
+  try {
+    const { preferences } = req.body;
+    if (!Array.isArray(preferences) || preferences.some(p => !p?.restaurant)) {
+      return res.status(400).json({ error: 'preferences must be an array of { restaurant, isSelected }' });
+    }
+
+    await updateRestaurantPreferences(req.user.id, preferences);
+    res.json({ success: true, preferences: await getRestaurantPreferences(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get restaurant preferences
+app.get('/api/preferences/restaurants', async (req, res) => {
+  try {
+    const preferences = await getRestaurantPreferences(req.user.id);
+    res.json({ preferences });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the time zone used to resolve expiry dates and "expiring soon"
+app.put('/api/preferences/timezone', async (req, res) => {
+  try {
+    const { timezone } = req.body;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone such as "America/New_York"' });
+    }
+
+    await updateUserTimeZone(req.user.id, timezone);
+    res.json({ success: true, timezone });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List the restaurant catalog
+app.get('/api/restaurants', async (req, res) => {
+  try {
+    const restaurants = await getRestaurants();
+    res.json({ restaurants });
+  } catch (error) {
+    console.error('Get restaurants error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get one catalog restaurant
+app.get('/api/restaurants/:id', async (req, res) => {
+  try {
+    const restaurant = await getRestaurantById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json({ restaurant });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A sender domain another catalog restaurant already claims, as an error
+function findClaimedSenderDomain(restaurant, exceptId = null) {
+  for (const domain of restaurant.sender_domains) {
+    const owner = restaurantCatalog.entries.find(entry =>
+      entry.id !== exceptId && entry.sender_domains.includes(domain)
+    );
+    if (owner) return `${domain} already belongs to ${owner.name}`;
+  }
+  return null;
 }
 
-// Get user by email
-async function getUserByEmail(email) {
-  const { data, error } = await supabase
-    .from('users')
-    .select('*')
-    .eq('email', email)
-    .single();
-  
-  if (error && error.code !== 'PGRST116') throw error;
-  return data;
-}
+// Add a custom restaurant to the catalog. Admins only: its sender domains and
+// query terms apply to every user's scans.
+app.post('/api/restaurants', requireAdmin, async (req, res) => {
+  try {
+    const { restaurant, error } = parseRestaurantInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-// Save deal to database
-async function saveDeal(userId, dealData) {
-  const { data, error } = await supabase
-    .from('deals')
-    .insert({
-      user_id: userId,
-      email_id: dealData.emailId,
-      restaurant: dealData.restaurant,
-      deal_description: dealData.dealDescription,
-      original_price: dealData.originalPrice,
-      discounted_price: dealData.discountedPrice,
-      savings: Number(dealData.savings ?? 0),
-      expiry_date: dealData.expiryDate,
-      deal_code: dealData.dealCode,
-      terms_and_conditions: dealData.termsAndConditions,
-      deal_type: dealData.dealType,
-      image_url: dealData.imageUrl,
-      logo_url: dealData.logoUrl,
-      is_active: true
-    })
-    .select()
-    .single();
-  
-  if (error) throw error;
-  return data;
-}
+    await refreshRestaurantCatalog();
+    const existing = findRestaurant(restaurant.name);
+    if (existing) {
+      return res.status(409).json({ error: `${existing.name} is already in the catalog` });
+    }
+    const claimed = findClaimedSenderDomain(restaurant);
+    if (claimed) {
+      return res.status(409).json({ error: claimed });
+    }
 
-// Get all active deals for user
-async function getUserDeals(userId, filters = {}) {
-  let query = supabase
-    .from('deals')
-    .select('*')
-    .eq('user_id', userId)
-    .eq('is_active', true)
-    .order('expiry_date', { ascending: true, nullsLast: true });
-  
-  // Apply filters
-  if (filters.restaurant) {
-    query = query.eq('restaurant', filters.restaurant);
-  }
-  
-  if (filters.minSavings) {
-    query = query.gte('savings', filters.minSavings);
-  }
-  
-  if (filters.expiringSoon) {
-    const threeDaysFromNow = new Date();
-    threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-    query = query.lte('expiry_date', threeDaysFromNow.toISOString());
+    const created = await createRestaurant(restaurant, req.user.id);
+    res.status(201).json({ restaurant: created });
+  } catch (error) {
+    console.error('Create restaurant error:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  const { data, error } = await query;
-  
-  if (error) throw error;
-  return data;
+});
+
+// Built-in restaurants are read-only; admins manage the custom ones
+function isBuiltInRestaurant(restaurant) {
+  return restaurant.created_by == null;
 }
 
-async function getProcessedEmailIds(userId) {
-  const { data, error } = await supabase
-    .from('deals')
-    .select('email_id')
-    .eq('user_id', userId);
+// Update a catalog restaurant
+app.put('/api/restaurants/:id', requireAdmin, async (req, res) => {
+  try {
+    const existing = await getRestaurantById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    if (isBuiltInRestaurant(existing)) {
+      return res.status(403).json({ error: 'Built-in restaurants cannot be changed' });
+    }
 
-  if (error) throw error;
+    const { restaurant, error } = parseRestaurantInput(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-  return new Set((data || []).map(row => row.email_id));
-}
+    await refreshRestaurantCatalog();
+    const claimed = findClaimedSenderDomain(restaurant, existing.id);
+    if (claimed) {
+      return res.status(409).json({ error: claimed });
+    }
 
-// Mark deal as inactive (used)
-async function markDealAsUsed(dealId) {
-  const { error } = await supabase
-    .from('deals')
-    .update({ is_active: false })
-    .eq('id', dealId);
-  
-  if (error) throw error;
-}
+    const updated = await updateRestaurant(existing.id, restaurant);
+    res.json({ restaurant: updated });
+  } catch (error) {
+    console.error('Update restaurant error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Get restaurant preferences
-async function getRestaurantPreferences(userId) {
-  const { data, error } = await supabase
-    .from('user_restaurant_preferences')
-    .select('*')
-    .eq('user_id', userId);
-  
-  if (error) throw error;
-  return data;
-}
+// Remove a restaurant from the catalog
+app.delete('/api/restaurants/:id', requireAdmin, async (req, res) => {
+  try {
+    const existing = await getRestaurantById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    if (isBuiltInRestaurant(existing)) {
+      return res.status(403).json({ error: 'Built-in restaurants cannot be removed' });
+    }
 
-// Update restaurant preference
-async function updateRestaurantPreference(userId, restaurant, isSelected) {
-  const { error } = await supabase
-    .from('user_restaurant_preferences')
-    .upsert({
-      user_id: userId,
-      restaurant,
-      is_selected: isSelected
-    }, {
-      onConflict: 'user_id,restaurant'
-    });
-  
-  if (error) throw error;
-}
+    await deleteRestaurant(existing.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete restaurant error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// ============================================
-// 5. NOTIFICATIONS
-// ============================================
+// Run the notification check now for every user (it also runs on the
+// scheduler). Admins only: it sends digests and pushes to everyone.
+app.post('/api/notifications/check', requireAdmin, async (req, res) => {
+  try {
+    const run = await runJob('notifications', { trigger: 'manual', force: true });
+    if (!run) {
+      return res.status(409).json({ error: 'A notification check is already running' });
+    }
 
-// Email transporter setup
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.NOTIFICATION_EMAIL,
-    pass: process.env.NOTIFICATION_EMAIL_PASSWORD
+    res.json({ success: run.status === 'succeeded', message: 'Notification check completed', run });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Send expiring deals notification
-async function sendExpiringDealsNotification(userEmail, expiringDeals) {
-  const dealsList = expiringDeals
-    .map(deal => `
-      <div style="margin: 20px 0; padding: 15px; background: #f9f9f9; border-left: 4px solid #FF6B35;">
-        <h3 style="margin: 0 0 10px 0; color: #FF6B35;">${deal.restaurant}</h3>
-        <p style="margin: 0 0 5px 0;"><strong>${deal.deal_description}</strong></p>
-        <p style="margin: 0; color: #666;">
-          💰 Save $${deal.savings.toFixed(2)} | 
-          ⏰ Expires: ${new Date(deal.expiry_date).toLocaleDateString()}
-        </p>
-      </div>
-    `)
-    .join('');
-  
-  const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { text-align: center; padding: 30px 0; background: linear-gradient(135deg, #FF6B35 0%, #F7931E 100%); color: white; border-radius: 10px 10px 0 0; }
-        .logo { font-size: 2.5rem; font-weight: bold; margin: 0; }
-        .content { background: white; padding: 30px; border-radius: 0 0 10px 10px; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header">
-          <h1 class="logo">🍔 DealDine</h1>
-          <p style="margin: 10px 0 0 0;">Deals Expiring Soon!</p>
-        </div>
-        <div class="content">
-          <p>Hey there! 👋</p>
-          <p>You have <strong>${expiringDeals.length}</strong> restaurant deal${expiringDeals.length > 1 ? 's' : ''} expiring in the next 3 days:</p>
-          ${dealsList}
-          <p style="margin-top: 30px;">Don't miss out on these savings! 🎉</p>
-          <p style="text-align: center; margin-top: 30px;">
-            <a href="http://localhost:3000" style="display: inline-block; padding: 12px 30px; background: #FF6B35; color: white; text-decoration: none; border-radius: 25px; font-weight: bold;">
-              View All Deals
-            </a>
-          </p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
-  
-  await transporter.sendMail({
-    from: `"DealDine" <${process.env.NOTIFICATION_EMAIL}>`,
-    to: userEmail,
-    subject: `⏰ ${expiringDeals.length} Deal${expiringDeals.length > 1 ? 's' : ''} Expiring Soon!`,
-    html: htmlContent
-  });
-}
+// Get notification settings
+app.get('/api/preferences/notifications', async (req, res) => {
+  try {
+    res.json({ preferences: normalizeNotificationPreferences(req.user.notification_preferences) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Check for expiring deals and send notifications (run as cron job)
-async function checkAndNotifyExpiringDeals() {
+// Update notification settings (any subset of the fields)
+app.put('/api/preferences/notifications', async (req, res) => {
   try {
-    // Get all users with notification preferences enabled
-    const { data: users, error: usersError } = await supabase
-      .from('users')
-      .select('id, email, notification_preferences');
-    
-    if (usersError) throw usersError;
-    
-    const threeDaysFromNow = new Date();
-    threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-    
-    for (const user of users) {
-      if (!user.notification_preferences?.expiringSoon) continue;
-      
-      // Get expiring deals that haven't been notified
-      const { data: expiringDeals, error: dealsError } = await supabase
-        .from('deals')
-        .select('*')
-        .eq('user_id', user.id)
-        .eq('is_active', true)
-        .eq('is_notified', false)
-        .lte('expiry_date', threeDaysFromNow.toISOString())
-        .not('expiry_date', 'is', null);
-      
-      if (dealsError) throw dealsError;
-      
-      if (expiringDeals.length > 0) {
-        // Send notification
-        await sendExpiringDealsNotification(user.email, expiringDeals);
-        
-        // Mark deals as notified
-        const dealIds = expiringDeals.map(d => d.id);
-        await supabase
-          .from('deals')
-          .update({ is_notified: true })
-          .in('id', dealIds);
-        
-        console.log(`Sent notification to ${user.email} for ${expiringDeals.length} deals`);
-      }
+    const { preferences, error } = parseNotificationPreferencesInput(req.body, req.user.notification_preferences);
+    if (error) {
+      return res.status(400).json({ error });
     }
+
+    await updateNotificationPreferences(req.user.id, preferences);
+    res.json({ success: true, preferences });
   } catch (error) {
-    console.error('Notification check error:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// ============================================
-// API ENDPOINTS
-// ============================================
+// Recent per-deal notifications (?limit=50)
+app.get('/api/notifications/history', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const notifications = await getNotificationHistory(req.user.id, limit);
+    res.json({ notifications });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Scan emails and process deals
-app.post('/api/scan-deals', async (req, res) => {
+// Render an email template without sending it (?format=html|text|json).
+// Uses the user's own deals, or sample deals when they have none or ?sample=true.
+app.get('/api/notifications/preview/:template', async (req, res) => {
   try {
-    const { userEmail } = req.body;
-    
-    // Get user from database
-    const user = await getUserByEmail(userEmail);
-    if (!user || !user.gmail_tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
+    const template = EMAIL_TEMPLATES[req.params.template];
+    if (!template) {
+      return res.status(404).json({ error: `template must be one of: ${Object.keys(EMAIL_TEMPLATES).join(', ')}` });
     }
-    
-    // Set up OAuth client with stored tokens
-    oauth2Client.setCredentials(user.gmail_tokens);
-    
-    // Fetch emails
-    const emails = await fetchPromotionalEmails(oauth2Client, 6);
-    console.log(`Found ${emails.length} promotional emails`);
-    
-    const processedDeals = [];
-    const BATCH_SIZE = 2;
-    const REQUEST_DELAY_MS = 15000;
-    const BATCH_PAUSE_MS = 60000;
 
-    let rateLimited = false;
-    let retryAfterMs = 0;
+    const format = req.query.format || 'html';
+    if (!['html', 'text', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be html, text or json' });
+    }
 
-    const processedEmailIds = await getProcessedEmailIds(user.id);
-    console.log(`Already processed ${processedEmailIds.size} emails for this user`);
-    
-    // Process each email
-    for (let i = 0; i < emails.length; i += BATCH_SIZE) {
-      const batch = emails.slice(i, i + BATCH_SIZE);
+    const now = new Date();
+    const preferences = normalizeNotificationPreferences(req.user.notification_preferences);
+    let data = req.params.template === 'expiring-deals'
+      ? { deals: await getNotifiableExpiringDeals(req.user, preferences, now), mode: preferences.mode, leadTimeDays: preferences.leadTimeDays }
+      : { deals: await getNotifiableNewDeals(req.user, preferences, new Date(now.getTime() - 7 * DAY_MS), now) };
+    if (req.query.sample === 'true' || data.deals.length === 0) {
+      data = template.sample(now);
+    }
 
-      for (const email of batch) {
-        if (processedEmailIds.has(email.id)) {
-          console.log(`Skipping already processed email: ${email.id}`);
-          continue;
-        }
-        try {
-          const parts = getAllParts(email.payload);
-          let emailContent = '';
+    const email = renderEmail(req.params.template, { ...data, user: req.user });
+    if (format === 'json') return res.json(email);
+    res.type(format).send(email[format]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-          for (const part of parts) {
-            if (part.mimeType === 'text/plain' && part.body.data) {
-              emailContent += Buffer.from(part.body.data, 'base64').toString('utf-8');
-            }
-          }
+// Whether push is available, the VAPID key browsers subscribe with and
+// how many browsers this user has subscribed
+app.get('/api/push/config', async (req, res) => {
+  try {
+    const subscriptions = PUSH_CONFIG.enabled ? await getPushSubscriptions(req.user.id) : [];
+    res.json({
+      enabled: PUSH_CONFIG.enabled,
+      publicKey: PUSH_CONFIG.enabled ? PUSH_CONFIG.publicKey : null,
+      subscriptions: subscriptions.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-          if (!emailContent) continue;
-
-          const canonicalRestaurant = getCanonicalRestaurantName(dealInfo.restaurant);
-
-          const headers = email.payload.headers;
-          const subject = headers.find(h => h.name === 'Subject')?.value || '';
-          const from = headers.find(h => h.name === 'From')?.value || '';
-
-          const dealInfo = await parseEmailWithGemini(emailContent, subject, from);
-          if (!dealInfo) continue;
-
-          const originalPrice =
-            dealInfo.originalPrice != null ? Number(dealInfo.originalPrice) : null;
-
-          const discountedPrice =
-            dealInfo.discountedPrice != null ? Number(dealInfo.discountedPrice) : null;
-
-          const computedSavings =
-            dealInfo.savings != null
-              ? Number(dealInfo.savings)
-              : originalPrice != null && discountedPrice != null
-                ? Number((originalPrice - discountedPrice).toFixed(2))
-                : 0;
-
-          const images = extractImagesFromEmail(email);
-          const imageUrl = selectBestDealImage(images);
-          const logoUrl = selectBestLogoImage(images, dealInfo.restaurant);
-
-          const savedDeal = await saveDeal(user.id, {
-            emailId: email.id,
-            restaurant: canonicalRestaurant,
-            dealDescription: dealInfo.dealDescription,
-            originalPrice,
-            discountedPrice,
-            savings: Number(dealData.savings ?? 0),
-            expiryDate: dealInfo.expiryDate,
-            dealCode: dealInfo.dealCode,
-            termsAndConditions: dealInfo.termsAndConditions,
-            dealType: dealInfo.dealType,
-            imageUrl,
-            logoUrl
-          });
+// Save this browser's PushSubscription
+app.post('/api/push/subscriptions', async (req, res) => {
+  try {
+    if (!PUSH_CONFIG.enabled) {
+      return res.status(503).json({ error: 'Push notifications are not configured on this server' });
+    }
 
-          processedDeals.push(savedDeal);
-          processedEmailIds.add(email.id);
+    const { subscription, error } = parsePushSubscription(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-          // Slow down between Gemini requests
-          await sleep(REQUEST_DELAY_MS);
-        } catch (error) {
-          if (error?.status === 429) {
-            rateLimited = true;
-            retryAfterMs = getGeminiRetryDelayMs(error);
-            console.warn(
-              `Gemini rate limit hit. Pausing for ${Math.ceil(retryAfterMs / 1000)}s.`
-            );
-            break;
-          }
+    await savePushSubscription(req.user.id, { ...subscription, userAgent: cleanText(req.get('User-Agent'), 300) });
+    res.status(201).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-          console.error('Error processing email:', error);
-          continue;
-        }
-      }
+// Forget a browser ({ endpoint })
+app.delete('/api/push/subscriptions', async (req, res) => {
+  try {
+    if (!await removePushSubscription(req.user.id, String(req.body?.endpoint || ''))) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
 
-      if (rateLimited) break;
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Pause between batches
-      if (i + BATCH_SIZE < emails.length) {
-        await sleep(BATCH_PAUSE_MS);
-      }
+// Send a test notification to every subscribed browser
+app.post('/api/push/test', async (req, res) => {
+  try {
+    if (!PUSH_CONFIG.enabled) {
+      return res.status(503).json({ error: 'Push notifications are not configured on this server' });
     }
 
-    res.json({
-      success: true,
-      dealsProcessed: processedDeals.length,
-      deals: processedDeals,
-      rateLimited,
-      retryAfterMs,
-      message: rateLimited
-        ? `Scan paused because Gemini hit its rate limit. Try again in ${Math.ceil(retryAfterMs / 1000)} seconds.`
-        : 'Scan complete'
+    const result = await sendPushToUser(req.user.id, {
+      title: '🍔 DealDine',
+      body: 'Push notifications are working.',
+      url: FRONTEND_URL,
+      tag: 'dealdine-test'
     });
+    res.json({ success: result.sent > 0, ...result });
   } catch (error) {
-    console.error('Scan deals error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get user's deals
-app.get('/api/deals/:userEmail', async (req, res) => {
+// List webhooks (without their secrets)
+app.get('/api/webhooks', async (req, res) => {
   try {
-    const { userEmail } = req.params;
-    const filters = req.query;
-    
-    const user = await getUserByEmail(userEmail);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const webhooks = await getUserWebhooks(req.user.id);
+    res.json({ webhooks: webhooks.map(toPublicWebhook), events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a webhook. The signing secret is only returned here.
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const { webhook, error } = await parseWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    const deals = await getUserDeals(user.id, filters);
-    res.json({ deals });
-    
+
+    const created = await createWebhook({
+      format: 'json',
+      ...webhook,
+      user_id: req.user.id,
+      secret: createWebhookSecret()
+    });
+    res.status(201).json({ webhook: toPublicWebhook(created), secret: created.secret });
   } catch (error) {
-    console.error('Get deals error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Mark deal as used
-app.post('/api/deals/:dealId/use', async (req, res) => {
+// Delivery log, most recent first (?webhookId=&status=failed&limit=50)
+app.get('/api/webhooks/deliveries', async (req, res) => {
   try {
-    const { dealId } = req.params;
-    await markDealAsUsed(dealId);
-    res.json({ success: true });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const deliveries = await getWebhookDeliveries(req.user.id, {
+      webhookId: req.query.webhookId || null,
+      status: req.query.status || null,
+      limit
+    });
+    res.json({ deliveries: deliveries.map(toPublicWebhookDelivery) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update restaurant preferences
-app.post('/api/preferences/restaurants', async (req, res) => {
+// Send a logged delivery again
+app.post('/api/webhooks/deliveries/:deliveryId/replay', async (req, res) => {
   try {
-    const { userEmail, restaurant, isSelected } = req.body;
-    
-    const user = await getUserByEmail(userEmail);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const delivery = await replayWebhookDelivery(req.user.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
     }
-    
-    await updateRestaurantPreference(user.id, restaurant, isSelected);
+
+    res.json({ success: delivery.status === 'succeeded', delivery: toPublicWebhookDelivery(delivery) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a webhook's url, events, format, description or isActive
+app.put('/api/webhooks/:webhookId', async (req, res) => {
+  try {
+    const { webhook, error } = await parseWebhookInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await updateWebhook(req.params.webhookId, req.user.id, webhook);
+    if (!updated) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ webhook: toPublicWebhook(updated) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', async (req, res) => {
+  try {
+    if (!await removeWebhook(req.params.webhookId, req.user.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get restaurant preferences
-app.get('/api/preferences/restaurants/:userEmail', async (req, res) => {
+// Send a test "ping" event and report how the endpoint answered
+app.post('/api/webhooks/:webhookId/test', async (req, res) => {
   try {
-    const { userEmail } = req.params;
-    
-    const user = await getUserByEmail(userEmail);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const webhook = await getUserWebhook(req.params.webhookId, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
-    
-    const preferences = await getRestaurantPreferences(user.id);
-    res.json({ preferences });
+
+    const delivery = await testWebhook(webhook);
+    res.json({ success: delivery.status === 'succeeded', delivery: toPublicWebhookDelivery(delivery) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scheduled jobs and their recent runs (?job=notifications&limit=20).
+// Admins only: runs cover every user.
+app.get('/api/jobs/runs', requireAdmin, async (req, res) => {
+  try {
+    const jobName = req.query.job || null;
+    if (jobName && !SCHEDULED_JOBS[jobName]) {
+      return res.status(400).json({ error: `job must be one of: ${Object.keys(SCHEDULED_JOBS).join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const [jobs, runs] = await Promise.all([
+      getJobSchedules(),
+      getJobRuns({ jobName, limit })
+    ]);
+
+    res.json({ jobs, runs });
   } catch (error) {
+    console.error('Get job runs error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Manual trigger for notification check (in production, run as cron job)
-app.post('/api/notifications/check', async (req, res) => {
+// Unsubscribe links from notification emails. They are opened outside the
+// dashboard, so the signed token authenticates instead of a session. GET only
+// asks for confirmation (link scanners prefetch it); POST unsubscribes and
+// also serves one-click unsubscribes from mail clients.
+app.get('/unsubscribe', (req, res) => {
+  const valid = Boolean(verifyUnsubscribeToken(req.query.token));
+  res.status(valid ? 200 : 400).type('html').send(renderUnsubscribePage(valid
+    ? { title: 'Unsubscribe?', message: 'Confirm below and DealDine will stop sending you these emails.', token: req.query.token }
+    : { title: 'Invalid link', message: 'This unsubscribe link is not valid. You can change email settings from your dashboard.' }));
+});
+
+app.post('/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
   try {
-    await checkAndNotifyExpiringDeals();
-    res.json({ success: true, message: 'Notification check completed' });
+    const scope = await applyUnsubscribe(req.query.token || req.body?.token);
+    if (!scope) {
+      return res.status(400).type('html').send(renderUnsubscribePage({
+        title: 'Invalid link',
+        message: 'This unsubscribe link is not valid. You can change email settings from your dashboard.'
+      }));
+    }
+
+    res.type('html').send(renderUnsubscribePage({
+      title: 'You are unsubscribed',
+      message: scope === 'all'
+        ? 'DealDine will not send you any more emails.'
+        : `You will no longer get ${scope === 'new-deals' ? 'weekly new deal' : 'expiring deal'} emails.`
+    }));
   } catch (error) {
+    console.error('Unsubscribe error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -884,9 +8720,110 @@ app.get('/health', (req, res) => {
 // ============================================
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`🍔 DealDine backend running on port ${PORT}`);
-  console.log(`📧 Auth URL: http://localhost:${PORT}/auth/google`);
-});
+const runJobArg = process.argv.find(arg => arg.startsWith('--run-job='));
+
+if (require.main !== module) {
+  // Imported as a module: the caller runs initStorage() before serving the
+  // app, and startScheduler() on the instance that runs background jobs
+} else if (process.argv.includes('--generate-vapid-keys')) {
+  // `npm run vapid:keys`: print a VAPID key pair for web push
+  const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+  console.log(`VAPID_PUBLIC_KEY=${publicKey}\nVAPID_PRIVATE_KEY=${privateKey}`);
+} else if (process.argv.includes('--print-postgres-migrations')) {
+  // `npm run db:sql`: print the schema for the Supabase SQL editor
+  process.stdout.write(buildPostgresMigrationScript());
+} else if (getUnknownExtractionProviders().length > 0) {
+  const names = [...Object.keys(EXTRACTION_PROVIDERS), ...Object.keys(EXTRACTION_PROVIDER_ALIASES)];
+  console.error(
+    `Unknown extraction provider: ${getUnknownExtractionProviders().join(', ')}. ` +
+    `Check EXTRACTION_PROVIDER and EXTRACTION_FALLBACK_PROVIDERS (known: ${names.join(', ')})`
+  );
+  process.exit(1);
+} else if (process.argv.includes('--reextract')) {
+  // `npm run reextract [-- --older-than=N]`: re-run extraction on deals from
+  // prompt versions before N (default: the current version)
+  const olderThanArg = process.argv.find(arg => arg.startsWith('--older-than='));
+  const olderThan = olderThanArg
+    ? parsePromptVersion(olderThanArg.slice('--older-than='.length))
+    : EXTRACTION_PROMPT_VERSION;
+
+  if (olderThan == null) {
+    console.error('--older-than must be a positive integer prompt version');
+    process.exit(1);
+  }
+
+  initStorage()
+    .then(() => reextractOutdatedDeals(olderThan))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Re-extraction failed:', error);
+      process.exit(1);
+    });
+} else if (runJobArg) {
+  // `npm run check-notifications` (--run-job=notifications): run one job now and exit
+  const name = runJobArg.slice('--run-job='.length);
+  if (!SCHEDULED_JOBS[name]) {
+    console.error(`Unknown job "${name}". Jobs: ${Object.keys(SCHEDULED_JOBS).join(', ')}`);
+    process.exit(1);
+  }
+
+  initStorage()
+    .then(() => refreshRestaurantCatalog())
+    .then(() => runJob(name, { trigger: 'cli', force: true }))
+    .then(run => {
+      if (!run) {
+        console.log(`${name} is already running on another instance`);
+        process.exit(0);
+      }
+      console.log(`${name} ${run.status}:`, run.error || JSON.stringify(run.result));
+      process.exit(run.status === 'succeeded' ? 0 : 1);
+    })
+    .catch(error => {
+      console.error(`Job ${name} failed:`, error);
+      process.exit(1);
+    });
+} else {
+  initStorage()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`🍔 DealDine backend running on port ${PORT}`);
+        console.log(`📧 Auth URL: http://localhost:${PORT}/auth/google`);
+        refreshRestaurantCatalog();
+        startScheduler();
+      });
+    })
+    .catch(error => {
+      console.error('Storage initialization failed:', error);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
+module.exports.initStorage = initStorage;
+module.exports.startScheduler = startScheduler;
+
+// Internals the tests in test/ call directly
+Object.assign(module.exports, {
+  attemptWebhookDelivery,
+  buildDealFingerprint,
+  createUnsubscribeToken,
+  createWebhookSecret,
+  deactivateExpiredDeals,
+  decodeDealCursor,
+  encodeDealCursor,
+  extractEmailBody,
+  extractImagesFromEmail,
+  fetchPromotionalEmails,
+  getEmailSentDate,
+  getExpiringDeals,
+  getPartHeader,
+  listHistoryMessageIds,
+  parseDealQuery,
+  parseRawEmail,
+  queryUserDeals,
+  resolveExpiry,
+  saveOrMergeDeal,
+  signWebhookBody,
+  splitMbox,
+  verifyUnsubscribeToken
+});
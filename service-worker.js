@@ -0,0 +1,131 @@
+// DealDine service worker: offline dashboard and push notifications.
+//
+// - The page and its CDN scripts are cached so the dashboard opens offline.
+// - The session and the unfiltered first page of deals are network-first:
+//   the last successful response is kept and served when the API cannot be
+//   reached. Searches, filters and later pages are not kept.
+// - Cached deal images never change (their URL is a content hash), so they
+//   are served from the cache once seen.
+// - Push messages from the backend are shown as notifications.
+
+const SHELL_CACHE = 'dealdine-shell-v1';
+const API_CACHE = 'dealdine-api-v1';
+const IMAGE_CACHE = 'dealdine-images-v1';
+
+const SHELL_URLS = [
+  './',
+  './index.html',
+  './manifest.webmanifest',
+  './icon.svg',
+  'https://unpkg.com/react@18/umd/react.production.min.js',
+  'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js',
+  'https://unpkg.com/@babel/standalone/babel.min.js',
+  'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js',
+  'https://unpkg.com/jsbarcode@3.11.6/dist/JsBarcode.all.min.js'
+];
+
+// API reads worth keeping for offline viewing
+const CACHED_API_PATHS = ['/api/session', '/api/deals'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => Promise.all(SHELL_URLS.map(url =>
+        // One unreachable CDN file should not block installation
+        cache.add(url).catch(error => console.warn(`Could not cache ${url}`, error))
+      )))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => ![SHELL_CACHE, API_CACHE, IMAGE_CACHE].includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Try the network and remember the answer; fall back to the last one
+const networkFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Immutable responses: the cached copy is always good
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (CACHED_API_PATHS.includes(url.pathname) && !url.search) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (url.pathname.startsWith('/api/images/')) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE).catch(() => caches.match('./index.html')));
+  } else if (SHELL_URLS.some(shellUrl => new URL(shellUrl, self.location).href === url.href)) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});
+
+// The page asks us to drop saved API responses when the user signs out
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-api-cache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data?.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'DealDine', {
+    body: data.body || '',
+    icon: data.icon || 'icon.svg',
+    badge: 'icon.svg',
+    tag: data.tag,
+    renotify: Boolean(data.tag),
+    data: { url: data.url || './' }
+  }));
+});
+
+// Focus an open dashboard on the notification's deal, or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || './', self.location).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(client => client.url.startsWith(new URL('./', self.location).href));
+      if (!open) return self.clients.openWindow(target);
+      return open.focus().then(client => (client.url === target ? client : client.navigate(target)));
+    })
+  );
+});
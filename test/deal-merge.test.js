@@ -0,0 +1,95 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { backend, getTestStorage, createTestUser } = require('./helpers');
+
+let db;
+let user;
+
+function offer(emailId, fields = {}) {
+  return {
+    emailId,
+    dealIndex: 0,
+    restaurant: "Wendy's",
+    dealDescription: 'Free medium fries with any purchase',
+    expiryDate: '2026-06-07',
+    expiresAt: '2026-06-07T23:59:59.999Z',
+    savings: 3,
+    ...fields
+  };
+}
+
+async function getDeals() {
+  return db.select('deals', {
+    filters: [['user_id', 'eq', user.id]],
+    order: [{ column: 'created_at', ascending: true }]
+  });
+}
+
+before(async () => {
+  db = await getTestStorage();
+  user = await createTestUser(db);
+});
+
+test('reminder wording and restaurant spelling do not change the fingerprint', () => {
+  const fingerprint = backend.buildDealFingerprint(offer('e1'));
+
+  assert.equal(backend.buildDealFingerprint(offer('e2', {
+    restaurant: 'Wendys',
+    dealDescription: "LAST CHANCE! Don't miss free medium fries with ANY purchase"
+  })), fingerprint);
+  assert.notEqual(backend.buildDealFingerprint(offer('e3', { dealCode: 'FRIES4U' })), fingerprint);
+  assert.notEqual(backend.buildDealFingerprint(offer('e4', { expiryDate: '2026-06-14' })), fingerprint);
+});
+
+test('a resend merges into the saved deal, keeping the latest expiry and filling gaps', async () => {
+  const first = await backend.saveOrMergeDeal(user.id, offer('e1'));
+  assert.equal(first.merged, false);
+
+  const resend = await backend.saveOrMergeDeal(user.id, offer('e2', {
+    dealDescription: 'Reminder: free medium fries with any purchase',
+    dealCode: 'FRIES4U',
+    expiryDate: '2026-06-14',
+    expiresAt: '2026-06-14T23:59:59.999Z',
+    savings: 3.5
+  }));
+
+  assert.equal(resend.merged, true);
+  assert.equal(resend.deal.id, first.deal.id);
+  assert.deepEqual(resend.deal.source_email_ids, ['e1', 'e2']);
+  assert.equal(resend.deal.seen_count, 2);
+  assert.equal(resend.deal.expiry_date, '2026-06-14');
+  assert.equal(resend.deal.deal_code, 'FRIES4U');
+  assert.equal(resend.deal.savings, 3.5);
+  assert.equal((await getDeals()).length, 1);
+});
+
+test('an earlier expiry in a later email does not shorten the deal', async () => {
+  const { deal, merged } = await backend.saveOrMergeDeal(user.id, offer('e3', {
+    expiryDate: '2026-06-10',
+    expiresAt: '2026-06-10T23:59:59.999Z'
+  }));
+
+  assert.equal(merged, true);
+  assert.equal(deal.expiry_date, '2026-06-14');
+  assert.equal(deal.seen_count, 3);
+});
+
+test('re-processing an email updates its own row without adding a source', async () => {
+  const { deal, merged } = await backend.saveOrMergeDeal(user.id, offer('e1'));
+
+  assert.equal(merged, false);
+  assert.deepEqual(deal.source_email_ids, ['e1', 'e2', 'e3']);
+  assert.equal((await getDeals()).length, 1);
+});
+
+test('a different promo code or a sibling offer in the same email stays separate', async () => {
+  const otherCode = await backend.saveOrMergeDeal(user.id, offer('e5', { dealCode: 'OTHER' }));
+  assert.equal(otherCode.merged, false);
+
+  const first = await backend.saveOrMergeDeal(user.id, offer('e6', { dealDescription: '$5 off orders over $20', dealCode: null }));
+  const sibling = await backend.saveOrMergeDeal(user.id, offer('e6', { dealIndex: 1, dealDescription: '$5 off orders over $20 in the app', dealCode: null }));
+
+  assert.equal(first.merged, false);
+  assert.equal(sibling.merged, false);
+  assert.equal((await getDeals()).length, 4);
+});
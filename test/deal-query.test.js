@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { backend, getTestStorage, createTestUser } = require('./helpers');
+
+const SAVINGS_SORT = { column: 'savings', ascending: false };
+
+function parseError(params) {
+  return backend.parseDealQuery(params, 'UTC').error;
+}
+
+test('no parameters gives the default query', () => {
+  const { query } = backend.parseDealQuery({}, 'America/New_York');
+
+  assert.equal(query.sort, 'expiry');
+  assert.equal(query.limit, 24);
+  assert.equal(query.cursor, null);
+  assert.equal(query.timeZone, 'America/New_York');
+  assert.deepEqual(query.restaurants, []);
+});
+
+test('lists, amounts, flags and dates are parsed', () => {
+  const { query } = backend.parseDealQuery({
+    q: '  fries  ',
+    restaurant: ["Wendy's", ' ', 'Arby\'s'],
+    dealType: 'BOGO',
+    minSavings: '2.50',
+    expiringSoon: '1',
+    hasExpiry: 'false',
+    expiresAfter: '2026-06-01',
+    expiresBefore: '2026-06-07',
+    createdAfter: '2026-05-01T08:00:00Z',
+    sort: 'savings',
+    limit: '10'
+  }, 'America/New_York');
+
+  assert.equal(query.search, 'fries');
+  assert.deepEqual(query.restaurants, ["Wendy's", "Arby's"]);
+  assert.deepEqual(query.dealTypes, ['BOGO']);
+  assert.equal(query.minSavings, 2.5);
+  assert.equal(query.expiringSoon, true);
+  assert.equal(query.hasExpiry, false);
+  // Whole days in the user's time zone
+  assert.equal(query.expiresAfter.toISOString(), '2026-06-01T04:00:00.000Z');
+  assert.equal(query.expiresBefore.toISOString(), '2026-06-08T03:59:59.999Z');
+  assert.equal(query.createdAfter.toISOString(), '2026-05-01T08:00:00.000Z');
+  assert.equal(query.sort, 'savings');
+  assert.equal(query.limit, 10);
+});
+
+test('invalid parameters are rejected with a message', () => {
+  assert.equal(parseError({ page: '2' }), 'Unknown parameter: page');
+  assert.match(parseError({ dealType: 'bogo' }), /^dealType must be one of/);
+  assert.match(parseError({ minSavings: '$5' }), /dollar amount/);
+  assert.equal(parseError({ minSavings: '10', maxSavings: '5' }), 'minSavings must not be more than maxSavings');
+  assert.equal(parseError({ expiringSoon: 'yes' }), 'expiringSoon must be true or false');
+  assert.equal(parseError({ expiresAfter: '2026-02-30' }), 'expiresAfter is not a valid date');
+  assert.match(parseError({ createdBefore: 'June 1' }), /YYYY-MM-DD/);
+  assert.equal(parseError({ expiresAfter: '2026-06-08', expiresBefore: '2026-06-01' }), 'expiresAfter must be before expiresBefore');
+  assert.match(parseError({ sort: 'name' }), /^sort must be one of/);
+  assert.match(parseError({ limit: '0' }), /^limit must be a whole number/);
+  assert.match(parseError({ limit: '2.5' }), /^limit must be a whole number/);
+  assert.match(parseError({ q: { $ne: '' } }), /q must be text/);
+});
+
+test('a cursor decodes only for the sort it was issued for', () => {
+  const cursor = backend.encodeDealCursor('savings', SAVINGS_SORT, { id: 'deal-1', savings: 4.5 });
+
+  assert.deepEqual(backend.decodeDealCursor(cursor, 'savings'), { id: 'deal-1', value: 4.5 });
+  assert.equal(backend.decodeDealCursor(cursor, 'expiry'), null);
+  assert.equal(parseError({ sort: 'recency', cursor }), 'cursor is invalid for this sort');
+
+  const missing = backend.encodeDealCursor('savings', SAVINGS_SORT, { id: 'deal-2', savings: null });
+  assert.deepEqual(backend.decodeDealCursor(missing, 'savings'), { id: 'deal-2', value: null });
+});
+
+test('tampered or garbage cursors are rejected', () => {
+  const encode = cursor => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+  assert.equal(backend.decodeDealCursor('not a cursor', 'savings'), null);
+  assert.equal(backend.decodeDealCursor(encode({ sort: 'savings', value: { $gt: 0 }, id: 'deal-1' }), 'savings'), null);
+  assert.equal(backend.decodeDealCursor(encode({ sort: 'savings', value: 5, id: 7 }), 'savings'), null);
+  assert.equal(backend.decodeDealCursor(encode(null), 'savings'), null);
+});
+
+test('paging by expiry walks ties and open-ended deals without gaps or repeats', async () => {
+  const db = await getTestStorage();
+  const user = await createTestUser(db);
+  const expiries = [
+    '2099-06-07T23:59:59.999Z', '2099-06-03T23:59:59.999Z', '2099-06-07T23:59:59.999Z', null,
+    '2099-06-03T23:59:59.999Z', '2099-06-01T23:59:59.999Z', '2099-06-07T23:59:59.999Z', null
+  ];
+  await db.insert('deals', expiries.map((expiresAt, index) => ({
+    user_id: user.id,
+    email_id: `e${index}`,
+    deal_index: 0,
+    restaurant: "Wendy's",
+    deal_description: `Deal ${index}`,
+    savings: 5,
+    expires_at: expiresAt,
+    is_active: true,
+    review_status: 'auto'
+  })));
+
+  const seen = [];
+  let cursor;
+  do {
+    const params = { limit: '3', ...(cursor ? { cursor } : {}) };
+    const { query } = backend.parseDealQuery(params, 'UTC');
+    const page = await backend.queryUserDeals(user.id, query);
+    seen.push(...page.deals);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.equal(new Set(seen.map(deal => deal.id)).size, expiries.length);
+  assert.deepEqual(seen.map(deal => deal.expires_at?.slice(0, 10) ?? null), [
+    '2099-06-01', '2099-06-03', '2099-06-03', '2099-06-07', '2099-06-07', '2099-06-07', null, null
+  ]);
+});
@@ -0,0 +1,65 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { backend, getTestStorage, createTestUser } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-15T12:00:00Z');
+
+let db;
+let user;
+
+function dealRow(emailId, fields) {
+  return {
+    user_id: user.id,
+    email_id: emailId,
+    deal_index: 0,
+    restaurant: "Wendy's",
+    deal_description: emailId,
+    savings: 5,
+    is_active: true,
+    review_status: 'auto',
+    ...fields
+  };
+}
+
+function parse(params) {
+  const { query, error } = backend.parseDealQuery(params, 'UTC');
+  assert.equal(error, undefined);
+  return query;
+}
+
+before(async () => {
+  db = await getTestStorage();
+  user = await createTestUser(db);
+
+  await db.insert('deals', [
+    // Past its expiry, but the hourly sweep has not deactivated it yet
+    dealRow('expired', { expires_at: new Date(now.getTime() - DAY_MS).toISOString(), savings: 100 }),
+    dealRow('tomorrow', { expires_at: new Date(now.getTime() + DAY_MS).toISOString() }),
+    dealRow('open-ended', { expires_at: null, restaurant: 'Arby\'s' })
+  ]);
+});
+
+test('expired deals the sweep has not reached are left out of results and summary', async () => {
+  const result = await backend.queryUserDeals(user.id, parse({}), now);
+
+  assert.deepEqual(result.deals.map(deal => deal.email_id), ['tomorrow', 'open-ended']);
+  assert.deepEqual(result.summary, { total: 2, savings: 10, restaurants: ["Arby's", "Wendy's"] });
+});
+
+test('a deal that has not expired yet is still returned', async () => {
+  const beforeExpiry = new Date(now.getTime() - 2 * DAY_MS);
+  const result = await backend.queryUserDeals(user.id, parse({ hasExpiry: 'true' }), beforeExpiry);
+
+  assert.deepEqual(result.deals.map(deal => deal.email_id), ['expired', 'tomorrow']);
+  assert.equal(result.summary.savings, 105);
+});
+
+test('cursor pages never include an expired deal', async () => {
+  const first = await backend.queryUserDeals(user.id, parse({ limit: '1' }), now);
+  assert.ok(first.nextCursor);
+
+  const second = await backend.queryUserDeals(user.id, parse({ limit: '1', cursor: first.nextCursor }), now);
+  assert.deepEqual([...first.deals, ...second.deals].map(deal => deal.email_id), ['tomorrow', 'open-ended']);
+  assert.equal(second.nextCursor, null);
+});
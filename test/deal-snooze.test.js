@@ -0,0 +1,61 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { backend, getTestStorage, createTestUser } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date();
+const at = hours => new Date(now.getTime() + hours * HOUR_MS).toISOString();
+
+let db;
+let user;
+
+before(async () => {
+  db = await getTestStorage();
+  user = await createTestUser(db);
+
+  const deal = (emailId, snoozedUntil) => ({
+    user_id: user.id,
+    email_id: emailId,
+    deal_index: 0,
+    restaurant: "Wendy's",
+    deal_description: emailId,
+    savings: 5,
+    is_active: true,
+    review_status: 'auto',
+    expires_at: at(24),
+    snoozed_until: snoozedUntil
+  });
+
+  await db.insert('deals', [
+    deal('awake', null),
+    deal('snoozed', at(12)),
+    deal('snooze-ended', at(-1))
+  ]);
+});
+
+async function getSnoozes() {
+  const rows = await db.select('deals', { filters: [['user_id', 'eq', user.id]] });
+  return Object.fromEntries(rows.map(row => [row.email_id, row.snoozed_until]));
+}
+
+test('the feed shows deals whose snooze ended without writing to them', async () => {
+  const { query } = backend.parseDealQuery({ sort: 'savings' }, 'UTC');
+  const result = await backend.queryUserDeals(user.id, query, now);
+
+  assert.deepEqual(result.deals.map(deal => deal.email_id).sort(), ['awake', 'snooze-ended']);
+  assert.equal((await getSnoozes())['snooze-ended'], at(-1));
+});
+
+test('expiry alerts skip deals that are still snoozed', async () => {
+  const deals = await backend.getExpiringDeals(user.id, new Date(at(48)), now);
+
+  assert.deepEqual(deals.map(deal => deal.email_id).sort(), ['awake', 'snooze-ended']);
+  assert.equal((await getSnoozes())['snooze-ended'], at(-1));
+});
+
+test('the expiry sweep clears snoozes that have ended', async () => {
+  const result = await backend.deactivateExpiredDeals();
+
+  assert.deepEqual(result, { dealsExpired: 0, snoozesEnded: 1 });
+  assert.deepEqual(await getSnoozes(), { awake: null, snoozed: at(12), 'snooze-ended': null });
+});
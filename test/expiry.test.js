@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { backend } = require('./helpers');
+
+function resolve(fields, sentAt, timeZone) {
+  return backend.resolveExpiry(fields, { referenceDate: new Date(sentAt), timeZone });
+}
+
+test('an ISO date from the model expires at the end of that day in the user’s time zone', () => {
+  assert.deepEqual(resolve({ expiryDate: '2026-06-07' }, '2026-06-01T12:00:00Z', 'America/New_York'), {
+    expiryDate: '2026-06-07',
+    expiresAt: '2026-06-08T03:59:59.999Z',
+    expiryConfidence: 'high',
+    expiryText: '2026-06-07'
+  });
+});
+
+test('dates without a year take the next occurrence after the email was sent', () => {
+  const june = resolve({ expiryText: 'Valid thru 6/7' }, '2026-06-01T12:00:00Z', 'America/New_York');
+  assert.equal(june.expiryDate, '2026-06-07');
+  assert.equal(june.expiryConfidence, 'medium');
+
+  const january = resolve({ expiryText: 'Offer ends Jan 5' }, '2026-12-20T12:00:00Z', 'America/Chicago');
+  assert.equal(january.expiryDate, '2027-01-05');
+  assert.equal(january.expiresAt, '2027-01-06T05:59:59.999Z');
+});
+
+test('relative phrases count from the send date in the user’s time zone', () => {
+  // 03:00 UTC on June 1 is still May 31 in Los Angeles, already June 1 in Tokyo
+  assert.equal(resolve({ expiryText: 'today only' }, '2026-06-01T03:00:00Z', 'America/Los_Angeles').expiryDate, '2026-05-31');
+  assert.equal(resolve({ expiryText: 'today only' }, '2026-06-01T03:00:00Z', 'Asia/Tokyo').expiryDate, '2026-06-01');
+
+  // Sent on a Wednesday: the weekend ends on Sunday
+  assert.equal(resolve({ expiryText: 'this weekend' }, '2026-06-03T12:00:00Z', 'UTC').expiryDate, '2026-06-07');
+});
+
+test('the model’s date is used when the email’s wording has none', () => {
+  const expiry = resolve({ expiryDate: 'June 30', expiryText: 'while supplies last' }, '2026-06-01T12:00:00Z', 'UTC');
+
+  assert.equal(expiry.expiryDate, '2026-06-30');
+  assert.equal(expiry.expiryText, 'while supplies last');
+});
+
+test('implausible, impossible and missing dates', () => {
+  assert.equal(resolve({ expiryDate: '2019-01-01' }, '2026-06-01T12:00:00Z', 'UTC').expiryConfidence, 'low');
+  assert.equal(resolve({ expiryDate: '2026-02-30' }, '2026-01-01T12:00:00Z', 'UTC').expiryDate, null);
+  assert.deepEqual(resolve({ expiryText: 'while supplies last' }, '2026-06-01T12:00:00Z', 'UTC'), {
+    expiryDate: null,
+    expiresAt: null,
+    expiryConfidence: null,
+    expiryText: 'while supplies last'
+  });
+});
+
+test('the send date comes from the Date header, then Gmail’s internalDate', () => {
+  const header = { payload: { headers: [{ name: 'Date', value: 'Mon, 01 Jun 2026 14:02:09 +0200' }] }, internalDate: '1' };
+  assert.equal(backend.getEmailSentDate(header).toISOString(), '2026-06-01T12:02:09.000Z');
+
+  const internal = { payload: { headers: [{ name: 'Date', value: 'not a date' }] }, internalDate: '1780000000000' };
+  assert.equal(backend.getEmailSentDate(internal).toISOString(), new Date(1780000000000).toISOString());
+});
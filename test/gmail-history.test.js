@@ -0,0 +1,102 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { google } = require('googleapis');
+const { backend } = require('./helpers');
+
+const originalGmail = google.gmail;
+afterEach(() => {
+  google.gmail = originalGmail;
+});
+
+function notFound() {
+  return Object.assign(new Error('Requested entity was not found.'), { code: 404 });
+}
+
+// A mailbox with one history record per message, served in pages of 60.
+// Odd-numbered messages come from Taco Bell, even ones from a shop.
+function createFakeGmail({ count, deleted = [] }) {
+  const records = Array.from({ length: count }, (_, index) => {
+    const id = 1001 + index;
+    return { id: String(id), messagesAdded: [{ message: { id: `m${id}` } }] };
+  });
+  const fetched = [];
+
+  const gmail = {
+    users: {
+      getProfile: async () => ({ data: { historyId: '5000' } }),
+      history: {
+        list: async ({ startHistoryId, pageToken }) => {
+          const rest = records.filter(record => Number(record.id) > Number(startHistoryId));
+          const offset = Number(pageToken || 0);
+          return {
+            data: {
+              history: rest.slice(offset, offset + 60),
+              nextPageToken: offset + 60 < rest.length ? String(offset + 60) : undefined,
+              historyId: '9999'
+            }
+          };
+        }
+      },
+      messages: {
+        get: async ({ id, format }) => {
+          fetched.push(`${id}:${format}`);
+          if (deleted.includes(id)) throw notFound();
+          const from = Number(id.slice(1)) % 2 ? 'Taco Bell <offers@tacobell.com>' : 'Shop <hello@shop.example>';
+          return { data: { id, payload: { headers: [{ name: 'From', value: from }] } } };
+        }
+      }
+    }
+  };
+
+  return { gmail, fetched };
+}
+
+test('a large history backlog is read in slices that resume where the last one stopped', async () => {
+  const { gmail } = createFakeGmail({ count: 250 });
+  const slices = [];
+  let startHistoryId = '1000';
+
+  for (let run = 0; run < 4; run++) {
+    const slice = await backend.listHistoryMessageIds(gmail, startHistoryId);
+    slices.push([slice.messageIds.length, slice.historyId, slice.truncated]);
+    startHistoryId = slice.historyId;
+  }
+
+  assert.deepEqual(slices, [
+    [100, '1100', true],
+    [100, '1200', true],
+    [50, '9999', false],
+    [0, '9999', false]
+  ]);
+});
+
+test('history results download only the senders’ headers before full messages', async () => {
+  const { gmail, fetched } = createFakeGmail({ count: 4 });
+  google.gmail = () => gmail;
+
+  const result = await backend.fetchPromotionalEmails({}, { startHistoryId: '1000' });
+
+  assert.equal(result.mode, 'history');
+  assert.deepEqual(result.emails.map(email => email.id), ['m1001', 'm1003']);
+  assert.deepEqual(fetched.filter(entry => entry.endsWith(':full')).sort(), ['m1001:full', 'm1003:full']);
+});
+
+test('messages deleted since they were added are skipped and the history id still advances', async () => {
+  const { gmail } = createFakeGmail({ count: 6, deleted: ['m1001', 'm1005'] });
+  google.gmail = () => gmail;
+
+  const result = await backend.fetchPromotionalEmails({}, { startHistoryId: '1000' });
+
+  assert.deepEqual(result.emails.map(email => email.id), ['m1003']);
+  assert.equal(result.historyId, '9999');
+});
+
+test('other Gmail errors still fail the fetch', async () => {
+  const { gmail } = createFakeGmail({ count: 2 });
+  gmail.users.messages.get = async () => {
+    throw Object.assign(new Error('Backend Error'), { code: 500 });
+  };
+  google.gmail = () => gmail;
+
+  await assert.rejects(backend.fetchPromotionalEmails({}, { startHistoryId: '1000' }), /Backend Error/);
+});
@@ -0,0 +1,28 @@
+// Loads the backend against a throwaway in-memory SQLite database. Each test
+// file runs in its own process, so each gets a fresh database.
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+process.env.SCHEDULER_ENABLED = 'false';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+
+const backend = require('../dealdine-backend');
+
+let storage = null;
+
+// The storage gateway, migrated on first use
+async function getTestStorage() {
+  if (!storage) storage = await backend.initStorage();
+  return storage;
+}
+
+async function createTestUser(db, fields = {}) {
+  const [user] = await db.insert('users', {
+    email: `user-${Math.random().toString(36).slice(2)}@example.com`,
+    gmail_tokens: {},
+    timezone: 'UTC',
+    ...fields
+  });
+  return user;
+}
+
+module.exports = { backend, getTestStorage, createTestUser };
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { backend } = require('./helpers');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+function partText(part) {
+  return Buffer.from(part.body.data, 'base64').toString('utf8');
+}
+
+function findParts(payload, mimeType, found = []) {
+  if (payload.mimeType === mimeType && payload.body?.data) found.push(payload);
+  (payload.parts || []).forEach(part => findParts(part, mimeType, found));
+  return found;
+}
+
+test('a nested multipart email keeps its text, HTML and inline image', async () => {
+  const email = await backend.parseRawEmail(fixture('nested-multipart.eml'), { source: 'upload', sourceRef: 'deal.eml' });
+
+  assert.equal(backend.getPartHeader(email.payload, 'From'), '"Wendy’s" <offers@email.wendys.com>');
+  assert.equal(backend.getPartHeader(email.payload, 'Subject'), '🍔 Free fries this weekend');
+  assert.deepEqual(email.source, { type: 'upload', ref: 'deal.eml' });
+
+  const [plain] = findParts(email.payload, 'text/plain');
+  assert.match(partText(plain), /code FRIES4U at checkout\. Valid through 06\/07\/2026\. Café drinks/);
+
+  const body = backend.extractEmailBody(email.payload);
+  assert.equal(body.source, 'plain');
+  assert.match(body.text, /free medium fries/i);
+
+  const [image] = backend.extractImagesFromEmail(email);
+  assert.equal(image.source, 'part');
+  assert.equal(image.mimeType, 'image/png');
+  assert.equal(image.alt, 'Fries');
+  assert.equal(findParts(email.payload, 'image/png')[0].partId, image.partId);
+});
+
+test('the same Message-ID gives the same id, wherever the email came from', async () => {
+  const upload = await backend.parseRawEmail(fixture('nested-multipart.eml'), { source: 'upload' });
+  const imap = await backend.parseRawEmail(fixture('nested-multipart.eml'), { source: 'imap', receivedAt: '2026-06-01T14:02:11Z' });
+
+  assert.equal(upload.id, imap.id);
+  assert.equal(imap.internalDate, String(Date.parse('2026-06-01T14:02:11Z')));
+});
+
+test('a forwarded message is read along with the note around it', async () => {
+  const email = await backend.parseRawEmail(fixture('forwarded.eml'), { source: 'upload' });
+  const { text } = backend.extractEmailBody(email.payload);
+
+  assert.match(text, /Thought you'd like this one\./);
+  assert.match(text, /Taco Tuesday is back: 2 Crunchy Tacos for \$3 all day\./);
+});
+
+test('a message forwarded as an attachment is read as well', async () => {
+  const raw = fixture('forwarded.eml').toString('latin1')
+    .replace('Content-Disposition: inline', 'Content-Disposition: attachment; filename="taco-tuesday.eml"');
+  const email = await backend.parseRawEmail(Buffer.from(raw, 'latin1'), { source: 'upload' });
+  const [forwarded] = email.payload.parts.filter(part => part.mimeType === 'message/rfc822');
+
+  assert.equal(forwarded.filename, 'taco-tuesday.eml');
+  assert.equal(backend.getPartHeader(forwarded, 'From'), '"Taco Bell" <tacobell@tacobell.com>');
+  assert.deepEqual(findParts(email.payload, 'text/plain').map(part => partText(part).trim()), [
+    "Thought you'd like this one.",
+    'Taco Tuesday is back: 2 Crunchy Tacos for $3 all day.'
+  ]);
+});
+
+test('bodies and headers in other charsets are decoded', async () => {
+  const email = await backend.parseRawEmail(fixture('windows-1252.eml'), { source: 'upload' });
+
+  assert.equal(backend.getPartHeader(email.payload, 'From'), '"Domino’s Pizza" <deals@e.dominos.com>');
+  assert.equal(backend.getPartHeader(email.payload, 'Subject'), 'Тест and テスト');
+  assert.equal(partText(findParts(email.payload, 'text/plain')[0]).trim(),
+    'Large 3-topping pizza – $7.99 “carryout” only. Jalapeños extra.');
+});
+
+test('pasted text without headers becomes a plain-text email', async () => {
+  const email = await backend.parseRawEmail('BOGO burgers today only', { source: 'paste' });
+
+  assert.deepEqual(email.payload.parts.map(part => part.mimeType), ['text/plain']);
+  assert.equal(partText(email.payload.parts[0]).trim(), 'BOGO burgers today only');
+});
+
+test('an mbox archive splits on separator lines and undoes >From quoting', async () => {
+  const messages = backend.splitMbox(fixture('takeout.mbox'));
+  assert.equal(messages.length, 3);
+
+  const [burgers, tacos, newsletter] = await Promise.all(
+    messages.map(raw => backend.parseRawEmail(raw, { source: 'upload', sourceRef: 'takeout.mbox' }))
+  );
+
+  assert.equal(partText(burgers.payload.parts[0]).trim(), [
+    'Buy one Whopper, get one for $1.',
+    'From the grill to your table, every Wednesday.',
+    '>From here on, quoting stays one level deep.',
+    '',
+    'From our kitchen to yours: thanks for being a member.'
+  ].join('\n'));
+  assert.equal(partText(tacos.payload.parts[0]).trim(), '2 tacos for $3. Jalapeño sauce included.');
+  assert.equal(backend.getPartHeader(newsletter.payload, 'Subject'), 'Not a deal');
+});
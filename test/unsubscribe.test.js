@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { backend, getTestStorage, createTestUser } = require('./helpers');
+
+let db;
+let server;
+let baseUrl;
+
+before(async () => {
+  db = await getTestStorage();
+  server = backend.listen(0);
+  await new Promise(resolve => server.on('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+function reencode(token, payload) {
+  const [, signature] = token.split('.');
+  return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+}
+
+test('a token round-trips to its user and scope', () => {
+  const token = backend.createUnsubscribeToken('user-1', 'expiring');
+  assert.deepEqual(backend.verifyUnsubscribeToken(token), { uid: 'user-1', scope: 'expiring' });
+});
+
+test('tokens with an edited payload, a bad signature or an unknown scope are rejected', () => {
+  const token = backend.createUnsubscribeToken('user-1', 'expiring');
+
+  assert.equal(backend.verifyUnsubscribeToken(reencode(token, { uid: 'user-2', scope: 'expiring' })), null);
+  assert.equal(backend.verifyUnsubscribeToken(reencode(token, { uid: 'user-1', scope: 'all' })), null);
+  assert.equal(backend.verifyUnsubscribeToken(`${token.split('.')[0]}.${'A'.repeat(43)}`), null);
+  assert.equal(backend.verifyUnsubscribeToken(backend.createUnsubscribeToken('user-1', 'everything')), null);
+  assert.equal(backend.verifyUnsubscribeToken('not-a-token'), null);
+  assert.equal(backend.verifyUnsubscribeToken(undefined), null);
+});
+
+test('opening the link only asks; confirming turns off that kind of email', async () => {
+  const user = await createTestUser(db);
+  const token = encodeURIComponent(backend.createUnsubscribeToken(user.id, 'new-deals'));
+  const preferences = async () => (await db.selectOne('users', [['id', 'eq', user.id]])).notification_preferences;
+
+  const page = await fetch(`${baseUrl}/unsubscribe?token=${token}`);
+  assert.equal(page.status, 200);
+  assert.notEqual((await preferences()).newDealsDigest, false);
+
+  const confirmed = await fetch(`${baseUrl}/unsubscribe?token=${token}`, { method: 'POST' });
+  assert.equal(confirmed.status, 200);
+  assert.match(await confirmed.text(), /You are unsubscribed/);
+  assert.equal((await preferences()).newDealsDigest, false);
+  assert.notEqual((await preferences()).email, false);
+});
+
+test('a forged link changes nothing', async () => {
+  const user = await createTestUser(db);
+  const { notification_preferences: saved } = await db.selectOne('users', [['id', 'eq', user.id]]);
+  const forged = reencode(backend.createUnsubscribeToken('someone-else', 'all'), { uid: user.id, scope: 'all' });
+
+  const response = await fetch(`${baseUrl}/unsubscribe?token=${encodeURIComponent(forged)}`, { method: 'POST' });
+  assert.equal(response.status, 400);
+  assert.deepEqual((await db.selectOne('users', [['id', 'eq', user.id]])).notification_preferences, saved);
+});
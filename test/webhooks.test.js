@@ -0,0 +1,111 @@
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { backend, getTestStorage, createTestUser } = require('./helpers');
+
+let db;
+let user;
+
+const originalPost = axios.post;
+afterEach(() => {
+  axios.post = originalPost;
+});
+
+before(async () => {
+  db = await getTestStorage();
+  user = await createTestUser(db);
+});
+
+// What a receiver does with the documented headers
+function receiverAccepts(secret, headers, body) {
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${headers['X-DealDine-Timestamp']}.${body}`)
+    .digest('hex');
+  return headers['X-DealDine-Signature'] === `sha256=${expected}`;
+}
+
+// Record each POST and answer with the given status
+function captureDeliveries(status) {
+  const sent = [];
+  axios.post = async (url, body, options) => {
+    sent.push({ url, body, headers: options.headers });
+    return { status, data: { destroy() {} } };
+  };
+  return sent;
+}
+
+async function createDelivery(url) {
+  const [webhook] = await db.insert('webhooks', {
+    user_id: user.id,
+    url,
+    events: ['deal.created'],
+    format: 'json',
+    secret: backend.createWebhookSecret()
+  });
+  const [delivery] = await db.insert('webhook_deliveries', {
+    webhook_id: webhook.id,
+    user_id: user.id,
+    event: 'deal.created',
+    payload: { event: 'deal.created', createdAt: '2026-06-01T12:00:00.000Z', data: { deal: { restaurant: "Wendy's" } } },
+    status: 'pending'
+  });
+  return { webhook, delivery };
+}
+
+test('every webhook gets its own secret', () => {
+  const secret = backend.createWebhookSecret();
+
+  assert.match(secret, /^whsec_[A-Za-z0-9_-]{32}$/);
+  assert.notEqual(backend.createWebhookSecret(), secret);
+});
+
+test('the signature covers both the timestamp and the body', () => {
+  const signature = backend.signWebhookBody('whsec_test', '1780000000', '{"event":"ping"}');
+
+  assert.equal(signature, crypto.createHmac('sha256', 'whsec_test').update('1780000000.{"event":"ping"}').digest('hex'));
+  assert.notEqual(backend.signWebhookBody('whsec_test', '1780000001', '{"event":"ping"}'), signature);
+  assert.notEqual(backend.signWebhookBody('whsec_test', '1780000000', '{"event":"ping" }'), signature);
+  assert.notEqual(backend.signWebhookBody('whsec_other', '1780000000', '{"event":"ping"}'), signature);
+});
+
+test('a delivery carries headers the receiver can verify', async () => {
+  const sent = captureDeliveries(204);
+  const { webhook, delivery } = await createDelivery('https://hooks.example.com/dealdine');
+
+  const updated = await backend.attemptWebhookDelivery(delivery, webhook);
+
+  assert.equal(sent.length, 1);
+  const [{ body, headers }] = sent;
+  assert.equal(headers['X-DealDine-Event'], 'deal.created');
+  assert.equal(headers['X-DealDine-Delivery'], delivery.id);
+  assert.ok(Math.abs(Number(headers['X-DealDine-Timestamp']) - Date.now() / 1000) < 60);
+  assert.ok(receiverAccepts(webhook.secret, headers, body));
+  assert.ok(!receiverAccepts(webhook.secret, headers, body.replace("Wendy's", "Arby's")));
+  assert.ok(!receiverAccepts(backend.createWebhookSecret(), headers, body));
+
+  assert.equal(updated.status, 'succeeded');
+  assert.equal(updated.attempts, 1);
+});
+
+test('a failed delivery is scheduled for a retry', async () => {
+  captureDeliveries(500);
+  const { webhook, delivery } = await createDelivery('https://hooks.example.com/dealdine');
+
+  const updated = await backend.attemptWebhookDelivery(delivery, webhook);
+
+  assert.equal(updated.status, 'retrying');
+  assert.equal(updated.error, 'HTTP 500');
+  assert.ok(Date.parse(updated.next_attempt_at) > Date.now());
+});
+
+test('private addresses are refused without sending anything', async () => {
+  const sent = captureDeliveries(204);
+  const { webhook, delivery } = await createDelivery('http://127.0.0.1:8080/hook');
+
+  const updated = await backend.attemptWebhookDelivery(delivery, webhook);
+
+  assert.equal(sent.length, 0);
+  assert.match(updated.error, /private or loopback/);
+  assert.notEqual(updated.status, 'succeeded');
+});